@@ -0,0 +1,88 @@
+import AccessToken from "../models/accessTokenModel.js";
+import { ACCESS_TOKEN_SCOPES, generateAccessToken } from "../utils/helpers/accessTokens.js";
+import { hasPermission } from "../utils/helpers/permissions.js";
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+const toTokenResponse = (accessToken) => ({
+  _id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+  createdAt: accessToken.createdAt,
+});
+
+const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+    res.status(200).json(tokens.map(toTokenResponse));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getAccessTokens: ", error.message);
+  }
+};
+
+const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== "string" || !name.trim() || name.trim().length > 50) {
+      return res.status(400).json({ error: "Token name is required and must be at most 50 characters" });
+    }
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some((scope) => !ACCESS_TOKEN_SCOPES.includes(scope))) {
+      return res.status(400).json({ error: `Choose at least one scope from: ${ACCESS_TOKEN_SCOPES.join(", ")}` });
+    }
+    if (scopes.includes("admin") && !hasPermission(req.user, "admin:access")) {
+      return res.status(403).json({ error: "Only administrators can create tokens with the admin scope" });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== "") {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const tokenCount = await AccessToken.countDocuments({ userId: req.user._id });
+    if (tokenCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_TOKENS_PER_USER} access tokens` });
+    }
+
+    const { token, tokenHash, prefix } = generateAccessToken();
+    const accessToken = await AccessToken.create({
+      userId: req.user._id,
+      name: name.trim(),
+      tokenHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    // The plain token is returned exactly once; afterwards only its prefix is shown.
+    res.status(201).json({ ...toTokenResponse(accessToken), token });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in createAccessToken: ", error.message);
+  }
+};
+
+const revokeAccessToken = async (req, res) => {
+  try {
+    const { deletedCount } = await AccessToken.deleteOne({ _id: req.params.id, userId: req.user._id });
+    if (!deletedCount) {
+      return res.status(404).json({ error: "Access token not found" });
+    }
+    res.status(200).json({ message: "Access token revoked" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in revokeAccessToken: ", error.message);
+  }
+};
+
+export { getAccessTokens, createAccessToken, revokeAccessToken };
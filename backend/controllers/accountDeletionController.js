@@ -0,0 +1,77 @@
+import User from "../models/userModel.js";
+import DeletionReport from "../models/deletionReportModel.js";
+import AccessToken from "../models/accessTokenModel.js";
+import bcrypt from "bcryptjs";
+import { clearAuthCookies, revokeSessions } from "../utils/helpers/generateTokenAndSetCookie.js";
+import { verifySecondFactor } from "../utils/helpers/twoFactor.js";
+import sendEmail from "../utils/helpers/sendEmail.js";
+
+const GRACE_PERIOD_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const REPORTS_PAGE_SIZE = 50;
+
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select("+twoFactorSecret +twoFactorBackupCodes");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const isPasswordCorrect = await bcrypt.compare(password || "", user.password);
+    if (!isPasswordCorrect) {
+      return res.status(400).json({ error: "Incorrect password" });
+    }
+    if (user.twoFactorEnabled && !(await verifySecondFactor(user, code))) {
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    user.isFrozen = true;
+    await user.save();
+
+    await revokeSessions({ userId: user._id });
+    await AccessToken.deleteMany({ userId: user._id });
+    clearAuthCookies(res);
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: "Your NR Blog account is scheduled for deletion",
+        text:
+          `Your account @${user.username} will be permanently deleted on ${user.deletionScheduledFor.toUTCString()}.\n\n` +
+          "Log in before then if you want to keep it.",
+      });
+    } catch (mailError) {
+      console.log("Error sending deletion notice: ", mailError.message);
+    }
+
+    res.status(200).json({
+      message: `Your account will be deleted in ${GRACE_PERIOD_DAYS} days. Log in before then to cancel.`,
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in requestAccountDeletion: ", error.message);
+  }
+};
+
+const getDeletionReports = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const [reports, total] = await Promise.all([
+      DeletionReport.find({})
+        .sort({ purgedAt: -1 })
+        .skip((page - 1) * REPORTS_PAGE_SIZE)
+        .limit(REPORTS_PAGE_SIZE)
+        .lean(),
+      DeletionReport.countDocuments({}),
+    ]);
+
+    res.status(200).json({ reports, total, page, totalPages: Math.ceil(total / REPORTS_PAGE_SIZE) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getDeletionReports: ", error.message);
+  }
+};
+
+export { requestAccountDeletion, getDeletionReports };
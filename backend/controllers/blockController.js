@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import { blockUser as applyBlock, unblockUser as removeBlock } from "../utils/helpers/blocking.js";
+
+const getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate("blocked", "username name profilePic").lean();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.status(200).json((user.blocked || []).filter(Boolean));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getBlockedUsers: ", error.message);
+  }
+};
+
+const blockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    if (req.user._id.toString() === id) {
+      return res.status(400).json({ error: "You cannot block yourself" });
+    }
+
+    const target = await User.findById(id).select("_id");
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await applyBlock(req.user._id, target._id);
+    res.status(200).json({ message: "User blocked" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in blockUser: ", error.message);
+  }
+};
+
+const unblockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const { modifiedCount } = await removeBlock(req.user._id, id);
+    if (!modifiedCount) {
+      return res.status(404).json({ error: "User is not blocked" });
+    }
+    res.status(200).json({ message: "User unblocked" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in unblockUser: ", error.message);
+  }
+};
+
+export { getBlockedUsers, blockUser, unblockUser };
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import { isVisibleUser } from "../utils/helpers/visibility.js";
+
+const MAX_CLOSE_FRIENDS = 500;
+
+const getCloseFriends = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate("closeFriends", "username name profilePic").lean();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.status(200).json((user.closeFriends || []).filter(Boolean));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getCloseFriends: ", error.message);
+  }
+};
+
+// Nobody is told when they are added to or removed from someone's list.
+const addCloseFriend = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    if (req.user._id.toString() === id) {
+      return res.status(400).json({ error: "You cannot add yourself to close friends" });
+    }
+
+    const friend = await User.findById(id).select("username name profilePic isFrozen blocked");
+    if (!isVisibleUser(friend, req.user)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if ((req.user.closeFriends || []).length >= MAX_CLOSE_FRIENDS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_CLOSE_FRIENDS} close friends` });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { closeFriends: friend._id } });
+    res.status(200).json({ _id: friend._id, username: friend.username, name: friend.name, profilePic: friend.profilePic });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in addCloseFriend: ", error.message);
+  }
+};
+
+const removeCloseFriend = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { closeFriends: id } });
+    res.status(200).json({ message: "Removed from close friends" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in removeCloseFriend: ", error.message);
+  }
+};
+
+export { getCloseFriends, addCloseFriend, removeCloseFriend };
@@ -0,0 +1,141 @@
+import User from "../models/userModel.js";
+import bcrypt from "bcryptjs";
+import validator from "validator";
+import sanitizeHtml from "sanitize-html";
+import { revokeSessions } from "../utils/helpers/generateTokenAndSetCookie.js";
+import { issueUserToken, consumeUserToken } from "../utils/helpers/userTokens.js";
+import sendEmail from "../utils/helpers/sendEmail.js";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+const EMAIL_CHANGE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Re-authentication for credential changes: a stolen session alone is not enough.
+const checkCurrentPassword = async (userId, currentPassword) => {
+  const user = await User.findById(userId);
+  if (!user) return { status: 404, error: "User not found" };
+  if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+    return { status: 400, error: "Current password is incorrect" };
+  }
+  return { user };
+};
+
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({ error: "New password must be at least 6 characters" });
+    }
+
+    const { user, status, error } = await checkCurrentPassword(req.user._id, currentPassword);
+    if (error) return res.status(status).json({ error });
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ error: "New password must be different from the current one" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // This device stays signed in; every other one has to log in with the new password.
+    const revoked = await revokeSessions({ userId: user._id, _id: { $ne: req.sessionId } });
+
+    try {
+      const name = sanitizeHtml(user.name, { allowedTags: [], allowedAttributes: {} });
+      await sendEmail({
+        to: user.email,
+        subject: "Your NR Blog password was changed",
+        text:
+          `Hi ${name},\n\nThe password for @${user.username} was just changed and your other devices were signed out.\n\n` +
+          `If this wasn't you, use "Forgot password" on the login page right away: ${CLIENT_URL}/auth`,
+      });
+    } catch (mailError) {
+      console.log("Error sending password change notice: ", mailError.message);
+    }
+
+    res.status(200).json({ message: "Password changed. Other devices have been signed out.", revoked: revoked.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in changePassword: ", error.message);
+  }
+};
+
+const requestEmailChange = async (req, res) => {
+  try {
+    const { currentPassword } = req.body;
+    const newEmail = (req.body.newEmail || "").trim();
+    if (!newEmail || !validator.isEmail(newEmail)) {
+      return res.status(400).json({ error: "Please enter a valid email address" });
+    }
+
+    const { user, status, error } = await checkCurrentPassword(req.user._id, currentPassword);
+    if (error) return res.status(status).json({ error });
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: "That is already your email address" });
+    }
+    if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({ error: "Email already taken" });
+    }
+
+    // The address only changes once the link sent to it is opened.
+    const token = await issueUserToken(user._id, "emailChange", EMAIL_CHANGE_TTL, { email: newEmail });
+    const confirmUrl = `${CLIENT_URL}/confirm-email?token=${token}`;
+    const name = sanitizeHtml(user.name, { allowedTags: [], allowedAttributes: {} });
+
+    await sendEmail({
+      to: newEmail,
+      subject: "Confirm your new NR Blog email",
+      text: `Hi ${name},\n\nConfirm that you want to use this address for @${user.username}. The link expires in 24 hours.\n\n${confirmUrl}`,
+      html: `<p>Hi ${name},</p><p>Confirm that you want to use this address for @${user.username}. The link expires in 24 hours.</p><p><a href="${confirmUrl}">Confirm email</a></p>`,
+    });
+
+    res.status(200).json({ message: `We sent a confirmation link to ${newEmail}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in requestEmailChange: ", error.message);
+  }
+};
+
+const confirmEmailChange = async (req, res) => {
+  try {
+    const userToken = await consumeUserToken(req.body.token, "emailChange");
+    if (!userToken) {
+      return res.status(400).json({ error: "Confirmation link is invalid or has expired" });
+    }
+
+    const user = await User.findById(userToken.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Someone may have registered the address while the link was waiting in the inbox.
+    const newEmail = userToken.data?.email;
+    if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({ error: "Email already taken" });
+    }
+
+    const oldEmail = user.email;
+    user.email = newEmail;
+    user.emailVerified = true;
+    await user.save();
+
+    try {
+      const name = sanitizeHtml(user.name, { allowedTags: [], allowedAttributes: {} });
+      await sendEmail({
+        to: oldEmail,
+        subject: "Your NR Blog email was changed",
+        text:
+          `Hi ${name},\n\nThe email address for @${user.username} was changed from ${oldEmail} to ${newEmail}.\n\n` +
+          "If this wasn't you, contact support right away.",
+      });
+    } catch (mailError) {
+      console.log("Error sending email change notice: ", mailError.message);
+    }
+
+    res.status(200).json({ message: "Email address updated", userId: user._id, email: user.email, emailVerified: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in confirmEmailChange: ", error.message);
+  }
+};
+
+export { changePassword, requestEmailChange, confirmEmailChange };
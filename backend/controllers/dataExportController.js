@@ -0,0 +1,70 @@
+import fs from "fs";
+import DataExport from "../models/dataExportModel.js";
+import { runDataExport } from "../utils/helpers/dataExport.js";
+
+const EXPORT_COOLDOWN = 60 * 60 * 1000; // 1 hour between finished exports
+
+const serializeExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  progress: dataExport.progress,
+  stage: dataExport.stage,
+  fileSize: dataExport.fileSize,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl: dataExport.status === "ready" ? `/api/users/exports/${dataExport._id}/download` : null,
+});
+
+const requestDataExport = async (req, res) => {
+  try {
+    const latest = await DataExport.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+    if (latest && ["pending", "processing"].includes(latest.status)) {
+      return res.status(409).json({ error: "An export is already in progress" });
+    }
+    if (latest?.status === "ready" && Date.now() - latest.createdAt.getTime() < EXPORT_COOLDOWN) {
+      return res.status(429).json({ error: "You can request a new export once an hour" });
+    }
+
+    const dataExport = await DataExport.create({ userId: req.user._id });
+
+    // Not awaited: the archive is built in the background and the client polls for progress.
+    runDataExport(dataExport._id).catch((error) => console.log("Error in runDataExport: ", error.message));
+
+    res.status(202).json(serializeExport(dataExport));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in requestDataExport: ", error.message);
+  }
+};
+
+const getLatestDataExport = async (req, res) => {
+  try {
+    const latest = await DataExport.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+    res.status(200).json(latest ? serializeExport(latest) : null);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getLatestDataExport: ", error.message);
+  }
+};
+
+const downloadDataExport = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!dataExport || dataExport.status !== "ready") {
+      return res.status(404).json({ error: "Export not found" });
+    }
+    if (dataExport.expiresAt <= new Date() || !fs.existsSync(dataExport.filePath)) {
+      return res.status(410).json({ error: "This download link has expired, please request a new export" });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.download(dataExport.filePath, `nrblog-${req.user.username}-${date}.zip`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in downloadDataExport: ", error.message);
+  }
+};
+
+export { requestDataExport, getLatestDataExport, downloadDataExport };
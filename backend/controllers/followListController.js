@@ -0,0 +1,81 @@
+import User from "../models/userModel.js";
+import { resolveUserId } from "../utils/helpers/usernames.js";
+import { getHiddenUserIds, isVisibleUser, canViewContent } from "../utils/helpers/visibility.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const CARD_FIELDS = "username name profilePic isVerified isBanned isPrivate";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// One page of a user's followers or following as lightweight cards. `field` is "followers" or "following".
+// When signed in, each card says whether it follows the viewer and whether the viewer follows it.
+const listConnections = async (req, res, field) => {
+  const user = await User.findById(await resolveUserId(req.params.username)).select(
+    "followers following isPrivate isFrozen blocked"
+  );
+  if (!isVisibleUser(user, req.user)) {
+    return res.status(404).json({ error: "User not found" });
+  }
+  // Like their posts, a private account's connections are only listed to approved followers.
+  if (!canViewContent(user, req.user)) {
+    return res.status(403).json({ error: "This account is private" });
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const search = typeof req.query.search === "string" ? req.query.search.trim().slice(0, 50) : "";
+
+  const hiddenIds = await getHiddenUserIds(req.user, user[field] || []);
+  const filter = { _id: { $in: user[field] || [], $nin: hiddenIds } };
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    filter.$or = [{ username: pattern }, { name: pattern }];
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(CARD_FIELDS)
+      .sort({ username: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(filter),
+  ]);
+
+  const viewerFollowers = new Set((req.user?.followers || []).map((id) => id.toString()));
+  const viewerFollowing = new Set((req.user?.following || []).map((id) => id.toString()));
+  const viewerId = req.user?._id.toString();
+
+  res.status(200).json({
+    users: users.map((card) => ({
+      ...card,
+      isYou: card._id.toString() === viewerId,
+      followsYou: viewerFollowers.has(card._id.toString()),
+      youFollow: viewerFollowing.has(card._id.toString()),
+    })),
+    total,
+    page,
+    hasMore: page * limit < total,
+  });
+};
+
+const getFollowers = async (req, res) => {
+  try {
+    await listConnections(req, res, "followers");
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getFollowers: ", error.message);
+  }
+};
+
+const getFollowing = async (req, res) => {
+  try {
+    await listConnections(req, res, "following");
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getFollowing: ", error.message);
+  }
+};
+
+export { getFollowers, getFollowing };
@@ -0,0 +1,96 @@
+import User from "../models/userModel.js";
+import FollowRequest from "../models/followRequestModel.js";
+import { acceptFollowRequest as approveRequest } from "../utils/helpers/follows.js";
+
+const getFollowRequests = async (req, res) => {
+  try {
+    const requests = await FollowRequest.find({ recipient: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate({ path: "requester", select: "username name profilePic isFrozen" })
+      .lean();
+
+    res.status(200).json(
+      requests
+        .filter((request) => request.requester && !request.requester.isFrozen)
+        .map(({ _id, requester, createdAt }) => ({
+          _id,
+          requester: { _id: requester._id, username: requester.username, name: requester.name, profilePic: requester.profilePic },
+          createdAt,
+        }))
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getFollowRequests: ", error.message);
+  }
+};
+
+// Ids of the accounts the caller is waiting on, so follow buttons can show "Requested".
+const getSentFollowRequests = async (req, res) => {
+  try {
+    const recipients = await FollowRequest.distinct("recipient", { requester: req.user._id });
+    res.status(200).json(recipients);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getSentFollowRequests: ", error.message);
+  }
+};
+
+const acceptFollowRequest = async (req, res) => {
+  try {
+    const request = await FollowRequest.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!request) {
+      return res.status(404).json({ error: "Follow request not found" });
+    }
+
+    await approveRequest(request);
+    res.status(200).json({ message: "Follow request accepted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in acceptFollowRequest: ", error.message);
+  }
+};
+
+// The requester is not told; their button simply goes back to "Follow" next time they look.
+const declineFollowRequest = async (req, res) => {
+  try {
+    const { deletedCount } = await FollowRequest.deleteOne({ _id: req.params.id, recipient: req.user._id });
+    if (!deletedCount) {
+      return res.status(404).json({ error: "Follow request not found" });
+    }
+    res.status(200).json({ message: "Follow request declined" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in declineFollowRequest: ", error.message);
+  }
+};
+
+const setAccountPrivacy = async (req, res) => {
+  try {
+    const { isPrivate } = req.body;
+    if (typeof isPrivate !== "boolean") {
+      return res.status(400).json({ error: "isPrivate must be true or false" });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: { isPrivate } }, { new: true });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Going public lets everyone who was waiting in.
+    let accepted = 0;
+    if (!isPrivate) {
+      const pending = await FollowRequest.find({ recipient: user._id });
+      for (const request of pending) {
+        await approveRequest(request);
+      }
+      accepted = pending.length;
+    }
+
+    res.status(200).json({ isPrivate: user.isPrivate, accepted });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in setAccountPrivacy: ", error.message);
+  }
+};
+
+export { getFollowRequests, getSentFollowRequests, acceptFollowRequest, declineFollowRequest, setAccountPrivacy };
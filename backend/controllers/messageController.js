@@ -3,6 +3,8 @@ import Message from "../models/messageModel.js";
 import { getRecipientSocketId, io } from "../socket/socket.js";
 import { v2 as cloudinary } from "cloudinary";
 import sanitizeHtml from "sanitize-html";
+import { isBlockedBetween } from "../utils/helpers/blocking.js";
+import { isMutedFor } from "../utils/helpers/mutes.js";
 
 async function sendMessage(req, res) {
   try {
@@ -13,6 +15,10 @@ async function sendMessage(req, res) {
       return res.status(400).json({ error: "Recipient ID and message or media required" });
     }
 
+    if (await isBlockedBetween(senderId, recipientId)) {
+      return res.status(403).json({ error: "You can't message this user" });
+    }
+
     let conversation = await Conversation.findOne({
       participants: { $all: [senderId, recipientId] },
     });
@@ -55,13 +61,16 @@ async function sendMessage(req, res) {
         conversationId: conversation._id,
         recipientId,
       });
-      io.to(recipientSocketId).emit("newMessageNotification", {
-        conversationId: conversation._id,
-        sender: populatedMessage.sender,
-        text: sanitizedMessage,
-        img,
-        messageId: newMessage._id,
-      });
+      // The message itself is still delivered; a mute only silences the pop-up
+      if (!(await isMutedFor(recipientId, senderId, sanitizedMessage))) {
+        io.to(recipientSocketId).emit("newMessageNotification", {
+          conversationId: conversation._id,
+          sender: populatedMessage.sender,
+          text: sanitizedMessage,
+          img,
+          messageId: newMessage._id,
+        });
+      }
     }
 
     if (senderSocketId) {
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import Mute from "../models/muteModel.js";
+import { MAX_KEYWORD_LENGTH, normalizeKeyword } from "../utils/helpers/mutes.js";
+
+const MAX_EXPIRY_DAYS = 365;
+const MAX_MUTES = 500;
+
+// Returns { expiresAt } or { error }. No expiry means the mute lasts until removed.
+const parseExpiry = (expiresInDays) => {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === "") return { expiresAt: null };
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    return { error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` };
+  }
+  return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+};
+
+const hasRoomForMute = async (userId) => (await Mute.countDocuments({ userId })) < MAX_MUTES;
+
+const getMutes = async (req, res) => {
+  try {
+    const mutes = await Mute.find({
+      userId: req.user._id,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    })
+      .sort({ createdAt: -1 })
+      .populate("mutedUser", "username name profilePic")
+      .lean();
+
+    // Mutes of accounts that no longer exist are dropped from the list
+    res.status(200).json(mutes.filter((mute) => mute.keyword || mute.mutedUser));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getMutes: ", error.message);
+  }
+};
+
+const muteUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    if (req.user._id.toString() === id) {
+      return res.status(400).json({ error: "You cannot mute yourself" });
+    }
+    const { expiresAt, error } = parseExpiry(req.body.expiresInDays);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = await User.findById(id).select("_id");
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const existing = await Mute.findOne({ userId: req.user._id, mutedUser: target._id });
+    if (!existing && !(await hasRoomForMute(req.user._id))) {
+      return res.status(400).json({ error: `You can have at most ${MAX_MUTES} mutes` });
+    }
+
+    // Muting again just replaces the expiry
+    const mute = await Mute.findOneAndUpdate(
+      { userId: req.user._id, mutedUser: target._id },
+      { $set: { expiresAt } },
+      { upsert: true, new: true }
+    ).populate("mutedUser", "username name profilePic");
+
+    res.status(200).json(mute);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in muteUser: ", error.message);
+  }
+};
+
+const muteKeyword = async (req, res) => {
+  try {
+    const keyword = normalizeKeyword(req.body.keyword);
+    if (!keyword) {
+      return res
+        .status(400)
+        .json({ error: `Enter a word, phrase or #hashtag of at most ${MAX_KEYWORD_LENGTH} characters` });
+    }
+    const { expiresAt, error } = parseExpiry(req.body.expiresInDays);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await Mute.findOne({ userId: req.user._id, keyword });
+    if (!existing && !(await hasRoomForMute(req.user._id))) {
+      return res.status(400).json({ error: `You can have at most ${MAX_MUTES} mutes` });
+    }
+
+    const mute = await Mute.findOneAndUpdate(
+      { userId: req.user._id, keyword },
+      { $set: { expiresAt } },
+      { upsert: true, new: true }
+    );
+
+    res.status(200).json(mute);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in muteKeyword: ", error.message);
+  }
+};
+
+const removeMute = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid mute ID" });
+    }
+
+    const { deletedCount } = await Mute.deleteOne({ _id: id, userId: req.user._id });
+    if (!deletedCount) {
+      return res.status(404).json({ error: "Mute not found" });
+    }
+    res.status(200).json({ message: "Unmuted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in removeMute: ", error.message);
+  }
+};
+
+export { getMutes, muteUser, muteKeyword, removeMute };
@@ -0,0 +1,170 @@
+import User from "../models/userModel.js";
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { getProviders, getProvider, createAuthorizationRequest, resolveIdentity } from "../utils/helpers/oidc.js";
+import { issueUserToken, consumeUserToken } from "../utils/helpers/userTokens.js";
+import { isUsernameAvailable } from "../utils/helpers/usernames.js";
+import { completeLogin, twoFactorChallenge } from "./userController.js";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+const STATE_COOKIE = "oidcState";
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+const LOGIN_TOKEN_TTL = 2 * 60 * 1000; // 2 minutes
+
+// "lax" so the cookie survives the top-level redirect back from the provider.
+const stateCookieOptions = { httpOnly: true, sameSite: "lax", path: "/api/users/oidc" };
+
+const redirectToClient = (res, params) => res.redirect(`${CLIENT_URL}/auth?${new URLSearchParams(params)}`);
+
+const toUsernameBase = (value) =>
+  (value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_.]/g, "")
+    .slice(0, 20);
+
+const generateUniqueUsername = async (identity) => {
+  const base =
+    [identity.preferredUsername, identity.email?.split("@")[0], identity.name]
+      .map(toUsernameBase)
+      .find((candidate) => candidate.length >= 3) || "user";
+
+  const candidates = [base];
+  for (let i = 0; i < 5; i++) candidates.push(`${base}${crypto.randomInt(1000, 10000)}`);
+  for (const candidate of candidates) {
+    if (await isUsernameAvailable(candidate)) return candidate;
+  }
+  return `${base}${crypto.randomBytes(4).toString("hex")}`;
+};
+
+// Returns the linked user, linking by verified email or creating an account the first time. A local account is only
+// linked once its own email is verified: otherwise whoever registered the address first would keep their password
+// and sessions on an account the address's real owner now signs in to.
+const findOrCreateOidcUser = async (provider, identity) => {
+  const linked = await User.findOne({ identities: { $elemMatch: { provider: provider.id, subject: identity.subject } } });
+  if (linked) return { user: linked };
+
+  if (!identity.email || !identity.emailVerified) {
+    return { error: `Your ${provider.label} account has no verified email address` };
+  }
+
+  // Older accounts kept the email as typed, so the lookup ignores case.
+  const email = identity.email.trim().toLowerCase();
+  const existing = await User.findOne({ email }).collation({ locale: "en", strength: 2 });
+  if (existing) {
+    if (!existing.emailVerified) {
+      return {
+        error: `An account already uses this email. Reset its password, then sign in with ${provider.label} again`,
+      };
+    }
+    existing.identities.push({ provider: provider.id, subject: identity.subject });
+    await existing.save();
+    return { user: existing };
+  }
+
+  // The account gets an unguessable password; the owner can set a real one through "Forgot password".
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), salt);
+  const username = await generateUniqueUsername(identity);
+
+  const user = new User({
+    name: identity.name || username,
+    username,
+    email,
+    emailVerified: true,
+    password: hashedPassword,
+    profilePic: identity.picture || "",
+    identities: [{ provider: provider.id, subject: identity.subject }],
+  });
+  await user.save();
+  return { user };
+};
+
+const getOidcProviders = async (req, res) => {
+  try {
+    res.status(200).json(getProviders().map(({ id, label }) => ({ id, label })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getOidcProviders: ", error.message);
+  }
+};
+
+const startOidcLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: "Unknown sign-in provider" });
+    }
+
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(provider);
+    const stateToken = jwt.sign({ provider: provider.id, state, nonce, codeVerifier }, process.env.JWT_SECRET, {
+      expiresIn: STATE_TTL / 1000,
+    });
+    res.cookie(STATE_COOKIE, stateToken, { ...stateCookieOptions, maxAge: STATE_TTL });
+
+    res.redirect(url);
+  } catch (error) {
+    console.log("Error in startOidcLogin: ", error.message);
+    redirectToClient(res, { oidcError: "Sign-in provider is unavailable, please try again later" });
+  }
+};
+
+const oidcCallback = async (req, res) => {
+  const stateToken = req.cookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return redirectToClient(res, { oidcError: "Unknown sign-in provider" });
+    }
+    if (req.query.error) {
+      return redirectToClient(res, { oidcError: req.query.error_description || "Sign-in was cancelled" });
+    }
+
+    let pending;
+    try {
+      pending = jwt.verify(stateToken || "", process.env.JWT_SECRET);
+    } catch {
+      pending = null;
+    }
+    if (!pending || pending.provider !== provider.id || pending.state !== req.query.state || !req.query.code) {
+      return redirectToClient(res, { oidcError: "Sign-in attempt expired, please try again" });
+    }
+
+    const identity = await resolveIdentity(provider, req.query.code, pending);
+    const { user, error } = await findOrCreateOidcUser(provider, identity);
+    if (error) {
+      return redirectToClient(res, { oidcError: error });
+    }
+
+    // The browser trades this one-time token for a session, so the login response goes through completeOidcLogin.
+    const loginToken = await issueUserToken(user._id, "oidcLogin", LOGIN_TOKEN_TTL);
+    redirectToClient(res, { oidcLogin: loginToken });
+  } catch (error) {
+    console.log("Error in oidcCallback: ", error.message);
+    redirectToClient(res, { oidcError: "Could not sign you in, please try again" });
+  }
+};
+
+const completeOidcLogin = async (req, res) => {
+  try {
+    const userToken = await consumeUserToken(req.body.token, "oidcLogin");
+    if (!userToken) {
+      return res.status(400).json({ error: "Sign-in link is invalid or has expired" });
+    }
+
+    const user = await User.findById(userToken.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.isBanned) return res.status(403).json({ error: "Account is banned" });
+
+    if (user.twoFactorEnabled) return twoFactorChallenge(user, res);
+
+    await completeLogin(user, req, res, "oidc");
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in completeOidcLogin: ", error.message);
+  }
+};
+
+export { getOidcProviders, startOidcLogin, oidcCallback, completeOidcLogin };
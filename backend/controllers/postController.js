@@ -1,9 +1,34 @@
-import { Post } from "../models/postModel.js";
+import { Post, MAX_MEDIA_ITEMS, MAX_REPLY_DEPTH } from "../models/postModel.js";
 import Story from "../models/storyModel.js";
+import PostDraft from "../models/postDraftModel.js";
+import PostRevision from "../models/postRevisionModel.js";
 import User from "../models/userModel.js";
 import { v2 as cloudinary } from "cloudinary";
 import fs from "fs";
 import sanitizeHtml from "sanitize-html";
+import { hasPermission } from "../utils/helpers/permissions.js";
+import { emitToPostRoom } from "../socket/socket.js";
+import { resolveUserId, getMentionedUsernames } from "../utils/helpers/usernames.js";
+import {
+  getHiddenUserIds,
+  getHiddenCommenterIds,
+  isVisibleUser,
+  canViewContent,
+  getRestrictedAuthorIds,
+  withVisibleAuthors,
+  withVisibleComments,
+  getCloseFriendAuthorIds,
+  withAudience,
+  isHiddenPost,
+} from "../utils/helpers/visibility.js";
+import { getActiveMutes, withoutMutedContent } from "../utils/helpers/mutes.js";
+import { publishPost, claimDraft, publishDraft, failDraft } from "../utils/helpers/publishing.js";
+import { isPlainRepost, syncShares, withReposts } from "../utils/helpers/reposts.js";
+
+// The populated post as the viewer may see it, without comments from users hidden from them.
+const toVisiblePost = async (post, viewer) => withVisibleComments(post, await getHiddenCommenterIds(viewer, [post]));
+
+const AUDIENCES = ["followers", "closeFriends"];
 
 const SUPPORTED_FORMATS = {
   image: ["image/jpeg", "image/png", "image/gif", "image/heic"],
@@ -49,22 +74,148 @@ const deleteFromCloudinary = async (publicId) => {
   }
 };
 
+const MAX_TEXT_LENGTH = 500;
+const CAROUSEL_TYPES = ["image", "video"];
+const MAX_ALT_TEXT_LENGTH = 500;
+
+const removeTempFiles = (files) => {
+  for (const file of files) {
+    if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  }
+};
+
+// Multipart fields can only carry strings, so per-file metadata arrives as a JSON array.
+const parseJsonArray = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const detectMediaType = (file, requestedType) =>
+  Object.keys(SUPPORTED_FORMATS).find((key) => SUPPORTED_FORMATS[key].includes(file.mimetype)) ||
+  (SUPPORTED_FORMATS[requestedType] ? requestedType : null);
+
+// Uploads one attachment and returns it as a media item plus the public id needed to roll it back.
+const uploadPostMedia = async (file, mediaType) => {
+  if (mediaType === "document") {
+    const uploadResponse = await uploadToCloudinary(file.path, {
+      resource_type: "raw",
+      use_filename: true,
+      folder: "documents",
+    });
+
+    let previewUrl = null;
+    if (file.mimetype === "application/pdf") {
+      try {
+        const previewResponse = await cloudinary.uploader.upload(file.path, {
+          resource_type: "image",
+          transformation: [{ page: 1, format: "jpg", width: 600, crop: "fit" }],
+        });
+        previewUrl = previewResponse.secure_url;
+      } catch (previewError) {
+        console.warn("createPost: Failed to generate PDF preview", { message: previewError.message });
+      }
+    }
+    return {
+      item: { url: uploadResponse.secure_url, type: mediaType, previewUrl, originalFilename: file.originalname },
+      publicId: uploadResponse.public_id,
+    };
+  }
+
+  const uploadOptions = { resource_type: mediaType === "image" ? "image" : "video" };
+  if (file.mimetype === "image/heic") {
+    uploadOptions.transformation = [{ fetch_format: "jpg" }];
+  }
+  const uploadedResponse = await uploadToCloudinary(file.path, uploadOptions);
+  return {
+    item: {
+      url: uploadedResponse.secure_url,
+      type: mediaType,
+      previewUrl: CAROUSEL_TYPES.includes(mediaType) ? uploadedResponse.thumbnail_url : null,
+    },
+    publicId: uploadedResponse.public_id,
+  };
+};
+
+// Checks the request's files against the post rules and uploads them in order. Returns { error } for a bad
+// request, otherwise { mediaItems }. Temp files are left for the caller to remove.
+const uploadRequestMedia = async (req, label) => {
+  const mediaFiles = req.files || [];
+  if (mediaFiles.length > MAX_MEDIA_ITEMS) {
+    console.error(`${label}: Too many media files`, { count: mediaFiles.length });
+    return { error: `A post can have at most ${MAX_MEDIA_ITEMS} media files` };
+  }
+
+  // Older clients send a single mediaType field alongside one file.
+  const requestedTypes = req.body.mediaTypes ? parseJsonArray(req.body.mediaTypes) : [req.body.mediaType];
+  const altTexts = parseJsonArray(req.body.altTexts);
+  const mediaTypes = mediaFiles.map((file, index) => detectMediaType(file, requestedTypes[index]));
+
+  for (const [index, file] of mediaFiles.entries()) {
+    const mediaType = mediaTypes[index];
+    if (!mediaType) {
+      console.error(`${label}: Unsupported file format`, { mimetype: file.mimetype });
+      return { error: `Unsupported file format: ${file.mimetype}. Please upload a valid file.` };
+    }
+    if (mediaFiles.length > 1 && !CAROUSEL_TYPES.includes(mediaType)) {
+      console.error(`${label}: Unsupported carousel item`, { type: mediaType });
+      return { error: "Only photos and videos can be combined in one post" };
+    }
+    if (file.size > MAX_SIZES[mediaType]) {
+      console.error(`${label}: File size exceeded`, { type: mediaType, size: file.size });
+      return { error: `${mediaType} size exceeds ${(MAX_SIZES[mediaType] / (1024 * 1024)).toFixed(2)}MB limit` };
+    }
+    if (typeof altTexts[index] === "string" && altTexts[index].length > MAX_ALT_TEXT_LENGTH) {
+      console.error(`${label}: Alt text too long`, { index, length: altTexts[index].length });
+      return { error: `Alt text must be less than ${MAX_ALT_TEXT_LENGTH} characters` };
+    }
+  }
+
+  const mediaItems = [];
+  const uploadedIds = [];
+  try {
+    for (const [index, file] of mediaFiles.entries()) {
+      const { item, publicId } = await uploadPostMedia(file, mediaTypes[index]);
+      if (!item.url) {
+        console.error(`${label}: Cloudinary upload failed`, { mediaType: mediaTypes[index] });
+        throw new Error("Upload to Cloudinary failed");
+      }
+      uploadedIds.push(publicId);
+      const altText = typeof altTexts[index] === "string" ? altTexts[index] : "";
+      mediaItems.push({ ...item, altText: sanitizeHtml(altText, { allowedTags: [], allowedAttributes: {} }) });
+    }
+  } catch (uploadError) {
+    // Don't leave the earlier items of a half-uploaded carousel behind.
+    await Promise.all(uploadedIds.map((publicId) => deleteFromCloudinary(publicId)));
+    throw uploadError;
+  }
+
+  return { mediaItems };
+};
+
 const createPost = async (req, res) => {
+  const mediaFiles = req.files || [];
   try {
     if (!req.user) {
       console.error("createPost: Missing req.user");
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    const { postedBy, text, mediaType } = req.body;
-    const mediaFile = req.file;
-    let mediaUrl, previewUrl, originalFilename;
+    const { postedBy, text, audience = "followers" } = req.body;
 
     if (!postedBy || !text) {
       console.error("createPost: Missing required fields", { postedBy, text });
       return res.status(400).json({ error: "postedBy and text fields are required" });
     }
 
+    if (!AUDIENCES.includes(audience)) {
+      console.error("createPost: Invalid audience", { audience });
+      return res.status(400).json({ error: `Audience must be one of: ${AUDIENCES.join(", ")}` });
+    }
+
     const user = await User.findById(postedBy);
     if (!user || user.isBanned) {
       console.error("createPost: User not found or banned", { postedBy });
@@ -76,109 +227,259 @@ const createPost = async (req, res) => {
       return res.status(401).json({ error: "Unauthorized to create post" });
     }
 
-    const maxLength = 500;
     const sanitizedText = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} });
-    if (sanitizedText.length > maxLength) {
+    if (sanitizedText.length > MAX_TEXT_LENGTH) {
       console.error("createPost: Text too long", { length: sanitizedText.length });
-      return res.status(400).json({ error: `Text must be less than ${maxLength} characters` });
+      return res.status(400).json({ error: `Text must be less than ${MAX_TEXT_LENGTH} characters` });
     }
 
-    let detectedMediaType = mediaFile
-      ? mediaType || Object.keys(SUPPORTED_FORMATS).find((key) => SUPPORTED_FORMATS[key].includes(mediaFile.mimetype))
-      : null;
-    if (mediaFile && !detectedMediaType) {
-      if (fs.existsSync(mediaFile.path)) fs.unlinkSync(mediaFile.path);
-      console.error("createPost: Unsupported file format", { mimetype: mediaFile.mimetype });
-      return res.status(400).json({ error: `Unsupported file format: ${mediaFile.mimetype}. Please upload a valid file.` });
+    const { error: mediaError, mediaItems } = await uploadRequestMedia(req, "createPost");
+    if (mediaError) {
+      return res.status(400).json({ error: mediaError });
     }
 
-    let newPost;
-    if (mediaFile) {
-      if (mediaFile.size > MAX_SIZES[detectedMediaType]) {
-        if (fs.existsSync(mediaFile.path)) fs.unlinkSync(mediaFile.path);
-        console.error("createPost: File size exceeded", { type: detectedMediaType, size: mediaFile.size });
-        return res.status(400).json({
-          error: `${detectedMediaType} size exceeds ${(MAX_SIZES[detectedMediaType] / (1024 * 1024)).toFixed(2)}MB limit`,
-        });
+    const populatedPost = await publishPost(user, { text: sanitizedText, audience, mediaItems });
+
+    res.status(201).json(populatedPost);
+  } catch (err) {
+    console.error("createPost: Error", { message: err.message, stack: err.stack, postedBy: req.body.postedBy });
+    res.status(500).json({ error: `Failed to create post: ${err.message}` });
+  } finally {
+    removeTempFiles(mediaFiles);
+  }
+};
+
+const MAX_DRAFTS = 100;
+const MAX_SCHEDULE_DAYS = 365;
+
+const getPostDraft = (req) => PostDraft.findOne({ _id: req.params.id, userId: req.user._id });
+
+// Empty clears the schedule. Anything else has to be a real time in the next MAX_SCHEDULE_DAYS days.
+const parsePublishAt = (value) => {
+  if (value === null || value === undefined || value === "") return { publishAt: null };
+  const publishAt = new Date(value);
+  if (Number.isNaN(publishAt.getTime())) return { error: "Invalid publish time" };
+  if (publishAt <= new Date()) return { error: "Publish time must be in the future" };
+  if (publishAt > new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)) {
+    return { error: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+  return { publishAt };
+};
+
+const deleteMediaItems = async (items) => {
+  const urls = new Set(items.flatMap((item) => [item.url, item.previewUrl]));
+  for (const url of urls) {
+    if (url) await deleteFromCloudinary(url.split("/").pop().split(".")[0]);
+  }
+};
+
+const getDrafts = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("getDrafts: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const drafts = await PostDraft.find({ userId: req.user._id }).sort({ updatedAt: -1 });
+    res.status(200).json(drafts);
+  } catch (err) {
+    console.error("getDrafts: Error", { message: err.message, stack: err.stack });
+    res.status(500).json({ error: `Failed to fetch drafts: ${err.message}` });
+  }
+};
+
+const createDraft = async (req, res) => {
+  const mediaFiles = req.files || [];
+  try {
+    if (!req.user) {
+      console.error("createDraft: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const { text = "", audience = "followers" } = req.body;
+    if (!AUDIENCES.includes(audience)) {
+      console.error("createDraft: Invalid audience", { audience });
+      return res.status(400).json({ error: `Audience must be one of: ${AUDIENCES.join(", ")}` });
+    }
+
+    const sanitizedText = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} }).trim();
+    if (sanitizedText.length > MAX_TEXT_LENGTH) {
+      console.error("createDraft: Text too long", { length: sanitizedText.length });
+      return res.status(400).json({ error: `Text must be less than ${MAX_TEXT_LENGTH} characters` });
+    }
+
+    const { publishAt, error: scheduleError } = parsePublishAt(req.body.publishAt);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+    if (publishAt && !sanitizedText) {
+      return res.status(400).json({ error: "Add some text before scheduling a post" });
+    }
+
+    if ((await PostDraft.countDocuments({ userId: req.user._id })) >= MAX_DRAFTS) {
+      console.error("createDraft: Draft limit reached", { userId: req.user._id });
+      return res.status(400).json({ error: `You can keep at most ${MAX_DRAFTS} drafts and scheduled posts` });
+    }
+
+    const { error: mediaError, mediaItems } = await uploadRequestMedia(req, "createDraft");
+    if (mediaError) {
+      return res.status(400).json({ error: mediaError });
+    }
+
+    const draft = await PostDraft.create({
+      userId: req.user._id,
+      text: sanitizedText,
+      audience,
+      mediaItems,
+      publishAt,
+      status: publishAt ? "scheduled" : "draft",
+    });
+    res.status(201).json(draft);
+  } catch (err) {
+    console.error("createDraft: Error", { message: err.message, stack: err.stack });
+    res.status(500).json({ error: `Failed to save draft: ${err.message}` });
+  } finally {
+    removeTempFiles(mediaFiles);
+  }
+};
+
+// Edits text, audience and schedule. Media can be reordered, relabelled or removed, but not added.
+const updateDraft = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("updateDraft: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const draft = await getPostDraft(req);
+    if (!draft) {
+      return res.status(404).json({ error: "Draft not found" });
+    }
+    if (draft.status === "publishing") {
+      return res.status(409).json({ error: "This post is being published" });
+    }
+
+    const { text, audience, mediaItems } = req.body;
+
+    if (text !== undefined) {
+      const sanitizedText = sanitizeHtml(String(text), { allowedTags: [], allowedAttributes: {} }).trim();
+      if (sanitizedText.length > MAX_TEXT_LENGTH) {
+        return res.status(400).json({ error: `Text must be less than ${MAX_TEXT_LENGTH} characters` });
       }
+      draft.text = sanitizedText;
+    }
 
-      const uploadOptions = {
-        resource_type: detectedMediaType === "video" || detectedMediaType === "audio" ? "video" : detectedMediaType === "document" ? "raw" : "image",
-      };
+    if (audience !== undefined) {
+      if (!AUDIENCES.includes(audience)) {
+        return res.status(400).json({ error: `Audience must be one of: ${AUDIENCES.join(", ")}` });
+      }
+      draft.audience = audience;
+    }
 
-      if (detectedMediaType === "document") {
-        const uploadResponse = await uploadToCloudinary(mediaFile.path, {
-          resource_type: "raw",
-          use_filename: true,
-          folder: "documents",
-        });
-        mediaUrl = uploadResponse.secure_url;
-        originalFilename = mediaFile.originalname;
-
-        if (mediaFile.mimetype === "application/pdf") {
-          try {
-            const previewResponse = await cloudinary.uploader.upload(mediaFile.path, {
-              resource_type: "image",
-              transformation: [{ page: 1, format: "jpg", width: 600, crop: "fit" }],
-            });
-            previewUrl = previewResponse.secure_url;
-          } catch (previewError) {
-            console.warn("createPost: Failed to generate PDF preview", { message: previewError.message });
-            previewUrl = null;
-          }
-        } else if (mediaFile.mimetype === "application/zip") {
-          previewUrl = null;
+    let removedItems = [];
+    if (mediaItems !== undefined) {
+      if (!Array.isArray(mediaItems)) {
+        return res.status(400).json({ error: "mediaItems must be an array" });
+      }
+      const existing = new Map(draft.mediaItems.map((item) => [item.url, item.toObject()]));
+      const kept = [];
+      for (const { url, altText = "" } of mediaItems) {
+        if (!existing.has(url) || kept.some((item) => item.url === url)) {
+          return res.status(400).json({ error: "mediaItems can only reorder or remove the draft's media" });
         }
-      } else if (mediaFile.mimetype === "image/heic") {
-        uploadOptions.transformation = [{ fetch_format: "jpg" }];
-        detectedMediaType = "image";
-      } else {
-        const uploadedResponse = await uploadToCloudinary(mediaFile.path, uploadOptions);
-        mediaUrl = uploadedResponse.secure_url;
-        previewUrl = detectedMediaType === "image" || detectedMediaType === "video" ? uploadedResponse.thumbnail_url : null;
+        if (typeof altText !== "string" || altText.length > MAX_ALT_TEXT_LENGTH) {
+          return res.status(400).json({ error: `Alt text must be less than ${MAX_ALT_TEXT_LENGTH} characters` });
+        }
+        kept.push({ ...existing.get(url), altText: sanitizeHtml(altText, { allowedTags: [], allowedAttributes: {} }) });
       }
+      removedItems = [...existing.values()].filter((item) => !kept.some((keptItem) => keptItem.url === item.url));
+      draft.mediaItems = kept;
+    }
 
-      if (!mediaUrl) {
-        console.error("createPost: Cloudinary upload failed", { mediaType: detectedMediaType });
-        throw new Error("Upload to Cloudinary failed");
+    if (req.body.publishAt !== undefined) {
+      const { publishAt, error: scheduleError } = parsePublishAt(req.body.publishAt);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
       }
+      draft.publishAt = publishAt;
+    } else if (draft.publishAt && draft.publishAt <= new Date()) {
+      // A failed post keeps its old time; saving it without a new one turns it back into a draft.
+      draft.publishAt = null;
+    }
+    if (draft.publishAt && !draft.text) {
+      return res.status(400).json({ error: "Add some text before scheduling a post" });
+    }
 
-      newPost = new Post({
-        postedBy,
-        text: sanitizedText,
-        media: mediaUrl,
-        mediaType: detectedMediaType,
-        previewUrl,
-        originalFilename: detectedMediaType === "document" ? originalFilename : undefined,
-      });
-      await newPost.save();
-      if (fs.existsSync(mediaFile.path)) fs.unlinkSync(mediaFile.path);
-    } else {
-      newPost = new Post({ postedBy, text: sanitizedText });
-      await newPost.save();
+    draft.status = draft.publishAt ? "scheduled" : "draft";
+    draft.error = undefined;
+    await draft.save();
+    await deleteMediaItems(removedItems);
+
+    res.status(200).json(draft);
+  } catch (err) {
+    console.error("updateDraft: Error", { message: err.message, stack: err.stack, draftId: req.params.id });
+    res.status(500).json({ error: `Failed to update draft: ${err.message}` });
+  }
+};
+
+const deleteDraft = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("deleteDraft: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
     }
 
-    const query = Post.findById(newPost._id).populate("postedBy", "username profilePic");
-    const populatedPost = await query.exec();
+    const draft = await PostDraft.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $ne: "publishing" },
+    });
+    if (!draft) {
+      const publishing = await PostDraft.exists({ _id: req.params.id, userId: req.user._id });
+      return publishing
+        ? res.status(409).json({ error: "This post is being published" })
+        : res.status(404).json({ error: "Draft not found" });
+    }
 
-    if (req.io) {
-      const followerIds = [...(user.following || []), user._id.toString()];
-      followerIds.forEach((followerId) => {
-        const socketId = req.io.getRecipientSocketId?.(followerId);
-        if (socketId) {
-          req.io.to(socketId).emit("newPost", populatedPost);
-        }
-      });
-      req.io.to(`post:${newPost._id}`).emit("newFeedPost", populatedPost);
-    } else {
-      console.warn("createPost: Socket.IO instance unavailable");
+    await deleteMediaItems(draft.mediaItems);
+    res.status(200).json({ message: draft.status === "scheduled" ? "Scheduled post cancelled" : "Draft deleted" });
+  } catch (err) {
+    console.error("deleteDraft: Error", { message: err.message, stack: err.stack, draftId: req.params.id });
+    res.status(500).json({ error: `Failed to delete draft: ${err.message}` });
+  }
+};
+
+const publishDraftNow = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("publishDraftNow: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
     }
 
-    res.status(201).json(populatedPost);
+    const existing = await getPostDraft(req);
+    if (!existing) {
+      return res.status(404).json({ error: "Draft not found" });
+    }
+    if (!existing.text) {
+      return res.status(400).json({ error: "Add some text before publishing" });
+    }
+
+    // Claimed the same way the scheduler does, so the two can't both publish it.
+    const draft = await claimDraft({ _id: existing._id, status: { $ne: "publishing" } });
+    if (!draft) {
+      return res.status(409).json({ error: "This post is being published" });
+    }
+
+    try {
+      const post = await publishDraft(draft, req.user);
+      res.status(201).json(post);
+    } catch (publishError) {
+      await failDraft(draft, publishError.message);
+      throw publishError;
+    }
   } catch (err) {
-    console.error("createPost: Error", { message: err.message, stack: err.stack, postedBy: req.body.postedBy });
-    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-    res.status(500).json({ error: `Failed to create post: ${err.message}` });
+    console.error("publishDraftNow: Error", { message: err.message, stack: err.stack, draftId: req.params.id });
+    res.status(500).json({ error: `Failed to publish draft: ${err.message}` });
   }
 };
 
@@ -191,12 +492,19 @@ const createStory = async (req, res) => {
 
     const mediaFile = req.file;
     const postedBy = req.user._id;
+    const { audience = "followers" } = req.body;
 
     if (!mediaFile) {
       console.error("createStory: Missing media file");
       return res.status(400).json({ error: "Media is required" });
     }
 
+    if (!AUDIENCES.includes(audience)) {
+      if (fs.existsSync(mediaFile.path)) fs.unlinkSync(mediaFile.path);
+      console.error("createStory: Invalid audience", { audience });
+      return res.status(400).json({ error: `Audience must be one of: ${AUDIENCES.join(", ")}` });
+    }
+
     const user = await User.findById(postedBy);
     if (!user || user.isBanned) {
       console.error("createStory: User not found or banned", { postedBy });
@@ -249,6 +557,7 @@ const createStory = async (req, res) => {
       mediaType,
       duration: mediaType === "video" ? uploadedResponse.duration : 0,
       previewUrl: mediaType === "image" || mediaType === "video" ? uploadedResponse.thumbnail_url : null,
+      audience,
     });
     await newStory.save();
     if (fs.existsSync(mediaFile.path)) fs.unlinkSync(mediaFile.path);
@@ -274,22 +583,20 @@ const deletePost = async (req, res) => {
       return res.status(404).json({ error: "Post not found" });
     }
 
-    if (post.postedBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    if (post.postedBy.toString() !== req.user._id.toString() && !hasPermission(req.user, "posts:moderate")) {
       console.error("deletePost: Unauthorized", { userId: req.user._id, postOwnerId: post.postedBy });
       return res.status(403).json({ error: "Unauthorized to delete post" });
     }
 
-    if (post.media) {
-      const publicId = post.media.split("/").pop().split(".")[0];
-      await deleteFromCloudinary(publicId);
-    }
-
-    if (post.previewUrl) {
-      const previewPublicId = post.previewUrl.split("/").pop().split(".")[0];
-      await deleteFromCloudinary(previewPublicId);
-    }
+    await deleteMediaItems([{ url: post.media, previewUrl: post.previewUrl }, ...(post.mediaItems || [])]);
 
     await Post.findByIdAndDelete(req.params.id);
+    await PostRevision.deleteMany({ postId: post._id });
+    // Plain reposts have nothing left to show; quote posts stay and show the original as unavailable.
+    await Post.deleteMany({ repostOf: post._id, text: "" });
+    if (post.repostOf) {
+      await syncShares(post.repostOf, post.postedBy);
+    }
     if (req.io) {
       req.io.to(`post:${req.params.id}`).emit("postDeleted", { postId: req.params.id, userId: post.postedBy });
     } else {
@@ -319,31 +626,55 @@ const editPost = async (req, res) => {
       return res.status(404).json({ error: "Post not found" });
     }
 
-    if (post.postedBy.toString() !== userId.toString() && !req.user.isAdmin) {
+    if (post.postedBy.toString() !== userId.toString() && !hasPermission(req.user, "posts:moderate")) {
       console.error("editPost: Unauthorized", { userId, postOwnerId: post.postedBy });
       return res.status(403).json({ error: "Unauthorized to edit this post" });
     }
 
-    let isEdited = post.isEdited || false;
-    if (text !== undefined && text !== post.text) {
-      post.text = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} });
-      isEdited = true;
+    if (isPlainRepost(post)) {
+      return res.status(400).json({ error: "Reposts can't be edited" });
+    }
+
+    const previous = {
+      text: post.text,
+      media: post.media,
+      mediaType: post.mediaType,
+      previewUrl: post.previewUrl,
+      mediaItems: post.mediaItems?.length ? post.mediaItems.map((item) => item.toObject()) : undefined,
+    };
+
+    let changed = false;
+    if (text !== undefined) {
+      const sanitizedText = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} });
+      // Without its text a quote post would turn into a plain repost.
+      if (post.repostOf && !sanitizedText.trim()) {
+        return res.status(400).json({ error: "A quote post needs text" });
+      }
+      if (sanitizedText !== post.text) {
+        post.text = sanitizedText;
+        changed = true;
+      }
     }
     if (media !== undefined && media !== post.media) {
       post.media = media;
-      isEdited = true;
+      // Replacing the single attachment turns a carousel back into a one-item post.
+      post.mediaItems = undefined;
+      changed = true;
     }
     if (mediaType !== undefined && mediaType !== post.mediaType) {
       post.mediaType = mediaType;
-      isEdited = true;
+      changed = true;
     }
     if (previewUrl !== undefined && previewUrl !== post.previewUrl) {
       post.previewUrl = previewUrl;
-      isEdited = true;
+      changed = true;
     }
 
-    post.isEdited = isEdited;
-    await post.save();
+    if (changed) {
+      post.isEdited = true;
+      await post.save();
+      await PostRevision.create({ postId: post._id, author: post.postedBy, editedBy: userId, ...previous });
+    }
 
     const query = Post.findById(postId).populate("postedBy", "username profilePic");
     const updatedPost = await query.exec();
@@ -371,11 +702,17 @@ const getPost = async (req, res) => {
       .populate("postedBy", "username profilePic")
       .populate("comments.userId", "username profilePic");
     const post = await query.exec();
-    if (!post || post.isBanned) {
+    if (await isHiddenPost(post, req.user)) {
       console.error("getPost: Post not found or banned", { postId: req.params.id });
       return res.status(404).json({ error: "Post not found or banned" });
     }
-    res.status(200).json(post);
+    const hiddenIds = await getHiddenCommenterIds(req.user, [post]);
+    const [visiblePost] = await withReposts([withVisibleComments(post, hiddenIds)], req.user);
+    if (!visiblePost) {
+      console.error("getPost: Reposted post unavailable", { postId: req.params.id });
+      return res.status(404).json({ error: "This post is no longer available" });
+    }
+    res.status(200).json(visiblePost);
   } catch (err) {
     console.error("getPost: Error", { message: err.message, stack: err.stack, postId: req.params.id });
     res.status(500).json({ error: `Failed to fetch post: ${err.message}` });
@@ -393,7 +730,7 @@ const likeUnlikePost = async (req, res) => {
     const userId = req.user._id;
 
     const post = await Post.findById(postId);
-    if (!post || post.isBanned) {
+    if (await isHiddenPost(post, req.user)) {
       console.error("likeUnlikePost: Post not found or banned", { postId });
       return res.status(404).json({ error: "Post not found or banned" });
     }
@@ -412,20 +749,16 @@ const likeUnlikePost = async (req, res) => {
       .populate("comments.userId", "username profilePic");
     const populatedPost = await query.exec();
 
-    if (req.io) {
-      req.io.to(`post:${postId}`).emit("likeUnlikePost", {
-        postId,
-        userId,
-        likes: populatedPost.likes,
-        post: populatedPost,
-        reactionType: "thumbs-up",
-        timestamp: Date.now(),
-      });
-    } else {
-      console.warn("likeUnlikePost: Socket.IO instance unavailable");
-    }
+    await emitToPostRoom(postId, "likeUnlikePost", {
+      postId,
+      userId,
+      likes: populatedPost.likes,
+      post: populatedPost,
+      reactionType: "thumbs-up",
+      timestamp: Date.now(),
+    });
 
-    res.status(200).json({ likes: populatedPost.likes, post: populatedPost });
+    res.status(200).json({ likes: populatedPost.likes, post: await toVisiblePost(populatedPost, req.user) });
   } catch (err) {
     console.error("likeUnlikePost: Error", { message: err.message, stack: err.stack, postId: req.params.id });
     res.status(500).json({ error: `Failed to like/unlike post: ${err.message}` });
@@ -442,11 +775,15 @@ const bookmarkUnbookmarkPost = async (req, res) => {
     const { id: postId } = req.params;
     const userId = req.user._id;
     const post = await Post.findById(postId);
-    const user = await User.findById(userId);
+    if (await isHiddenPost(post, req.user)) {
+      console.error("bookmarkUnbookmarkPost: Post not found or banned", { postId });
+      return res.status(404).json({ error: "Post not found or banned" });
+    }
 
-    if (!post || !user) {
-      console.error("bookmarkUnbookmarkPost: Post or user not found", { postId, userId });
-      return res.status(404).json({ error: "Post or user not found" });
+    const user = await User.findById(userId);
+    if (!user) {
+      console.error("bookmarkUnbookmarkPost: User not found", { userId });
+      return res.status(404).json({ error: "User not found" });
     }
 
     const isBookmarked = user.bookmarks.includes(postId);
@@ -465,22 +802,18 @@ const bookmarkUnbookmarkPost = async (req, res) => {
       .populate("comments.userId", "username profilePic");
     const populatedPost = await query.exec();
 
-    if (req.io) {
-      req.io.to(`post:${postId}`).emit("bookmarkUnbookmarkPost", {
-        postId,
-        userId,
-        bookmarked: !isBookmarked,
-        post: populatedPost,
-      });
-    } else {
-      console.warn("bookmarkUnbookmarkPost: Socket.IO instance unavailable");
-    }
+    await emitToPostRoom(postId, "bookmarkUnbookmarkPost", {
+      postId,
+      userId,
+      bookmarked: !isBookmarked,
+      post: populatedPost,
+    });
 
     res.status(200).json({
       message: isBookmarked ? "Post unbookmarked" : "Post bookmarked",
       bookmarked: !isBookmarked,
       bookmarks: populatedPost.bookmarks,
-      post: populatedPost,
+      post: await toVisiblePost(populatedPost, req.user),
     });
   } catch (err) {
     console.error("bookmarkUnbookmarkPost: Error", { message: err.message, stack: err.stack, postId: req.params.id });
@@ -488,6 +821,94 @@ const bookmarkUnbookmarkPost = async (req, res) => {
   }
 };
 
+// Reposts a post, or quotes it when the body carries text. Reposting a plain repost shares its original instead.
+const repostPost = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("repostPost: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const userId = req.user._id;
+    const target = await Post.findById(req.params.id);
+    if (await isHiddenPost(target, req.user)) {
+      console.error("repostPost: Post not found or banned", { postId: req.params.id });
+      return res.status(404).json({ error: "Post not found or banned" });
+    }
+
+    const original = isPlainRepost(target) ? await Post.findById(target.repostOf) : target;
+    if (await isHiddenPost(original, req.user)) {
+      console.error("repostPost: Original post unavailable", { postId: req.params.id, repostOf: target.repostOf });
+      return res.status(404).json({ error: "This post is no longer available" });
+    }
+
+    // Reposting would carry these past the audience their author chose.
+    if (original.audience === "closeFriends") {
+      return res.status(403).json({ error: "Close friends posts can't be reposted" });
+    }
+    const isOwnPost = original.postedBy.toString() === userId.toString();
+    if (!isOwnPost && (await User.exists({ _id: original.postedBy, isPrivate: true }))) {
+      return res.status(403).json({ error: "Posts from private accounts can't be reposted" });
+    }
+
+    const user = await User.findById(userId).select("followers closeFriends isBanned");
+    if (!user || user.isBanned) {
+      console.error("repostPost: User not found or banned", { userId });
+      return res.status(404).json({ error: "User not found or banned" });
+    }
+
+    const text = sanitizeHtml(req.body.text || "", { allowedTags: [], allowedAttributes: {} }).trim();
+    if (text.length > MAX_TEXT_LENGTH) {
+      console.error("repostPost: Text too long", { length: text.length });
+      return res.status(400).json({ error: `Text must be less than ${MAX_TEXT_LENGTH} characters` });
+    }
+    if (!text && (await Post.exists({ postedBy: userId, repostOf: original._id, text: "" }))) {
+      return res.status(409).json({ error: "You have already reposted this post" });
+    }
+
+    const repost = await publishPost(user, { text, repostOf: original._id });
+    const shares = await syncShares(original._id, userId);
+
+    const [shaped] = await withReposts([repost.toObject()], req.user);
+    res.status(201).json({ post: shaped, shares });
+  } catch (err) {
+    // The unique index on plain reposts catches a double submit that slipped past the check above.
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "You have already reposted this post" });
+    }
+    console.error("repostPost: Error", { message: err.message, stack: err.stack, postId: req.params.id });
+    res.status(500).json({ error: `Failed to repost: ${err.message}` });
+  }
+};
+
+// Removes the user's plain repost of a post. Quote posts are removed like any other post.
+const undoRepost = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("undoRepost: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const userId = req.user._id;
+    const repost = await Post.findOneAndDelete({ postedBy: userId, repostOf: req.params.id, text: "" });
+    if (!repost) {
+      console.error("undoRepost: Repost not found", { postId: req.params.id, userId });
+      return res.status(404).json({ error: "You haven't reposted this post" });
+    }
+
+    const shares = await syncShares(repost.repostOf, userId);
+    if (req.io) {
+      req.io.to(`post:${repost._id}`).emit("postDeleted", { postId: repost._id.toString(), userId });
+    } else {
+      console.warn("undoRepost: Socket.IO instance unavailable");
+    }
+    res.status(200).json({ message: "Repost removed", repostId: repost._id, shares: shares || [] });
+  } catch (err) {
+    console.error("undoRepost: Error", { message: err.message, stack: err.stack, postId: req.params.id });
+    res.status(500).json({ error: `Failed to undo repost: ${err.message}` });
+  }
+};
+
 const getBookmarks = async (req, res) => {
   try {
     if (!req.user) {
@@ -496,10 +917,11 @@ const getBookmarks = async (req, res) => {
     }
 
     const { username } = req.params;
-    const user = await User.findOne({ username })
+    const closeFriendAuthorIds = await getCloseFriendAuthorIds(req.user);
+    const user = await User.findById(await resolveUserId(username))
       .populate({
         path: "bookmarks",
-        match: { isBanned: false },
+        match: withAudience({ isBanned: false }, req.user, closeFriendAuthorIds),
         populate: {
           path: "postedBy",
           select: "username profilePic",
@@ -508,19 +930,50 @@ const getBookmarks = async (req, res) => {
       })
       .lean();
 
-    if (!user) {
+    if (!isVisibleUser(user, req.user)) {
       console.error("getBookmarks: User not found", { username });
       return res.status(404).json({ error: "User not found" });
     }
+    if (!canViewContent(user, req.user)) {
+      return res.status(200).json([]);
+    }
 
-    const validBookmarks = user.bookmarks.filter((post) => post.postedBy);
-    res.status(200).json(validBookmarks || []);
+    const bookmarks = user.bookmarks.filter((post) => post.postedBy);
+    const [restrictedIds, hiddenIds] = await Promise.all([
+      getRestrictedAuthorIds(req.user, bookmarks.map((post) => post.postedBy._id)),
+      getHiddenCommenterIds(req.user, bookmarks),
+    ]);
+    const restricted = new Set(restrictedIds.map((id) => id.toString()));
+    const validBookmarks = bookmarks
+      .filter((post) => !restricted.has(post.postedBy._id.toString()))
+      .map((post) => withVisibleComments(post, hiddenIds));
+    res.status(200).json(await withReposts(validBookmarks, req.user));
   } catch (err) {
     console.error("getBookmarks: Error", { message: err.message, stack: err.stack, username: req.params.username });
     res.status(500).json({ error: `Failed to fetch bookmarks: ${err.message}` });
   }
 };
 
+const MAX_MENTIONS = 10;
+const MAX_REPLIES_PAGE_SIZE = 50;
+
+// Accounts named with @username in a comment or reply. Ones the author can't see are left out.
+const resolveMentions = async (text, author) => {
+  const usernames = getMentionedUsernames(text).slice(0, MAX_MENTIONS);
+  if (!usernames.length) return [];
+  const users = await User.find({ username: { $in: usernames } }).select("_id blocked isFrozen");
+  return users.filter((user) => isVisibleUser(user, author)).map((user) => user._id);
+};
+
+// Adds how many direct replies each comment has, counted among the comments the viewer can see.
+const withReplyCounts = (items, comments) => {
+  const counts = {};
+  for (const comment of comments) {
+    if (comment.parentId) counts[comment.parentId.toString()] = (counts[comment.parentId.toString()] || 0) + 1;
+  }
+  return items.map((comment) => ({ ...comment, replyCount: counts[comment._id.toString()] || 0 }));
+};
+
 const commentOnPost = async (req, res) => {
   try {
     if (!req.user) {
@@ -538,7 +991,7 @@ const commentOnPost = async (req, res) => {
     }
 
     const post = await Post.findById(postId);
-    if (!post || post.isBanned) {
+    if (await isHiddenPost(post, req.user)) {
       console.error("commentOnPost: Post not found or banned", { postId });
       return res.status(404).json({ error: "Post not found or banned" });
     }
@@ -549,13 +1002,15 @@ const commentOnPost = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
+    const sanitizedText = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} });
     const comment = {
       userId,
-      text: sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} }),
+      text: sanitizedText,
       username: user.username,
       userProfilePic: user.profilePic,
       createdAt: new Date(),
       likes: [],
+      mentions: await resolveMentions(sanitizedText, req.user),
       isEdited: false,
     };
 
@@ -569,24 +1024,142 @@ const commentOnPost = async (req, res) => {
 
     const newComment = populatedPost.comments[populatedPost.comments.length - 1];
 
-    if (req.io) {
-      req.io.to(`post:${postId}`).emit("newComment", {
-        postId,
-        comment: newComment,
-        post: populatedPost,
-        timestamp: Date.now(),
-      });
-    } else {
-      console.warn("commentOnPost: Socket.IO instance unavailable");
-    }
+    await emitToPostRoom(
+      postId,
+      "newComment",
+      { postId, comment: newComment, post: populatedPost, timestamp: Date.now() },
+      userId,
+      sanitizedText
+    );
 
-    res.status(201).json({ comment: newComment, post: populatedPost });
+    res.status(201).json({ comment: newComment, post: await toVisiblePost(populatedPost, req.user) });
   } catch (err) {
     console.error("commentOnPost: Error", { message: err.message, stack: err.stack, postId: req.params.postId });
     res.status(500).json({ error: `Failed to add comment: ${err.message}` });
   }
 };
 
+// Replies to a comment or to another reply. Answering a reply that is already MAX_REPLY_DEPTH deep adds a sibling
+// instead, so threads never nest further than that.
+const replyToComment = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("replyToComment: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const { postId, commentId } = req.params;
+    const { text } = req.body;
+    const userId = req.user._id;
+
+    if (!text || !text.trim()) {
+      console.error("replyToComment: Missing text", { postId, commentId });
+      return res.status(400).json({ error: "Reply text is required" });
+    }
+
+    const post = await Post.findById(postId);
+    if (await isHiddenPost(post, req.user)) {
+      console.error("replyToComment: Post not found or banned", { postId });
+      return res.status(404).json({ error: "Post not found or banned" });
+    }
+
+    const parent = post.comments.id(commentId);
+    if (!parent || (await getHiddenUserIds(req.user, [parent.userId])).length > 0) {
+      console.error("replyToComment: Comment not found", { commentId });
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const user = await User.findById(userId).select("username profilePic");
+    if (!user) {
+      console.error("replyToComment: User not found", { userId });
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const sanitizedText = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} });
+    if (sanitizedText.length > MAX_TEXT_LENGTH) {
+      console.error("replyToComment: Text too long", { length: sanitizedText.length });
+      return res.status(400).json({ error: `Text must be less than ${MAX_TEXT_LENGTH} characters` });
+    }
+
+    const atDepthLimit = parent.depth >= MAX_REPLY_DEPTH;
+    post.comments.push({
+      parentId: atDepthLimit ? parent.parentId : parent._id,
+      depth: atDepthLimit ? parent.depth : parent.depth + 1,
+      userId,
+      text: sanitizedText,
+      username: user.username,
+      userProfilePic: user.profilePic,
+      createdAt: new Date(),
+      likes: [],
+      mentions: await resolveMentions(sanitizedText, req.user),
+      isEdited: false,
+    });
+    const replyId = post.comments[post.comments.length - 1]._id;
+    await post.save();
+
+    const query = Post.findById(postId)
+      .populate("postedBy", "username profilePic")
+      .populate("comments.userId", "username profilePic");
+    const populatedPost = await query.exec();
+    const reply = { ...populatedPost.comments.id(replyId).toObject(), replyCount: 0 };
+
+    await emitToPostRoom(
+      postId,
+      "newReply",
+      { postId, parentId: reply.parentId, comment: reply, post: populatedPost, timestamp: Date.now() },
+      userId,
+      sanitizedText
+    );
+
+    res.status(201).json({ comment: reply, post: await toVisiblePost(populatedPost, req.user) });
+  } catch (err) {
+    console.error("replyToComment: Error", { message: err.message, stack: err.stack, postId: req.params.postId, commentId: req.params.commentId });
+    res.status(500).json({ error: `Failed to add reply: ${err.message}` });
+  }
+};
+
+// Direct replies to a comment, oldest first, a page at a time.
+const getCommentReplies = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("getCommentReplies: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const { postId, commentId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_REPLIES_PAGE_SIZE);
+
+    const post = await Post.findById(postId).populate({
+      path: "comments.userId",
+      select: "username profilePic",
+      match: { _id: { $exists: true } },
+    });
+    if (await isHiddenPost(post, req.user)) {
+      console.error("getCommentReplies: Post not found or banned", { postId });
+      return res.status(404).json({ error: "Post not found or banned" });
+    }
+
+    const { comments } = withVisibleComments(post, await getHiddenCommenterIds(req.user, [post]));
+    if (!comments.some((comment) => comment._id.toString() === commentId)) {
+      console.error("getCommentReplies: Comment not found", { commentId });
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const replies = comments
+      .filter((comment) => comment.parentId?.toString() === commentId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const skip = (page - 1) * limit;
+    res.status(200).json({
+      replies: withReplyCounts(replies.slice(skip, skip + limit), comments),
+      totalReplies: replies.length,
+    });
+  } catch (err) {
+    console.error("getCommentReplies: Error", { message: err.message, stack: err.stack, postId: req.params.postId, commentId: req.params.commentId });
+    res.status(500).json({ error: `Failed to fetch replies: ${err.message}` });
+  }
+};
+
 const editComment = async (req, res) => {
   try {
     if (!req.user) {
@@ -599,9 +1172,9 @@ const editComment = async (req, res) => {
     const userId = req.user._id;
 
     const post = await Post.findById(postId);
-    if (!post) {
-      console.error("editComment: Post not found", { postId });
-      return res.status(404).json({ error: "Post not found" });
+    if (await isHiddenPost(post, req.user)) {
+      console.error("editComment: Post not found or banned", { postId });
+      return res.status(404).json({ error: "Post not found or banned" });
     }
 
     const comment = post.comments.id(commentId);
@@ -610,7 +1183,7 @@ const editComment = async (req, res) => {
       return res.status(404).json({ error: "Comment not found" });
     }
 
-    if (comment.userId.toString() !== userId.toString() && !req.user.isAdmin) {
+    if (comment.userId.toString() !== userId.toString() && !hasPermission(req.user, "comments:moderate")) {
       console.error("editComment: Unauthorized", { userId, commentUserId: comment.userId });
       return res.status(403).json({ error: "Unauthorized to edit this comment" });
     }
@@ -620,35 +1193,131 @@ const editComment = async (req, res) => {
       return res.status(400).json({ error: "Comment text cannot be empty" });
     }
 
-    comment.text = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} });
-    comment.isEdited = true;
-    comment.updatedAt = new Date();
-    await post.save();
+    const sanitizedText = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} });
+    const previousText = comment.text;
+    if (sanitizedText !== previousText) {
+      comment.text = sanitizedText;
+      comment.mentions = await resolveMentions(sanitizedText, req.user);
+      comment.isEdited = true;
+      comment.updatedAt = new Date();
+      await post.save();
+      await PostRevision.create({ postId, commentId, author: comment.userId, editedBy: userId, text: previousText });
+    }
 
     const query = Post.findById(postId)
       .populate("postedBy", "username profilePic")
       .populate("comments.userId", "username profilePic");
     const populatedPost = await query.exec();
 
-    if (req.io) {
-      req.io.to(`post:${postId}`).emit("editComment", {
-        postId,
-        commentId,
-        comment,
-        post: populatedPost,
-        timestamp: Date.now(),
-      });
-    } else {
-      console.warn("editComment: Socket.IO instance unavailable");
-    }
+    await emitToPostRoom(postId, "editComment", {
+      postId,
+      commentId,
+      parentId: comment.parentId,
+      comment,
+      post: populatedPost,
+      timestamp: Date.now(),
+    });
 
-    res.status(200).json({ comment, post: populatedPost });
+    res.status(200).json({ comment, post: await toVisiblePost(populatedPost, req.user) });
   } catch (err) {
     console.error("editComment: Error", { message: err.message, stack: err.stack, postId: req.params.postId, commentId: req.params.commentId });
     res.status(500).json({ error: `Failed to edit comment: ${err.message}` });
   }
 };
 
+// Moderators see the editor of each revision; everyone else only learns whether a moderator made the edit.
+const toRevisionResponse = (revision, canModerate) => {
+  const { editedBy, ...rest } = revision;
+  return {
+    ...rest,
+    editedByModerator: Boolean(editedBy) && !revision.author.equals(editedBy._id),
+    ...(canModerate && { editedBy }),
+  };
+};
+
+// Loads the post for a history request. Moderators can read the history of posts readers can no longer see.
+const findRevisionPost = async (postId, viewer) => {
+  const post = await Post.findById(postId);
+  if (!post) return null;
+  if (hasPermission(viewer, "posts:moderate")) return post;
+  return (await isHiddenPost(post, viewer)) ? null : post;
+};
+
+const getPostRevisions = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("getPostRevisions: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const post = await findRevisionPost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ error: "Post not found or banned" });
+    }
+
+    const canModerate = hasPermission(req.user, "posts:moderate");
+    const revisions = await PostRevision.find({ postId: post._id, commentId: null })
+      .sort({ createdAt: -1 })
+      .populate("editedBy", "username")
+      .lean();
+
+    res.status(200).json({
+      current: {
+        text: post.text,
+        media: post.media,
+        mediaType: post.mediaType,
+        previewUrl: post.previewUrl,
+        mediaItems: post.mediaItems,
+        updatedAt: post.updatedAt,
+      },
+      revisions: revisions.map((revision) => toRevisionResponse(revision, canModerate)),
+    });
+  } catch (err) {
+    console.error("getPostRevisions: Error", { message: err.message, stack: err.stack, postId: req.params.id });
+    res.status(500).json({ error: `Failed to fetch edit history: ${err.message}` });
+  }
+};
+
+const getCommentRevisions = async (req, res) => {
+  try {
+    if (!req.user) {
+      console.error("getCommentRevisions: Missing req.user");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const { postId, commentId } = req.params;
+    const post = await findRevisionPost(postId, req.user);
+    if (!post) {
+      return res.status(404).json({ error: "Post not found or banned" });
+    }
+
+    const canModerate = hasPermission(req.user, "comments:moderate");
+    const comment = post.comments.id(commentId);
+    const hiddenComment = comment && !canModerate && (await getHiddenUserIds(req.user, [comment.userId])).length > 0;
+    if (!comment || hiddenComment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const revisions = await PostRevision.find({ postId: post._id, commentId: comment._id })
+      .sort({ createdAt: -1 })
+      .populate("editedBy", "username")
+      .lean();
+
+    res.status(200).json({
+      current: { text: comment.text, updatedAt: comment.updatedAt },
+      revisions: revisions.map((revision) => toRevisionResponse(revision, canModerate)),
+    });
+  } catch (err) {
+    console.error("getCommentRevisions: Error", {
+      message: err.message,
+      stack: err.stack,
+      postId: req.params.postId,
+      commentId: req.params.commentId,
+    });
+    res.status(500).json({ error: `Failed to fetch edit history: ${err.message}` });
+  }
+};
+
 const deleteComment = async (req, res) => {
   try {
     if (!req.user) {
@@ -660,7 +1329,7 @@ const deleteComment = async (req, res) => {
     const userId = req.user._id;
 
     const post = await Post.findById(postId);
-    if (!post || post.isBanned) {
+    if (await isHiddenPost(post, req.user)) {
       console.error("deleteComment: Post not found or banned", { postId });
       return res.status(404).json({ error: "Post not found or banned" });
     }
@@ -671,31 +1340,41 @@ const deleteComment = async (req, res) => {
       return res.status(404).json({ error: "Comment not found" });
     }
 
-    if (comment.userId.toString() !== userId.toString() && userId.toString() !== post.postedBy.toString() && !req.user.isAdmin) {
+    if (
+      comment.userId.toString() !== userId.toString() &&
+      userId.toString() !== post.postedBy.toString() &&
+      !hasPermission(req.user, "comments:moderate")
+    ) {
       console.error("deleteComment: Unauthorized", { userId, commentUserId: comment.userId, postOwnerId: post.postedBy });
       return res.status(403).json({ error: "Unauthorized to delete this comment" });
     }
 
-    post.comments.pull({ _id: commentId });
+    // Replies go with the comment they answer, all the way down the thread.
+    const removedIds = [comment._id.toString()];
+    for (let i = 0; i < removedIds.length; i += 1) {
+      post.comments
+        .filter((reply) => reply.parentId?.toString() === removedIds[i])
+        .forEach((reply) => removedIds.push(reply._id.toString()));
+    }
+    post.comments.pull(...removedIds);
     await post.save();
+    await PostRevision.deleteMany({ postId, commentId: { $in: removedIds } });
 
     const query = Post.findById(postId)
       .populate("postedBy", "username profilePic")
       .populate("comments.userId", "username profilePic");
     const populatedPost = await query.exec();
 
-    if (req.io) {
-      req.io.to(`post:${postId}`).emit("deleteComment", {
-        postId,
-        commentId,
-        post: populatedPost,
-        timestamp: Date.now(),
-      });
-    } else {
-      console.warn("deleteComment: Socket.IO instance unavailable");
-    }
+    await emitToPostRoom(postId, "deleteComment", {
+      postId,
+      commentId,
+      parentId: comment.parentId,
+      removedIds,
+      post: populatedPost,
+      timestamp: Date.now(),
+    });
 
-    res.status(200).json({ message: "Comment deleted successfully", post: populatedPost });
+    res.status(200).json({ message: "Comment deleted successfully", post: await toVisiblePost(populatedPost, req.user) });
   } catch (err) {
     console.error("deleteComment: Error", { message: err.message, stack: err.stack, postId: req.params.postId, commentId: req.params.commentId });
     res.status(500).json({ error: `Failed to delete comment: ${err.message}` });
@@ -713,13 +1392,13 @@ const likeUnlikeComment = async (req, res) => {
     const userId = req.user._id;
 
     const post = await Post.findById(postId);
-    if (!post || post.isBanned) {
+    if (await isHiddenPost(post, req.user)) {
       console.error("likeUnlikeComment: Post not found or banned", { postId });
       return res.status(404).json({ error: "Post not found or banned" });
     }
 
     const comment = post.comments.id(commentId);
-    if (!comment) {
+    if (!comment || (await getHiddenUserIds(req.user, [comment.userId])).length > 0) {
       console.error("likeUnlikeComment: Comment not found", { commentId });
       return res.status(404).json({ error: "Comment not found" });
     }
@@ -738,20 +1417,17 @@ const likeUnlikeComment = async (req, res) => {
       .populate("comments.userId", "username profilePic");
     const populatedPost = await query.exec();
 
-    if (req.io) {
-      req.io.to(`post:${postId}`).emit("likeUnlikeComment", {
-        postId,
-        commentId,
-        userId,
-        likes: comment.likes,
-        post: populatedPost,
-        timestamp: Date.now(),
-      });
-    } else {
-      console.warn("likeUnlikeComment: Socket.IO instance unavailable");
-    }
+    await emitToPostRoom(postId, "likeUnlikeComment", {
+      postId,
+      commentId,
+      parentId: comment.parentId,
+      userId,
+      likes: comment.likes,
+      post: populatedPost,
+      timestamp: Date.now(),
+    });
 
-    res.status(200).json({ likes: comment.likes, post: populatedPost });
+    res.status(200).json({ likes: comment.likes, post: await toVisiblePost(populatedPost, req.user) });
   } catch (err) {
     console.error("likeUnlikeComment: Error", { message: err.message, stack: err.stack, postId: req.params.postId, commentId: req.params.commentId });
     res.status(500).json({ error: `Failed to like/unlike comment: ${err.message}` });
@@ -765,11 +1441,6 @@ const banPost = async (req, res) => {
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    if (!req.user.isAdmin) {
-      console.error("banPost: Admin access required", { userId: req.user._id });
-      return res.status(403).json({ error: "Admin access required" });
-    }
-
     const { id } = req.params;
     const post = await Post.findById(id);
     if (!post) {
@@ -819,11 +1490,6 @@ const unbanPost = async (req, res) => {
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    if (!req.user.isAdmin) {
-      console.error("unbanPost: Admin access required", { userId: req.user._id });
-      return res.status(403).json({ error: "Admin access required" });
-    }
-
     const { id } = req.params;
     const post = await Post.findById(id);
     if (!post) {
@@ -881,10 +1547,28 @@ const getFeedPosts = async (req, res) => {
     }
 
     const following = user.following || [];
-    const query = Post.find({
-      postedBy: { $in: [...following, userId] },
-      isBanned: false,
-    })
+    const [restrictedIds, mutes, closeFriendAuthorIds] = await Promise.all([
+      getRestrictedAuthorIds(req.user, [...following, userId]),
+      getActiveMutes(userId),
+      getCloseFriendAuthorIds(req.user),
+    ]);
+    const query = Post.find(
+      withoutMutedContent(
+        withAudience(
+          withVisibleAuthors(
+            {
+              postedBy: { $in: [...following, userId] },
+              isBanned: false,
+            },
+            restrictedIds
+          ),
+          req.user,
+          closeFriendAuthorIds
+        ),
+        mutes,
+        "text"
+      )
+    )
       .sort({ createdAt: -1 })
       .populate({
         path: "postedBy",
@@ -896,31 +1580,33 @@ const getFeedPosts = async (req, res) => {
         select: "username profilePic",
         match: { _id: { $exists: true } },
       });
-    const feedPosts = await query.exec();
+    const feedPosts = (await query.exec()).filter((post) => post.postedBy);
 
-    const validPosts = feedPosts.filter((post) => post.postedBy);
-    res.status(200).json(validPosts);
+    const hiddenIds = await getHiddenCommenterIds(req.user, feedPosts);
+    const validPosts = feedPosts.map((post) => withVisibleComments(post, hiddenIds));
+    res.status(200).json(await withReposts(validPosts, req.user, mutes));
   } catch (err) {
     console.error("getFeedPosts: Error", { message: err.message, stack: err.stack, userId: req.user?._id });
     res.status(500).json({ error: `Failed to fetch feed posts: ${err.message}` });
   }
 };
 
+// Public, like the profile it belongs to: req.user is null for signed-out visitors.
 const getUserPosts = async (req, res) => {
   try {
-    if (!req.user) {
-      console.error("getUserPosts: Missing req.user");
-      return res.status(401).json({ error: "Authentication required" });
-    }
-
     const { username } = req.params;
-    const user = await User.findOne({ username });
-    if (!user) {
+    const user = await User.findById(await resolveUserId(username));
+    if (!isVisibleUser(user, req.user)) {
       console.error("getUserPosts: User not found", { username });
       return res.status(404).json({ error: "User not found" });
     }
+    // The profile of a private account stays visible, its posts do not.
+    if (!canViewContent(user, req.user)) {
+      return res.status(200).json([]);
+    }
+    const closeFriendAuthorIds = await getCloseFriendAuthorIds(req.user);
 
-    const query = Post.find({ postedBy: user._id, isBanned: false })
+    const query = Post.find(withAudience({ postedBy: user._id, isBanned: false }, req.user, closeFriendAuthorIds))
       .sort({ createdAt: -1 })
       .populate({
         path: "postedBy",
@@ -932,10 +1618,11 @@ const getUserPosts = async (req, res) => {
         select: "username profilePic",
         match: { _id: { $exists: true } },
       });
-    const userPosts = await query.exec();
+    const userPosts = (await query.exec()).filter((post) => post.postedBy);
 
-    const validPosts = userPosts.filter((post) => post.postedBy);
-    res.status(200).json(validPosts);
+    const hiddenIds = await getHiddenCommenterIds(req.user, userPosts);
+    const validPosts = userPosts.map((post) => withVisibleComments(post, hiddenIds));
+    res.status(200).json(await withReposts(validPosts, req.user));
   } catch (err) {
     console.error("getUserPosts: Error", { message: err.message, stack: err.stack, username: req.params.username });
     res.status(500).json({ error: `Failed to fetch user posts: ${err.message}` });
@@ -949,11 +1636,6 @@ const getAllPosts = async (req, res) => {
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    if (!req.user.isAdmin) {
-      console.error("getAllPosts: Admin access required", { userId: req.user._id });
-      return res.status(403).json({ error: "Admin access required" });
-    }
-
     const query = Post.find({})
       .sort({ createdAt: -1 })
       .populate({
@@ -968,8 +1650,8 @@ const getAllPosts = async (req, res) => {
       });
     const allPosts = await query.exec();
 
-    const validPosts = allPosts.filter((post) => post.postedBy);
-    res.status(200).json(validPosts);
+    const validPosts = allPosts.filter((post) => post.postedBy).map((post) => post.toObject());
+    res.status(200).json(await withReposts(validPosts, req.user));
   } catch (err) {
     console.error("getAllPosts: Error", { message: err.message, stack: err.stack, userId: req.user?._id });
     res.status(500).json({ error: `Failed to fetch all posts: ${err.message}` });
@@ -987,13 +1669,12 @@ const getPaginatedComments = async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
 
     const post = await Post.findById(postId);
-    if (!post || post.isBanned) {
+    if (await isHiddenPost(post, req.user)) {
       console.error("getPaginatedComments: Post not found or banned", { postId });
       return res.status(404).json({ error: "Post not found or banned" });
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const comments = post.comments.slice(skip, skip + parseInt(limit));
 
     const query = Post.findById(postId)
       .populate({
@@ -1017,9 +1698,12 @@ const getPaginatedComments = async (req, res) => {
       });
     }
 
+    const { comments } = withVisibleComments(populatedPost, await getHiddenCommenterIds(req.user, [populatedPost]));
+    // Replies load per thread through getCommentReplies
+    const topLevel = comments.filter((comment) => !comment.parentId);
     res.status(200).json({
-      comments: populatedPost.comments.slice(skip, skip + parseInt(limit)),
-      totalComments: populatedPost.comments.length,
+      comments: withReplyCounts(topLevel.slice(skip, skip + parseInt(limit)), comments),
+      totalComments: topLevel.length,
     });
   } catch (err) {
     console.error("getPaginatedComments: Error", { message: err.message, stack: err.stack, postId: req.params.postId });
@@ -1042,7 +1726,22 @@ const getStories = async (req, res) => {
     }
 
     const following = user.following || [];
-    const stories = await Story.find({ postedBy: { $in: [...following, userId] } })
+    const [restrictedIds, mutes, closeFriendAuthorIds] = await Promise.all([
+      getRestrictedAuthorIds(req.user, [...following, userId]),
+      getActiveMutes(userId),
+      getCloseFriendAuthorIds(req.user),
+    ]);
+    const stories = await Story.find(
+      withoutMutedContent(
+        withAudience(
+          withVisibleAuthors({ postedBy: { $in: [...following, userId] } }, restrictedIds),
+          req.user,
+          closeFriendAuthorIds
+        ),
+        mutes,
+        "caption"
+      )
+    )
       .sort({ createdAt: -1 })
       .populate("postedBy", "username profilePic");
 
@@ -1053,6 +1752,10 @@ const getStories = async (req, res) => {
   }
 };
 
+const SUGGESTED_POSTS_LIMIT = 10;
+// Restricted authors are dropped after the query, so it fetches extra to still fill the list.
+const SUGGESTED_POSTS_CANDIDATES = 30;
+
 const getSuggestedPosts = async (req, res) => {
   try {
     if (!req.user) {
@@ -1068,12 +1771,23 @@ const getSuggestedPosts = async (req, res) => {
     }
 
     const following = user.following || [];
-    const query = Post.find({
-      postedBy: { $nin: [userId, ...following] },
-      isBanned: false,
-    })
+    const mutes = await getActiveMutes(userId);
+    // Suggestions come from accounts the viewer doesn't follow, so close-friends posts never qualify
+    const query = Post.find(
+      withoutMutedContent(
+        {
+          postedBy: { $nin: [userId, ...following] },
+          isBanned: false,
+          audience: { $ne: "closeFriends" },
+          // Suggest what people wrote, not what they passed along
+          repostOf: null,
+        },
+        mutes,
+        "text"
+      )
+    )
       .sort({ createdAt: -1 })
-      .limit(10)
+      .limit(SUGGESTED_POSTS_CANDIDATES)
       .populate({
         path: "postedBy",
         select: "username profilePic",
@@ -1084,9 +1798,16 @@ const getSuggestedPosts = async (req, res) => {
         select: "username profilePic",
         match: { _id: { $exists: true } },
       });
-    const suggestedPosts = await query.exec();
-
-    const validPosts = suggestedPosts.filter((post) => post.postedBy);
+    const candidates = (await query.exec()).filter((post) => post.postedBy);
+    const restricted = new Set(
+      (await getRestrictedAuthorIds(req.user, candidates.map((post) => post.postedBy._id))).map((id) => id.toString())
+    );
+    const suggestedPosts = candidates
+      .filter((post) => !restricted.has(post.postedBy._id.toString()))
+      .slice(0, SUGGESTED_POSTS_LIMIT);
+
+    const hiddenIds = await getHiddenCommenterIds(req.user, suggestedPosts);
+    const validPosts = suggestedPosts.map((post) => withVisibleComments(post, hiddenIds));
     res.status(200).json(validPosts);
   } catch (err) {
     console.error("getSuggestedPosts: Error", { message: err.message, stack: err.stack, userId: req.user._id });
@@ -1096,16 +1817,27 @@ const getSuggestedPosts = async (req, res) => {
 
 export {
   createPost,
+  getDrafts,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  publishDraftNow,
   createStory,
   getPost,
   deletePost,
   likeUnlikePost,
   bookmarkUnbookmarkPost,
+  repostPost,
+  undoRepost,
   getBookmarks,
   commentOnPost,
+  replyToComment,
+  getCommentReplies,
   likeUnlikeComment,
   editComment,
   deleteComment,
+  getPostRevisions,
+  getCommentRevisions,
   banPost,
   unbanPost,
   getFeedPosts,
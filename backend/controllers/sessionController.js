@@ -0,0 +1,124 @@
+import Session from "../models/sessionModel.js";
+import LoginEvent from "../models/loginEventModel.js";
+import { hashToken, rotateRefreshToken, clearAuthCookies, revokeSessions } from "../utils/helpers/generateTokenAndSetCookie.js";
+import { disconnectSessions } from "../socket/socket.js";
+import { describeUserAgent } from "../utils/helpers/userAgent.js";
+
+const refreshSession = async (req, res) => {
+  try {
+    const [sessionId, secret] = (req.cookies.refreshToken || "").split(".");
+    if (!sessionId || !secret) {
+      return res.status(401).json({ error: "No refresh token provided" });
+    }
+
+    const session = await Session.findById(sessionId).catch(() => null);
+    if (!session || !session.isActive()) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: "Session expired or revoked" });
+    }
+
+    // A refresh token that was already rotated is being replayed: assume it leaked and kill the session.
+    if (session.refreshTokenHash !== hashToken(secret)) {
+      session.revokedAt = new Date();
+      await session.save();
+      disconnectSessions([session._id]);
+      clearAuthCookies(res);
+      return res.status(401).json({ error: "Session expired or revoked" });
+    }
+
+    await rotateRefreshToken(session, res);
+    res.status(200).json({ message: "Session refreshed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in refreshSession: ", error.message);
+  }
+};
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        _id: session._id,
+        device: describeUserAgent(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        isCurrent: session._id.toString() === req.sessionId.toString(),
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getSessions: ", error.message);
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+    disconnectSessions([session._id]);
+
+    if (session._id.toString() === req.sessionId.toString()) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({ message: "Session revoked" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in revokeSession: ", error.message);
+  }
+};
+
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const sessionIds = await revokeSessions({ userId: req.user._id, _id: { $ne: req.sessionId } });
+
+    res.status(200).json({ message: "Signed out of all other sessions", revoked: sessionIds.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in revokeOtherSessions: ", error.message);
+  }
+};
+
+const LOGIN_HISTORY_LIMIT = 50;
+
+const getLoginHistory = async (req, res) => {
+  try {
+    const events = await LoginEvent.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(LOGIN_HISTORY_LIMIT)
+      .lean();
+
+    res.status(200).json(
+      events.map((event) => ({
+        _id: event._id,
+        success: event.success,
+        method: event.method,
+        reason: event.reason,
+        device: describeUserAgent(event.userAgent),
+        ip: event.ip,
+        newDevice: event.newDevice,
+        createdAt: event.createdAt,
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getLoginHistory: ", error.message);
+  }
+};
+
+export { refreshSession, getSessions, revokeSession, revokeOtherSessions, getLoginHistory };
@@ -0,0 +1,130 @@
+import User from "../models/userModel.js";
+import bcrypt from "bcryptjs";
+import QRCode from "qrcode";
+import {
+  generateTwoFactorSecret,
+  verifyTotpCode,
+  generateBackupCodes,
+  verifySecondFactor,
+} from "../utils/helpers/twoFactor.js";
+
+const TWO_FACTOR_FIELDS = "+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes";
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUrl } = generateTwoFactorSecret(user.username);
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    res.status(200).json({ qrCode, secret, otpauthUrl });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in setupTwoFactor: ", error.message);
+  }
+};
+
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ error: "Start two-factor setup first" });
+    }
+    if (!verifyTotpCode(code, user.twoFactorPendingSecret)) {
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = await generateBackupCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication enabled", backupCodes: codes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in enableTwoFactor: ", error.message);
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const isPasswordCorrect = await bcrypt.compare(password || "", user.password);
+    if (!isPasswordCorrect) {
+      return res.status(400).json({ error: "Incorrect password" });
+    }
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in disableTwoFactor: ", error.message);
+  }
+};
+
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+    if (!verifyTotpCode(code, user.twoFactorSecret)) {
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = await generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save();
+
+    res.status(200).json({ message: "New backup codes generated", backupCodes: codes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in regenerateBackupCodes: ", error.message);
+  }
+};
+
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorBackupCodes");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.status(200).json({
+      enabled: user.twoFactorEnabled,
+      backupCodesRemaining: user.twoFactorEnabled ? user.twoFactorBackupCodes.length : 0,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in getTwoFactorStatus: ", error.message);
+  }
+};
+
+export { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateBackupCodes, getTwoFactorStatus };
@@ -1,13 +1,56 @@
 import User from "../models/userModel.js";
 import {Post}  from "../models/postModel.js";
 import bcrypt from "bcryptjs";
-import generateTokenAndSetCookie from "../utils/helpers/generateTokenAndSetCookie.js";
+import generateTokenAndSetCookie, { clearAuthCookies, revokeSessions } from "../utils/helpers/generateTokenAndSetCookie.js";
+import { issueUserToken, consumeUserToken } from "../utils/helpers/userTokens.js";
+import sendEmail from "../utils/helpers/sendEmail.js";
+import { signTwoFactorChallenge, verifyTwoFactorChallenge, verifySecondFactor } from "../utils/helpers/twoFactor.js";
+import Session from "../models/sessionModel.js";
+import { disconnectSessions } from "../socket/socket.js";
+import { getMutedRecipientIds } from "../utils/helpers/mutes.js";
+import { getRole, outranks, canAssignRole, hasPermission } from "../utils/helpers/permissions.js";
+import {
+  getLockout,
+  registerLoginFailure,
+  lockoutResponse,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../utils/helpers/loginSecurity.js";
+import {
+  isValidUsername,
+  isUsernameAvailable,
+  resolveUserId,
+  getNextUsernameChangeAt,
+  recordUsernameChange,
+} from "../utils/helpers/usernames.js";
+import { isVisibleUser } from "../utils/helpers/visibility.js";
+import { getRecommendedUsers } from "../utils/helpers/recommendations.js";
+import FollowRequest from "../models/followRequestModel.js";
+import { sendFollowRequest, cancelFollowRequest, removeFollower as dropFollower } from "../utils/helpers/follows.js";
+import jwt from "jsonwebtoken";
 import { v2 as cloudinary } from "cloudinary";
 import mongoose from "mongoose";
 import fs from "fs";
-
-const ADMIN_USERNAME = "adminblog";
-const ADMIN_PASSWORD = "Admin123";
+import sanitizeHtml from "sanitize-html";
+import validator from "validator";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const SUGGESTED_USERS_LIMIT = 10;
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user._id, "emailVerification", EMAIL_VERIFICATION_TTL);
+  const verifyUrl = `${CLIENT_URL}/verify-email?token=${token}`;
+  const name = sanitizeHtml(user.name, { allowedTags: [], allowedAttributes: {} });
+
+  await sendEmail({
+    to: user.email,
+    subject: "Verify your NR Blog email",
+    text: `Hi ${name},\n\nConfirm your email address to start posting and messaging on NR Blog. The link expires in 24 hours.\n\n${verifyUrl}`,
+    html: `<p>Hi ${name},</p><p>Confirm your email address to start posting and messaging on NR Blog. The link expires in 24 hours.</p><p><a href="${verifyUrl}">Verify email</a></p>`,
+  });
+};
 
 const getUserProfile = async (req, res) => {
   try {
@@ -17,10 +60,11 @@ const getUserProfile = async (req, res) => {
     if (mongoose.Types.ObjectId.isValid(query)) {
       user = await User.findById(query).select("-password");
     } else {
-      user = await User.findOne({ username: query }).select("-password");
+      // Old handles resolve too; the client redirects when the returned username differs.
+      user = await User.findById(await resolveUserId(query)).select("-password");
     }
 
-    if (!user) {
+    if (!isVisibleUser(user, req.user)) {
       return res.status(404).json({ error: "User not found" });
     }
 
@@ -33,8 +77,10 @@ const getUserProfile = async (req, res) => {
       followers: user.followers,
       following: user.following,
       isAdmin: user.isAdmin,
+      role: getRole(user),
       isBanned: user.isBanned,
       isFrozen: user.isFrozen,
+      isPrivate: user.isPrivate,
       isVerified: user.isVerified,
     });
   } catch (error) {
@@ -49,7 +95,7 @@ const getMultipleUsers = async (req, res) => {
     if (!Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({ error: "IDs must be a non-empty array" });
     }
-    const users = await User.find({ _id: { $in: ids } }).select("username profilePic _id");
+    const users = await User.find({ _id: { $in: ids }, isFrozen: { $ne: true } }).select("username profilePic _id");
     if (users.length === 0) {
       return res.status(404).json({ error: "No users found for the provided IDs" });
     }
@@ -65,8 +111,8 @@ const getMultipleUsers = async (req, res) => {
 const getUserStats = async (req, res) => {
   try {
     const { username } = req.params;
-    const user = await User.findOne({ username });
-    if (!user) {
+    const user = await User.findById(await resolveUserId(username));
+    if (!isVisibleUser(user, req.user)) {
       return res.status(404).json({ error: "User not found" });
     }
 
@@ -98,6 +144,10 @@ const signupUser = async (req, res) => {
   try {
     const { name, email, username, password } = req.body;
 
+    if (!email || !validator.isEmail(email)) {
+      return res.status(400).json({ error: "Please enter a valid email address" });
+    }
+
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
     if (existingUser) {
       if (existingUser.email === email && existingUser.username === username) {
@@ -110,6 +160,9 @@ const signupUser = async (req, res) => {
         return res.status(400).json({ error: "Username already taken" });
       }
     }
+    if (!(await isUsernameAvailable(username))) {
+      return res.status(400).json({ error: "Username already taken" });
+    }
 
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
@@ -123,7 +176,14 @@ const signupUser = async (req, res) => {
     await newUser.save();
 
     if (newUser) {
-      generateTokenAndSetCookie(newUser._id, res);
+      await generateTokenAndSetCookie(newUser._id, res, req);
+
+      try {
+        await sendVerificationEmail(newUser);
+      } catch (mailError) {
+        // The account exists either way; the user can ask for another link from the banner.
+        console.log("Error sending verification email: ", mailError.message);
+      }
 
       res.status(201).json({
         _id: newUser._id,
@@ -135,8 +195,11 @@ const signupUser = async (req, res) => {
         followers: newUser.followers,
         following: newUser.following,
         isAdmin: newUser.isAdmin,
+        role: getRole(newUser),
         isBanned: newUser.isBanned,
         isFrozen: newUser.isFrozen,
+        isPrivate: newUser.isPrivate,
+        emailVerified: newUser.emailVerified,
       });
     } else {
       res.status(400).json({ error: "Invalid user data" });
@@ -147,71 +210,125 @@ const signupUser = async (req, res) => {
   }
 };
 
+const completeLogin = async (user, req, res, method = "password") => {
+  // Logging in during the deletion grace period keeps the account.
+  const deletionCancelled = Boolean(user.deletionScheduledFor);
+  if (user.isFrozen || deletionCancelled) {
+    user.isFrozen = false;
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+  }
+
+  await generateTokenAndSetCookie(user._id, res, req);
+  await recordLoginSuccess(user, req, res, method);
+
+  res.status(200).json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    username: user.username,
+    bio: user.bio,
+    profilePic: user.profilePic,
+    followers: user.followers,
+    following: user.following,
+    isAdmin: user.isAdmin,
+    role: getRole(user),
+    isBanned: user.isBanned,
+    isFrozen: user.isFrozen,
+    isPrivate: user.isPrivate,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    ...(deletionCancelled && { deletionCancelled }),
+  });
+};
+
+// With 2FA on, the password step only earns a challenge token; the cookie is set by loginTwoFactor.
+const twoFactorChallenge = (user, res) =>
+  res.status(200).json({ twoFactorRequired: true, twoFactorToken: signTwoFactorChallenge(user._id) });
+
 const loginUser = async (req, res) => {
   try {
     const { username, password } = req.body;
+    const lockMs = await getLockout(req, username);
+    if (lockMs) return lockoutResponse(res, lockMs);
+
     const user = await User.findOne({ username });
-    const isPasswordCorrect = await bcrypt.compare(password, user?.password || "");
+    const isPasswordCorrect = await bcrypt.compare(password || "", user?.password || "");
 
-    if (!user || !isPasswordCorrect) return res.status(400).json({ error: "Invalid username or password" });
+    if (!user || !isPasswordCorrect) {
+      await registerLoginFailure(req, username);
+      if (user) await recordLoginFailure(user, req, "password", "invalid_password");
+      return res.status(400).json({ error: "Invalid username or password" });
+    }
     if (user.isBanned) return res.status(403).json({ error: "Account is banned" });
 
-    if (user.isFrozen) {
-      user.isFrozen = false;
-      await user.save();
+    if (user.twoFactorEnabled) return twoFactorChallenge(user, res);
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in loginUser: ", error.message);
+  }
+};
+
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+    const userId = verifyTwoFactorChallenge(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({ error: "Login attempt expired, please sign in again" });
     }
 
-    generateTokenAndSetCookie(user._id, res);
+    const user = await User.findById(userId).select("+twoFactorSecret +twoFactorBackupCodes");
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+    if (user.isBanned) return res.status(403).json({ error: "Account is banned" });
 
-    res.status(200).json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      username: user.username,
-      bio: user.bio,
-      profilePic: user.profilePic,
-      followers: user.followers,
-      following: user.following,
-      isAdmin: user.isAdmin,
-      isBanned: user.isBanned,
-      isFrozen: user.isFrozen,
-    });
+    const lockMs = await getLockout(req, user.username);
+    if (lockMs) return lockoutResponse(res, lockMs);
+
+    if (!(await verifySecondFactor(user, code))) {
+      await registerLoginFailure(req, user.username);
+      await recordLoginFailure(user, req, "2fa", "invalid_2fa");
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+    if (user.isModified("twoFactorBackupCodes")) {
+      await user.save();
+    }
+
+    await completeLogin(user, req, res, "2fa");
   } catch (error) {
     res.status(500).json({ error: error.message });
-    console.log("Error in loginUser: ", error.message);
+    console.log("Error in loginTwoFactor: ", error.message);
   }
 };
 
 const adminLogin = async (req, res) => {
   try {
     const { username, password } = req.body;
+    const lockMs = await getLockout(req, username);
+    if (lockMs) return lockoutResponse(res, lockMs);
 
-    if (username !== ADMIN_USERNAME || password !== ADMIN_PASSWORD) {
+    const user = await User.findOne({ username });
+    const isPasswordCorrect = await bcrypt.compare(password || "", user?.password || "");
+
+    if (!user || !isPasswordCorrect) {
+      await registerLoginFailure(req, username);
+      if (user) await recordLoginFailure(user, req, "admin", "invalid_password");
       return res.status(400).json({ error: "Invalid admin credentials" });
     }
-
-    let adminUser = await User.findOne({ username: ADMIN_USERNAME });
-    if (!adminUser) {
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(ADMIN_PASSWORD, salt);
-      adminUser = new User({
-        name: "Admin Blog",
-        username: ADMIN_USERNAME,
-        email: "admin@NRBLOGclone.com",
-        password: hashedPassword,
-        isAdmin: true,
-      });
-      await adminUser.save();
+    if (!hasPermission(user, "admin:access")) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    if (user.isBanned) {
+      return res.status(403).json({ error: "Account is banned" });
     }
 
-    generateTokenAndSetCookie(adminUser._id, res);
+    if (user.twoFactorEnabled) return twoFactorChallenge(user, res);
 
-    res.status(200).json({
-      _id: adminUser._id,
-      name: adminUser.name,
-      username: adminUser.username,
-      isAdmin: adminUser.isAdmin,
-    });
+    await completeLogin(user, req, res, "admin");
   } catch (error) {
     res.status(500).json({ error: error.message });
     console.log("Error in adminLogin: ", error.message);
@@ -221,22 +338,20 @@ const adminLogin = async (req, res) => {
 const promoteToAdmin = async (req, res) => {
   try {
     const { id } = req.params;
-    const currentUser = await User.findById(req.user._id);
-
-    if (!currentUser.isAdmin) {
-      return res.status(403).json({ error: "Admin access required" });
-    }
 
     const userToPromote = await User.findById(id);
     if (!userToPromote) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    if (userToPromote.isAdmin) {
+    if (getRole(userToPromote) === "admin") {
       return res.status(400).json({ error: "User is already an admin" });
     }
+    if (!canAssignRole(req.user, userToPromote, "admin")) {
+      return res.status(403).json({ error: "You cannot promote this user to admin" });
+    }
 
-    userToPromote.isAdmin = true;
+    userToPromote.role = "admin";
     await userToPromote.save();
 
     res.status(200).json({ message: "User promoted to admin successfully" });
@@ -246,9 +361,47 @@ const promoteToAdmin = async (req, res) => {
   }
 };
 
-const logoutUser = (req, res) => {
+const setUserRole = async (req, res) => {
   try {
-    res.cookie("jwt", "", { maxAge: 1 });
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!canAssignRole(req.user, user, role)) {
+      return res.status(403).json({ error: "You cannot assign this role to this user" });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.status(200).json({ message: `User role set to ${role}`, _id: user._id, role: user.role, isAdmin: user.isAdmin });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in setUserRole: ", error.message);
+  }
+};
+
+const logoutUser = async (req, res) => {
+  try {
+    const token = req.cookies.jwt;
+    if (token) {
+      try {
+        // An expired access token still identifies the session to end.
+        const { sessionId } = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (sessionId) {
+          await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+          disconnectSessions([sessionId]);
+        }
+      } catch (err) {
+        // Tampered token: nothing to revoke, just clear the cookies.
+      }
+    }
+
+    clearAuthCookies(res);
     res.status(200).json({ message: "User logged out successfully" });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -256,6 +409,108 @@ const logoutUser = (req, res) => {
   }
 };
 
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    // Same answer whether or not the account exists, so the endpoint can't be used to probe emails.
+    const genericResponse = { message: "If an account exists for that email, a reset link has been sent" };
+
+    const user = await User.findOne({ email: email.trim() });
+    if (!user || user.isBanned) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const token = await issueUserToken(user._id, "passwordReset", PASSWORD_RESET_TTL);
+    const resetUrl = `${CLIENT_URL}/auth?resetToken=${token}`;
+    const name = sanitizeHtml(user.name, { allowedTags: [], allowedAttributes: {} });
+
+    await sendEmail({
+      to: user.email,
+      subject: "Reset your NR Blog password",
+      text: `Hi ${name},\n\nUse the link below to choose a new password. It expires in 1 hour and can only be used once.\n\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${name},</p><p>Use the link below to choose a new password. It expires in 1 hour and can only be used once.</p><p><a href="${resetUrl}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`,
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in forgotPassword: ", error.message);
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || password.length < 6) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
+
+    const userToken = await consumeUserToken(token, "passwordReset");
+    if (!userToken) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    }
+
+    const user = await User.findById(userToken.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    // The reset link went to this address, so it is verified as well.
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password should not stay signed in.
+    await revokeSessions({ userId: user._id });
+
+    res.status(200).json({ message: "Password has been reset. You can now log in." });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in resetPassword: ", error.message);
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const userToken = await consumeUserToken(req.body.token, "emailVerification");
+    if (!userToken) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired" });
+    }
+
+    const user = await User.findByIdAndUpdate(userToken.userId, { $set: { emailVerified: true } }, { new: true });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.status(200).json({ message: "Email verified successfully", userId: user._id, emailVerified: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in verifyEmail: ", error.message);
+  }
+};
+
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in resendVerificationEmail: ", error.message);
+  }
+};
 
 const followUnFollowUser = async (req, res) => {
   try {
@@ -282,6 +537,24 @@ const followUnFollowUser = async (req, res) => {
 
     const isFollowing = currentUser.following.includes(id);
 
+    // Unfollowing a frozen account is fine; finding one to follow should not be possible.
+    if (!isFollowing && !isVisibleUser(userToFollow, currentUser)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Private accounts get a request instead; following again while it is pending withdraws it.
+    if (!isFollowing) {
+      const pendingRequest = await FollowRequest.findOne({ requester: currentUserId, recipient: id });
+      if (pendingRequest) {
+        await cancelFollowRequest(pendingRequest);
+        return res.status(200).json({ message: "Follow request cancelled", requested: false });
+      }
+      if (userToFollow.isPrivate) {
+        await sendFollowRequest(currentUser, userToFollow);
+        return res.status(200).json({ message: "Follow request sent", requested: true });
+      }
+    }
+
     if (isFollowing) {
       currentUser.following = currentUser.following.filter((userId) => userId.toString() !== id);
       userToFollow.followers = userToFollow.followers.filter((userId) => userId.toString() !== currentUserId.toString());
@@ -329,10 +602,15 @@ const followUnFollowUser = async (req, res) => {
             name: currentUser.name,
           },
         };
+        // Anyone who muted the new follower still gets the event so counts stay right, flagged like follow requests
+        const onlineIds = [id, ...userToFollow.followers.map((followerId) => followerId.toString())].filter((userId) =>
+          req.io.getRecipientSocketId(userId)
+        );
+        const mutedIds = await getMutedRecipientIds(onlineIds, currentUserId);
         // Emit to the followed user
         const followedSocketId = req.io.getRecipientSocketId(id);
         if (followedSocketId) {
-          req.io.to(followedSocketId).emit("userFollowed", followData);
+          req.io.to(followedSocketId).emit("userFollowed", { ...followData, muted: mutedIds.has(id) });
         }
         // Emit to the current user
         const currentUserSocketId = req.io.getRecipientSocketId(currentUserId.toString());
@@ -343,7 +621,7 @@ const followUnFollowUser = async (req, res) => {
         userToFollow.followers.forEach((followerId) => {
           const socketId = req.io.getRecipientSocketId(followerId.toString());
           if (socketId) {
-            req.io.to(socketId).emit("userFollowed", followData);
+            req.io.to(socketId).emit("userFollowed", { ...followData, muted: mutedIds.has(followerId.toString()) });
           }
         });
       }
@@ -377,37 +655,48 @@ const updateUser = async (req, res) => {
     let user = await User.findById(userId);
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    if (email && email !== user.email) {
-      const emailExists = await User.findOne({ email, _id: { $ne: userId } });
-      if (emailExists) {
-        return res.status(400).json({ error: "Email already taken" });
-      }
+    // Credentials change through /password and /email, which re-check the current password.
+    if (password || (email && email !== user.email)) {
+      return res.status(400).json({ error: "Use the change password or change email form to update your credentials" });
     }
-    if (username && username !== user.username) {
-      const usernameExists = await User.findOne({ username, _id: { $ne: userId } });
-      if (usernameExists) {
+
+    const usernameChanged = Boolean(username && username !== user.username);
+    if (usernameChanged) {
+      if (!isValidUsername(username)) {
+        return res
+          .status(400)
+          .json({ error: "Username must be 3-30 characters and use only letters, numbers, underscores or periods" });
+      }
+      const nextChangeAt = getNextUsernameChangeAt(user);
+      if (nextChangeAt && nextChangeAt > new Date()) {
+        return res
+          .status(400)
+          .json({ error: `You can change your username again on ${nextChangeAt.toDateString()}`, nextChangeAt });
+      }
+      if (!(await isUsernameAvailable(username, userId))) {
         return res.status(400).json({ error: "Username already taken" });
       }
     }
-
-    if (password) {
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(password, salt);
-      user.password = hashedPassword;
-    }
+    const previousUsername = user.username;
 
     if (profilePic && user.profilePic) {
       await cloudinary.uploader.destroy(user.profilePic.split("/").pop().split(".")[0]);
     }
 
     user.name = name || user.name;
-    user.email = email || user.email;
     user.username = username || user.username;
+    if (usernameChanged) {
+      user.usernameChangedAt = new Date();
+    }
     user.bio = bio || user.bio;
     user.profilePic = profilePic || user.profilePic;
 
     user = await user.save();
 
+    if (usernameChanged) {
+      await recordUsernameChange(user._id, previousUsername);
+    }
+
     await Post.updateMany(
       { "comments.userId": userId },
       {
@@ -429,27 +718,33 @@ const updateUser = async (req, res) => {
   }
 };
 
-const getSuggestedUsers = async (req, res) => {
+// Removes someone from the caller's followers without blocking them. They can follow again (or request to).
+const removeFollower = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const usersFollowedByYou = await User.findById(userId).select("following");
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
 
-    const users = await User.aggregate([
-      {
-        $match: {
-          _id: { $ne: userId },
-          isBanned: false,
-        },
-      },
-      {
-        $sample: { size: 10 },
-      },
-    ]);
-    const filteredUsers = users.filter((user) => !usersFollowedByYou.following.includes(user._id.toString()));
-    const suggestedUsers = filteredUsers.slice(0, 4);
+    const follower = await User.findById(id).select("username name profilePic");
+    if (!follower) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-    suggestedUsers.forEach((user) => delete user.password);
+    const owner = await User.findById(req.user._id).select("followers");
+    if (!(await dropFollower(owner, follower))) {
+      return res.status(404).json({ error: "This user doesn't follow you" });
+    }
+    res.status(200).json({ message: "Follower removed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in removeFollower: ", error.message);
+  }
+};
 
+const getSuggestedUsers = async (req, res) => {
+  try {
+    const suggestedUsers = await getRecommendedUsers(req.user, SUGGESTED_USERS_LIMIT);
     res.status(200).json(suggestedUsers);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -457,6 +752,21 @@ const getSuggestedUsers = async (req, res) => {
   }
 };
 
+const dismissSuggestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { dismissedSuggestions: id } });
+    res.status(200).json({ message: "We won't suggest this account again" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+    console.log("Error in dismissSuggestion: ", error.message);
+  }
+};
+
 const freezeAccount = async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
@@ -467,6 +777,10 @@ const freezeAccount = async (req, res) => {
     user.isFrozen = true;
     await user.save();
 
+    // Other devices are signed out now; the client logs this one out after the response.
+    // Logging back in anywhere unfreezes the account.
+    await revokeSessions({ userId: user._id, _id: { $ne: req.sessionId } });
+
     res.status(200).json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -476,11 +790,12 @@ const freezeAccount = async (req, res) => {
 
 const banUser = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: "Admin access required" });
-
     const { id } = req.params;
     const user = await User.findById(id);
     if (!user) return res.status(404).json({ error: "User not found" });
+    if (!outranks(req.user, user)) {
+      return res.status(403).json({ error: "You cannot ban this user" });
+    }
 
     user.isBanned = true;
     await user.save();
@@ -494,11 +809,12 @@ const banUser = async (req, res) => {
 
 const unbanUser = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: "Admin access required" });
-
     const { id } = req.params;
     const user = await User.findById(id);
     if (!user) return res.status(404).json({ error: "User not found" });
+    if (!outranks(req.user, user)) {
+      return res.status(403).json({ error: "You cannot unban this user" });
+    }
 
     user.isBanned = false;
     await user.save();
@@ -536,10 +852,6 @@ const getUserDashboard = async (req, res) => {
 
 const getAdminRealtimeDashboard = async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ error: "Admin access required" });
-    }
-
     // Total users
     const totalUsers = await User.countDocuments({ isBanned: false });
     const bannedUsers = await User.countDocuments({ isBanned: true });
@@ -617,9 +929,6 @@ const getAdminRealtimeDashboard = async (req, res) => {
 };
 const getAllUsers = async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ error: "Admin access required" });
-    }
     const users = await User.find({}).select("-password");
     res.status(200).json(users);
   } catch (error) {
@@ -631,13 +940,23 @@ const getAllUsers = async (req, res) => {
 export {
   signupUser,
   loginUser,
+  loginTwoFactor,
+  completeLogin,
+  twoFactorChallenge,
   adminLogin,
   logoutUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   followUnFollowUser,
   updateUser,
   promoteToAdmin,
+  setUserRole,
   getUserProfile,
   getSuggestedUsers,
+  dismissSuggestion,
+  removeFollower,
   freezeAccount,
   banUser,
   unbanUser,
@@ -0,0 +1,16 @@
+import cron from "cron";
+import { cleanupDataExports } from "../utils/helpers/dataExport.js";
+
+// Every 30 minutes, delete data export archives whose download link has expired.
+const exportCleanupJob = new cron.CronJob("*/30 * * * *", async function () {
+	try {
+		const removed = await cleanupDataExports();
+		if (removed) {
+			console.log(`Removed ${removed} expired data export(s)`);
+		}
+	} catch (error) {
+		console.error("Error while cleaning up data exports", error);
+	}
+});
+
+export default exportCleanupJob;
@@ -0,0 +1,16 @@
+import cron from "cron";
+import { publishDuePosts } from "../utils/helpers/publishing.js";
+
+// Every minute, publish scheduled posts whose time has come.
+const publishJob = new cron.CronJob("* * * * *", async function () {
+	try {
+		const published = await publishDuePosts();
+		if (published) {
+			console.log(`Published ${published} scheduled post(s)`);
+		}
+	} catch (error) {
+		console.error("Error while publishing scheduled posts", error);
+	}
+});
+
+export default publishJob;
@@ -0,0 +1,16 @@
+import cron from "cron";
+import { purgeDueAccounts } from "../utils/helpers/accountPurge.js";
+
+// Every hour, permanently delete accounts whose deletion grace period has run out.
+const purgeJob = new cron.CronJob("0 * * * *", async function () {
+	try {
+		const reports = await purgeDueAccounts();
+		if (reports.length) {
+			console.log(`Purged ${reports.length} deleted account(s)`);
+		}
+	} catch (error) {
+		console.error("Error while purging deleted accounts", error);
+	}
+});
+
+export default purgeJob;
@@ -0,0 +1,19 @@
+import { hasPermission } from "../utils/helpers/permissions.js";
+import { tokenHasScope } from "../utils/helpers/accessTokens.js";
+
+// Must run after protectRoute. Passes only if the user holds every listed permission.
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  // Role-gated endpoints additionally need the "admin" scope when called with an access token.
+  if (req.accessToken && !tokenHasScope(req.accessToken, "admin")) {
+    return res.status(403).json({ error: 'Access token is missing the "admin" scope' });
+  }
+  if (!permissions.every((permission) => hasPermission(req.user, permission))) {
+    return res.status(403).json({ error: "You do not have permission to perform this action" });
+  }
+  next();
+};
+
+export default authorize;
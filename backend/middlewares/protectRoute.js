@@ -1,10 +1,54 @@
 import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
 import jwt from "jsonwebtoken";
+import {
+  isAccessToken,
+  getBearerToken,
+  findAccessToken,
+  touchAccessToken,
+  requiredScope,
+  tokenHasScope,
+} from "../utils/helpers/accessTokens.js";
+
+// Scripts authenticate with a personal access token in the Authorization header instead of the session cookie.
+const authenticateAccessToken = async (token, req, res, next) => {
+  const accessToken = await findAccessToken(token);
+  if (!accessToken) {
+    return res.status(401).json({ message: "Unauthorized: Invalid or expired access token" });
+  }
+
+  const scope = requiredScope(req);
+  if (!scope) {
+    return res.status(403).json({ message: "Forbidden: Access tokens cannot be used for this endpoint" });
+  }
+  if (!tokenHasScope(accessToken, scope)) {
+    return res.status(403).json({ message: `Forbidden: Access token is missing the "${scope}" scope` });
+  }
+
+  const user = await User.findById(accessToken.userId).select("-password");
+  if (!user) {
+    return res.status(401).json({ message: "Unauthorized: User not found" });
+  }
+  // Access tokens cannot unfreeze an account; only logging in does.
+  if (user.isFrozen) {
+    return res.status(403).json({ message: "Forbidden: Account is frozen" });
+  }
+
+  await touchAccessToken(accessToken, req);
+  req.user = user;
+  req.accessToken = accessToken;
+  next();
+};
 
 const protectRoute = async (req, res, next) => {
   try {
     const token = req.cookies.jwt;
 
+    const bearerToken = getBearerToken(req);
+    if (!token && isAccessToken(bearerToken)) {
+      return await authenticateAccessToken(bearerToken, req, res, next);
+    }
+
     if (!token) {
       return res.status(401).json({ message: "Unauthorized: No token provided" });
     }
@@ -16,12 +60,18 @@ const protectRoute = async (req, res, next) => {
       return res.status(401).json({ message: "Unauthorized: Invalid or expired token" });
     }
 
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({ message: "Unauthorized: Session expired or revoked" });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
     if (!user) {
       return res.status(401).json({ message: "Unauthorized: User not found" });
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (err) {
     res.status(500).json({ message: "Server error in protectRoute" });
@@ -29,4 +79,21 @@ const protectRoute = async (req, res, next) => {
   }
 };
 
+// For public routes that still tailor their answer to the viewer. Never rejects: a missing,
+// invalid or revoked session just leaves req.user unset.
+const identifyUser = async (req, res, next) => {
+  try {
+    const decoded = jwt.verify(req.cookies.jwt || "", process.env.JWT_SECRET);
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (session && session.isActive() && session.userId.toString() === decoded.userId) {
+      req.user = await User.findById(decoded.userId).select("-password");
+      req.sessionId = session._id;
+    }
+  } catch (err) {
+    // Anonymous request
+  }
+  next();
+};
+
+export { identifyUser };
 export default protectRoute;
\ No newline at end of file
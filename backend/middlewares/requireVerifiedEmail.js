@@ -0,0 +1,8 @@
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({ error: "Please verify your email address to use this feature" });
+  }
+  next();
+};
+
+export default requireVerifiedEmail;
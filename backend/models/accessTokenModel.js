@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Personal access tokens for scripts. Only the hash is kept; the plain token is shown once at creation.
+const accessTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    name: { type: String, required: true, trim: true, maxLength: 50 },
+    tokenHash: { type: String, required: true, unique: true },
+    // First characters of the token so the owner can tell tokens apart in the list.
+    prefix: { type: String, required: true },
+    scopes: [{ type: String, enum: ["posts:read", "posts:write", "messages", "admin"] }],
+    expiresAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Expired tokens are removed by the TTL monitor; tokens without an expiry are never matched by it.
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+accessTokenSchema.methods.isActive = function () {
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+const AccessToken = mongoose.model("AccessToken", accessTokenSchema);
+
+export default AccessToken;
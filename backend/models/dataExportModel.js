@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+    },
+    progress: { type: Number, default: 0, min: 0, max: 100 },
+    stage: { type: String, default: "Queued" },
+    filePath: { type: String },
+    fileSize: { type: Number },
+    error: { type: String },
+    completedAt: { type: Date },
+    // Download link lifetime; the cleanup job removes the archive once this passes.
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Audit record written once an account has been purged. It outlives the user, so it copies what it needs.
+const deletionReportSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    username: { type: String, required: true },
+    requestedAt: { type: Date },
+    purgedAt: { type: Date, default: Date.now },
+    counts: {
+      posts: { type: Number, default: 0 },
+      comments: { type: Number, default: 0 },
+      postsUnliked: { type: Number, default: 0 },
+      followLinks: { type: Number, default: 0 },
+      stories: { type: Number, default: 0 },
+      conversations: { type: Number, default: 0 },
+      messages: { type: Number, default: 0 },
+      sessions: { type: Number, default: 0 },
+      tokens: { type: Number, default: 0 },
+      loginEvents: { type: Number, default: 0 },
+      dataExports: { type: Number, default: 0 },
+    },
+    media: {
+      deleted: { type: Number, default: 0 },
+      failed: [{ type: String }],
+    },
+  },
+  { timestamps: true }
+);
+
+deletionReportSchema.index({ purgedAt: -1 });
+
+const DeletionReport = mongoose.model("DeletionReport", deletionReportSchema);
+
+export default DeletionReport;
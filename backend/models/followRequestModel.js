@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// A pending request to follow a private account. Accepting turns it into a follow link; either way it is deleted.
+const followRequestSchema = new mongoose.Schema(
+  {
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+followRequestSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+followRequestSchema.index({ recipient: 1, createdAt: -1 });
+
+const FollowRequest = mongoose.model("FollowRequest", followRequestSchema);
+
+export default FollowRequest;
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const loginEventSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    success: { type: Boolean, required: true },
+    method: { type: String, enum: ["password", "2fa", "oidc", "admin"], default: "password" },
+    // Why an attempt failed, e.g. "invalid_password", "invalid_2fa", "locked", "banned".
+    reason: { type: String },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    deviceId: { type: String },
+    newDevice: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, deviceId: 1, success: 1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // keep 90 days
+
+const LoginEvent = mongoose.model("LoginEvent", loginEventSchema);
+
+export default LoginEvent;
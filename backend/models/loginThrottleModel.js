@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one key ("account:<username>" or "ip:<address>").
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+
+export default LoginThrottle;
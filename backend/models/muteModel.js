@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// One muted account or keyword. Muting is private: the muted account is never told and can still see the muter.
+const muteSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    mutedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: undefined },
+    // Stored lowercased. A leading "#" restricts it to the hashtag; otherwise the word and its hashtag both match.
+    keyword: { type: String, trim: true, lowercase: true, maxLength: 50, default: undefined },
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+muteSchema.index(
+  { userId: 1, mutedUser: 1 },
+  { unique: true, partialFilterExpression: { mutedUser: { $type: "objectId" } } }
+);
+muteSchema.index({ userId: 1, keyword: 1 }, { unique: true, partialFilterExpression: { keyword: { $type: "string" } } });
+muteSchema.index({ mutedUser: 1 });
+// Expired mutes are removed by the TTL monitor; reads also skip them since the monitor can lag.
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Mute = mongoose.model("Mute", muteSchema);
+
+export default Mute;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { MAX_MEDIA_ITEMS, mediaItemSchema } from "./postModel.js";
+
+// A post that hasn't gone out yet. Media is uploaded when the draft is saved, and the draft is
+// deleted once it turns into a real post.
+const postDraftSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, trim: true, maxLength: 5000, default: "" },
+    audience: { type: String, enum: ["followers", "closeFriends"], default: "followers" },
+    mediaItems: {
+      type: [mediaItemSchema],
+      validate: [(items) => items.length <= MAX_MEDIA_ITEMS, `A post can have at most ${MAX_MEDIA_ITEMS} media items`],
+    },
+    // "publishing" is held by the scheduler while it works on the draft; "failed" keeps the reason in `error`.
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "publishing", "failed"],
+      default: "draft",
+    },
+    publishAt: { type: Date, default: null },
+    error: { type: String },
+    // Set by each claim; a "publishing" draft whose claim has gone stale is handed back to the scheduler.
+    claimedAt: { type: Date, default: null },
+    // Id of the post this draft becomes, fixed on its first claim so a retry can tell the post already went out.
+    postId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { timestamps: true }
+);
+
+postDraftSchema.index({ userId: 1, updatedAt: -1 });
+postDraftSchema.index({ status: 1, publishAt: 1 });
+
+const PostDraft = mongoose.model("PostDraft", postDraftSchema);
+
+export default PostDraft;
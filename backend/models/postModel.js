@@ -1,8 +1,14 @@
 import mongoose from "mongoose";
 
+// Top-level comments are depth 0; a reply is one level deeper than the comment it answers.
+const MAX_REPLY_DEPTH = 3;
+
 const commentSchema = new mongoose.Schema(
   {
     _id: { type: mongoose.Schema.Types.ObjectId, default: () => new mongoose.Types.ObjectId() },
+    // Replies live in the same array as comments, linked to the comment they answer.
+    parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    depth: { type: Number, default: 0, min: 0, max: MAX_REPLY_DEPTH },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     text: { type: String, required: true, trim: true, maxLength: 500 },
     userProfilePic: { type: String, default: "" },
@@ -23,20 +29,55 @@ commentSchema.index({ createdAt: -1 });
 commentSchema.index({ likes: 1 });
 commentSchema.index({ mentions: 1 });
 
+const MAX_MEDIA_ITEMS = 10;
+
+const mediaItemSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    type: { type: String, enum: ["image", "video", "audio", "document"], required: true },
+    previewUrl: { type: String },
+    altText: { type: String, trim: true, maxLength: 500, default: "" },
+    originalFilename: { type: String },
+  },
+  { _id: false }
+);
+
 const postSchema = new mongoose.Schema(
   {
-    text: { type: String, required: true, trim: true, maxLength: 5000 },
+    // A plain repost has no text of its own; a quote post is a repost with commentary.
+    text: {
+      type: String,
+      required: function () {
+        return !this.repostOf;
+      },
+      trim: true,
+      maxLength: 5000,
+      default: "",
+    },
     postedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // The post being reposted or quoted. Always an original or a quote post, never a plain repost.
+    repostOf: { type: mongoose.Schema.Types.ObjectId, ref: "Post" },
     media: { type: String },
     mediaType: { type: String, enum: ["image", "video", "audio", "document"] },
+    previewUrl: { type: String },
     originalFilename: { type: String },
+    // Ordered attachments. media/mediaType/previewUrl/originalFilename mirror the first item so posts
+    // created before carousels, and code that only knows about a single attachment, keep working.
+    mediaItems: {
+      type: [mediaItemSchema],
+      default: undefined,
+      validate: [(items) => !items || items.length <= MAX_MEDIA_ITEMS, `A post can have at most ${MAX_MEDIA_ITEMS} media items`],
+    },
     likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     comments: [commentSchema],
+    // Everyone with a live repost or quote of this post, so its length is the share count.
     shares: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     isBanned: { type: Boolean, default: false },
     bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     isEdited: { type: Boolean, default: false },
     bookmarks: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // "closeFriends" limits the post to the author's close friends list at the time it is read.
+    audience: { type: String, enum: ["followers", "closeFriends"], default: "followers" },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date },
   },
@@ -91,7 +132,13 @@ postSchema.index({ shares: 1 });
 postSchema.index({ "comments._id": 1 });
 postSchema.index({ isBanned: 1 });
 postSchema.index({ bookmarks: 1 });
+postSchema.index({ repostOf: 1 });
+// One plain repost per user and post; quote posts are not limited.
+postSchema.index(
+  { postedBy: 1, repostOf: 1 },
+  { unique: true, partialFilterExpression: { repostOf: { $exists: true }, text: "" } }
+);
 
 const Post = mongoose.model("Post", postSchema);
 
-export { Post };
\ No newline at end of file
+export { Post, MAX_MEDIA_ITEMS, MAX_REPLY_DEPTH, mediaItemSchema };
\ No newline at end of file
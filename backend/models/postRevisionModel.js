@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+import { mediaItemSchema } from "./postModel.js";
+
+// What a post or comment said before an edit. One is written per edit; commentId is null for the post itself.
+const postRevisionSchema = new mongoose.Schema(
+  {
+    postId: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+    commentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Whose content it is, which may differ from editedBy when a moderator makes the edit.
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, default: "" },
+    media: { type: String },
+    mediaType: { type: String },
+    previewUrl: { type: String },
+    mediaItems: { type: [mediaItemSchema], default: undefined },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+postRevisionSchema.index({ postId: 1, commentId: 1, createdAt: -1 });
+postRevisionSchema.index({ author: 1 });
+
+const PostRevision = mongoose.model("PostRevision", postRevisionSchema);
+
+export default PostRevision;
@@ -27,6 +27,11 @@ const storySchema = new mongoose.Schema({
   previewUrl: {
     type: String,
   },
+  audience: {
+    type: String,
+    enum: ['followers', 'closeFriends'],
+    default: 'followers',
+  },
   createdAt: {
     type: Date,
     default: Date.now,
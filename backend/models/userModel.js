@@ -11,11 +11,20 @@ const userSchema = mongoose.Schema(
 			required: true,
 			unique: true,
 		},
+		// Last time the handle changed; drives the change cooldown. Old handles live in UsernameHistory.
+		usernameChangedAt: {
+			type: Date,
+			default: null,
+		},
 		email: {
 			type: String,
 			required: true,
 			unique: true,
 		},
+		emailVerified: {
+			type: Boolean,
+			default: false,
+		},
 		password: {
 			type: String,
 			minLength: 6,
@@ -27,6 +36,12 @@ const userSchema = mongoose.Schema(
 		},
 		followers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
 		following: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+		// Accounts this user blocked. Blocks hide both users from each other; see utils/helpers/visibility.js.
+		blocked: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+		// Members see posts and stories published with the "closeFriends" audience. Never shown to anyone else.
+		closeFriends: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+		// Accounts the user asked not to be recommended again.
+		dismissedSuggestions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
 		bookmarks: [{ type: mongoose.Schema.Types.ObjectId, ref: "Post" }],
 		bio: {
 			type: String,
@@ -36,6 +51,26 @@ const userSchema = mongoose.Schema(
 			type: Boolean,
 			default: false,
 		},
+		// Private accounts approve followers through FollowRequest before their posts and stories are shown.
+		isPrivate: {
+			type: Boolean,
+			default: false,
+		},
+		// Set while a requested account deletion is in its grace period; logging in again cancels it.
+		deletionRequestedAt: {
+			type: Date,
+			default: null,
+		},
+		deletionScheduledFor: {
+			type: Date,
+			default: null,
+			index: true,
+		},
+		role: {
+			type: String,
+			enum: ["user", "moderator", "admin", "owner"],
+			default: "user",
+		},
 		isAdmin: {
 			type: Boolean,
 			default: false,
@@ -48,12 +83,48 @@ const userSchema = mongoose.Schema(
 			type: Boolean,
 			default: false,
 		  },
+		twoFactorEnabled: {
+			type: Boolean,
+			default: false,
+		},
+		twoFactorSecret: {
+			type: String,
+			select: false,
+		},
+		twoFactorPendingSecret: {
+			type: String,
+			select: false,
+		},
+		twoFactorBackupCodes: {
+			type: [String],
+			select: false,
+		},
+		// Linked external sign-in accounts (OIDC provider id + the provider's stable subject).
+		identities: [
+			{
+				_id: false,
+				provider: { type: String, required: true },
+				subject: { type: String, required: true },
+				linkedAt: { type: Date, default: Date.now },
+			},
+		],
 	},
 	{
 		timestamps: true,
 	}
 );
+userSchema.index(
+	{ "identities.provider": 1, "identities.subject": 1 },
+	{ unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
 userSchema.pre("save", function (next) {
+	// isAdmin is kept as a derived flag for existing clients; role is the source of truth.
+	if (this.isModified("role")) {
+		this.isAdmin = ["admin", "owner"].includes(this.role);
+	} else if (this.isAdmin && this.role === "user") {
+		this.role = "admin";
+	}
 	if (this.isAdmin) {
 	  this.isVerified = true;
 	}
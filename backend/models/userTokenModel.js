@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: ["passwordReset", "emailVerification", "oidcLogin", "emailChange"], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    data: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ userId: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+
+export default UserToken;
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// One row per handle a user has given up. Old profile URLs keep resolving through it.
+const usernameHistorySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    username: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    // Until then nobody else can register the handle.
+    reservedUntil: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+usernameHistorySchema.index({ username: 1, changedAt: -1 });
+usernameHistorySchema.index({ userId: 1, changedAt: -1 });
+
+const UsernameHistory = mongoose.model("UsernameHistory", usernameHistorySchema);
+
+export default UsernameHistory;
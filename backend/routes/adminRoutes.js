@@ -1,19 +1,14 @@
 import express from "express";
 import { isValidObjectId } from "mongoose";
 import { banPost, unbanPost, getAllPosts } from "../controllers/postController.js";
-import { banUser, unbanUser, promoteToAdmin } from "../controllers/userController.js";
+import { banUser, unbanUser, promoteToAdmin, setUserRole, getAllUsers } from "../controllers/userController.js";
+import { getDeletionReports } from "../controllers/accountDeletionController.js";
 import protectRoute from "../middlewares/protectRoute.js";
+import authorize from "../middlewares/authorize.js";
 import rateLimit from "express-rate-limit";
 
 const router = express.Router();
 
-const restrictToAdmin = (req, res, next) => {
-  if (!req.user?.isAdmin) {
-    return res.status(403).json({ error: "Admin access required" });
-  }
-  next();
-};
-
 const validateObjectId = (paramName) => (req, res, next) => {
   const id = req.params[paramName];
   if (!id || !isValidObjectId(id)) {
@@ -28,12 +23,16 @@ const adminActionLimiter = rateLimit({
   message: "Too many admin actions from this IP, please try again later.",
 });
 
-router.get("/posts", protectRoute, restrictToAdmin, getAllPosts);
-router.put("/posts/:id/ban", protectRoute, restrictToAdmin, validateObjectId("id"), adminActionLimiter, banPost);
-router.put("/posts/:id/unban", protectRoute, restrictToAdmin, validateObjectId("id"), adminActionLimiter, unbanPost);
+router.get("/posts", protectRoute, authorize("posts:view-all"), getAllPosts);
+router.put("/posts/:id/ban", protectRoute, authorize("posts:moderate"), validateObjectId("id"), adminActionLimiter, banPost);
+router.put("/posts/:id/unban", protectRoute, authorize("posts:moderate"), validateObjectId("id"), adminActionLimiter, unbanPost);
+
+router.get("/users", protectRoute, authorize("users:view-all"), getAllUsers);
+router.put("/users/:id/ban", protectRoute, authorize("users:ban"), validateObjectId("id"), adminActionLimiter, banUser);
+router.put("/users/:id/unban", protectRoute, authorize("users:ban"), validateObjectId("id"), adminActionLimiter, unbanUser);
+router.put("/users/:id/promote", protectRoute, authorize("users:manage-roles"), validateObjectId("id"), adminActionLimiter, promoteToAdmin);
+router.put("/users/:id/role", protectRoute, authorize("users:manage-roles"), validateObjectId("id"), adminActionLimiter, setUserRole);
 
-router.put("/users/:id/ban", protectRoute, restrictToAdmin, validateObjectId("id"), adminActionLimiter, banUser);
-router.put("/users/:id/unban", protectRoute, restrictToAdmin, validateObjectId("id"), adminActionLimiter, unbanUser);
-router.put("/users/:id/promote", protectRoute, restrictToAdmin, validateObjectId("id"), adminActionLimiter, promoteToAdmin);
+router.get("/deletion-reports", protectRoute, authorize("audit:view"), getDeletionReports);
 
 export default router;
\ No newline at end of file
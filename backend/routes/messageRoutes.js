@@ -1,11 +1,12 @@
 import express from "express";
 import protectRoute from "../middlewares/protectRoute.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
 import { getMessages, sendMessage, getConversations } from "../controllers/messageController.js";
 
 const router = express.Router();
 
 router.get("/conversations", protectRoute, getConversations);
 router.get("/:otherUserId", protectRoute, getMessages);
-router.post("/", protectRoute, sendMessage);
+router.post("/", protectRoute, requireVerifiedEmail, sendMessage);
 
 export default router;
\ No newline at end of file
@@ -4,11 +4,18 @@ import { isValidObjectId } from "mongoose";
 import {
   getAllPosts,
   createPost,
+  getDrafts,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  publishDraftNow,
   createStory,
   getPost,
   deletePost,
   likeUnlikePost,
   commentOnPost,
+  replyToComment,
+  getCommentReplies,
   likeUnlikeComment,
   banPost,
   unbanPost,
@@ -20,11 +27,18 @@ import {
   deleteComment,
   getBookmarks,
   bookmarkUnbookmarkPost,
+  repostPost,
+  undoRepost,
   getSuggestedPosts,
   getPaginatedComments,
+  getPostRevisions,
+  getCommentRevisions,
 } from "../controllers/postController.js";
-import protectRoute from "../middlewares/protectRoute.js";
+import protectRoute, { identifyUser } from "../middlewares/protectRoute.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import authorize from "../middlewares/authorize.js";
 import rateLimit from "express-rate-limit";
+import { MAX_MEDIA_ITEMS } from "../models/postModel.js";
 
 const router = express.Router();
 const upload = multer({ dest: "uploads/" });
@@ -47,27 +61,57 @@ const commentLimiter = rateLimit({
   max: 100,
 });
 
-router.get("/all", protectRoute, getAllPosts);
+router.get("/all", protectRoute, authorize("posts:view-all"), getAllPosts);
 router.get("/feed", protectRoute, getFeedPosts);
 router.get("/stories", protectRoute, getStories);
-router.get("/user/:username", getUserPosts);
+router.get("/user/:username", identifyUser, getUserPosts);
+router.get("/drafts", protectRoute, getDrafts);
 router.get("/:id", protectRoute, validateObjectId("id"), getPost);
+router.get("/:id/revisions", protectRoute, validateObjectId("id"), getPostRevisions);
 router.get("/bookmarks/:username", protectRoute, getBookmarks);
 router.get("/suggested", protectRoute, getSuggestedPosts);
 router.get("/post/:postId/comments", protectRoute, validateObjectId("postId"), getPaginatedComments);
+router.get(
+  "/post/:postId/comment/:commentId/replies",
+  protectRoute,
+  validateObjectId("postId"),
+  validateObjectId("commentId"),
+  getCommentReplies
+);
+router.get(
+  "/post/:postId/comment/:commentId/revisions",
+  protectRoute,
+  validateObjectId("postId"),
+  validateObjectId("commentId"),
+  getCommentRevisions
+);
 
-router.post("/create", protectRoute, upload.single("media"), createPost);
-router.post("/story", protectRoute, upload.single("media"), createStory);
+router.post("/create", protectRoute, requireVerifiedEmail, upload.array("media", MAX_MEDIA_ITEMS), createPost);
+router.post("/drafts", protectRoute, requireVerifiedEmail, upload.array("media", MAX_MEDIA_ITEMS), createDraft);
+router.post("/drafts/:id/publish", protectRoute, requireVerifiedEmail, validateObjectId("id"), publishDraftNow);
+router.post("/repost/:id", protectRoute, requireVerifiedEmail, validateObjectId("id"), repostPost);
+router.post("/story", protectRoute, requireVerifiedEmail, upload.single("media"), createStory);
 router.post(
   "/post/:postId/comment",
   protectRoute,
+  requireVerifiedEmail,
   validateObjectId("postId"),
   commentLimiter,
   commentOnPost
 );
+router.post(
+  "/post/:postId/comment/:commentId/reply",
+  protectRoute,
+  requireVerifiedEmail,
+  validateObjectId("postId"),
+  validateObjectId("commentId"),
+  commentLimiter,
+  replyToComment
+);
 
 router.put("/like/:id", protectRoute, validateObjectId("id"), likeUnlikePost);
 router.put("/bookmark/:id", protectRoute, validateObjectId("id"), bookmarkUnbookmarkPost);
+router.put("/drafts/:id", protectRoute, requireVerifiedEmail, validateObjectId("id"), updateDraft);
 router.put("/:id", protectRoute, validateObjectId("id"), editPost);
 router.put(
   "/post/:postId/comment/:commentId/like",
@@ -83,9 +127,11 @@ router.put(
   validateObjectId("commentId"),
   editComment
 );
-router.put("/ban/:id", protectRoute, validateObjectId("id"), banPost);
-router.put("/unban/:id", protectRoute, validateObjectId("id"), unbanPost);
+router.put("/ban/:id", protectRoute, authorize("posts:moderate"), validateObjectId("id"), banPost);
+router.put("/unban/:id", protectRoute, authorize("posts:moderate"), validateObjectId("id"), unbanPost);
 
+router.delete("/repost/:id", protectRoute, validateObjectId("id"), undoRepost);
+router.delete("/drafts/:id", protectRoute, validateObjectId("id"), deleteDraft);
 router.delete("/:id", protectRoute, validateObjectId("id"), deletePost);
 router.delete(
   "/post/:postId/comment/:commentId",
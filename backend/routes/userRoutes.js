@@ -3,10 +3,17 @@ import {
   followUnFollowUser,
   getUserProfile,
   loginUser,
+  loginTwoFactor,
   logoutUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   signupUser,
   updateUser,
   getSuggestedUsers,
+  dismissSuggestion,
+  removeFollower,
   freezeAccount,
   adminLogin,
   banUser,
@@ -18,35 +25,158 @@ import {
   getMultipleUsers, 
   getAllUsers,
 } from "../controllers/userController.js";
-import protectRoute from "../middlewares/protectRoute.js";
+import {
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getLoginHistory,
+} from "../controllers/sessionController.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus,
+} from "../controllers/twoFactorController.js";
+import {
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  completeOidcLogin,
+} from "../controllers/oidcController.js";
+import { changePassword, requestEmailChange, confirmEmailChange } from "../controllers/credentialsController.js";
+import {
+  getFollowRequests,
+  getSentFollowRequests,
+  acceptFollowRequest,
+  declineFollowRequest,
+  setAccountPrivacy,
+} from "../controllers/followRequestController.js";
+import { requestAccountDeletion } from "../controllers/accountDeletionController.js";
+import { requestDataExport, getLatestDataExport, downloadDataExport } from "../controllers/dataExportController.js";
+import { getAccessTokens, createAccessToken, revokeAccessToken } from "../controllers/accessTokenController.js";
+import { getBlockedUsers, blockUser, unblockUser } from "../controllers/blockController.js";
+import { getMutes, muteUser, muteKeyword, removeMute } from "../controllers/muteController.js";
+import { getCloseFriends, addCloseFriend, removeCloseFriend } from "../controllers/closeFriendsController.js";
+import { getFollowers, getFollowing } from "../controllers/followListController.js";
+import protectRoute, { identifyUser } from "../middlewares/protectRoute.js";
+import authorize from "../middlewares/authorize.js";
 import multer from "multer";
+import rateLimit from "express-rate-limit";
 
 const router = express.Router();
 const upload = multer({ dest: "uploads/" });
 
-router.get("/profile/:query", getUserProfile);
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { error: "Too many password reset requests, please try again later." },
+});
+
+// Coarse per-IP cap; per-account lockouts are handled in the controllers.
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 50,
+  message: { error: "Too many login attempts, please try again later." },
+});
+
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: "Too many verification attempts, please try again later." },
+});
+
+const oidcLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { error: "Too many sign-in attempts, please try again later." },
+});
+
+// Every attempt checks the current password, so keep guessing expensive.
+const credentialChangeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: "Too many attempts, please try again later." },
+});
+
+const verificationEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  message: { error: "Too many verification emails requested, please try again later." },
+});
+
+router.get("/profile/:query", identifyUser, getUserProfile);
 router.get("/suggested", protectRoute, getSuggestedUsers);
+router.post("/suggested/:id/dismiss", protectRoute, dismissSuggestion);
 router.get("/dashboard", protectRoute, getUserDashboard);
-router.get("/stats/:username", getUserStats);
+router.get("/stats/:username", identifyUser, getUserStats);
+router.get("/followers/:username", identifyUser, getFollowers);
+router.get("/following/:username", identifyUser, getFollowing);
+router.delete("/followers/:id", protectRoute, removeFollower);
 router.post("/signup", signupUser);
-router.post("/login", loginUser);
-router.post("/admin/login", adminLogin);
+router.post("/login", loginLimiter, loginUser);
+router.post("/login/2fa", twoFactorLimiter, loginTwoFactor);
+router.post("/admin/login", loginLimiter, adminLogin);
+router.get("/oidc/providers", getOidcProviders);
+router.get("/oidc/:provider", oidcLimiter, startOidcLogin);
+router.get("/oidc/:provider/callback", oidcCallback);
+router.post("/oidc/complete", oidcLimiter, completeOidcLogin);
 router.post("/logout", logoutUser);
+router.post("/refresh", refreshSession);
+router.post("/forgot-password", passwordResetLimiter, forgotPassword);
+router.post("/reset-password", passwordResetLimiter, resetPassword);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", protectRoute, verificationEmailLimiter, resendVerificationEmail);
+router.get("/sessions", protectRoute, getSessions);
+router.delete("/sessions", protectRoute, revokeOtherSessions);
+router.delete("/sessions/:id", protectRoute, revokeSession);
+router.get("/login-history", protectRoute, getLoginHistory);
+router.get("/access-tokens", protectRoute, getAccessTokens);
+router.post("/access-tokens", protectRoute, createAccessToken);
+router.delete("/access-tokens/:id", protectRoute, revokeAccessToken);
+router.get("/2fa", protectRoute, getTwoFactorStatus);
+router.post("/2fa/setup", protectRoute, setupTwoFactor);
+router.post("/2fa/enable", protectRoute, twoFactorLimiter, enableTwoFactor);
+router.post("/2fa/disable", protectRoute, twoFactorLimiter, disableTwoFactor);
+router.post("/2fa/backup-codes", protectRoute, twoFactorLimiter, regenerateBackupCodes);
 console.log("Registering user routes, including POST /follow/:id");
 router.post('/follow/:id', protectRoute, (req, res, next) => {
   console.log(`Handling POST /follow/${req.params.id}`);
   followUnFollowUser(req, res, next);
 });
 // router.post("/api/users/:id/follow", protectRoute, followUnFollowUser);
+router.get("/follow-requests", protectRoute, getFollowRequests);
+router.get("/follow-requests/sent", protectRoute, getSentFollowRequests);
+router.post("/follow-requests/:id/accept", protectRoute, acceptFollowRequest);
+router.delete("/follow-requests/:id", protectRoute, declineFollowRequest);
+router.put("/privacy", protectRoute, setAccountPrivacy);
+router.get("/blocked", protectRoute, getBlockedUsers);
+router.post("/block/:id", protectRoute, blockUser);
+router.delete("/block/:id", protectRoute, unblockUser);
+router.get("/mutes", protectRoute, getMutes);
+router.post("/mutes/users/:id", protectRoute, muteUser);
+router.post("/mutes/keywords", protectRoute, muteKeyword);
+router.delete("/mutes/:id", protectRoute, removeMute);
+router.get("/close-friends", protectRoute, getCloseFriends);
+router.put("/close-friends/:id", protectRoute, addCloseFriend);
+router.delete("/close-friends/:id", protectRoute, removeCloseFriend);
 router.post("/multiple", protectRoute, getMultipleUsers); // Use protectRoute
 router.put("/update", protectRoute, upload.single("profilePic"), updateUser);
+router.put("/password", protectRoute, credentialChangeLimiter, changePassword);
+router.post("/email", protectRoute, credentialChangeLimiter, verificationEmailLimiter, requestEmailChange);
+router.post("/email/confirm", confirmEmailChange);
 router.put("/freeze", protectRoute, freezeAccount);
-router.put("/ban/:id", protectRoute, banUser);
-router.put("/unban/:id", protectRoute, unbanUser);
-router.put("/promote/:id", protectRoute, promoteToAdmin);
-router.get("/all-users-for-posts", protectRoute, getAllUsers);
-router.get("/all", protectRoute, getAllUsers);
-router.get("/admin/realtime-dashboard", protectRoute, getAdminRealtimeDashboard);
+router.post("/delete", protectRoute, twoFactorLimiter, requestAccountDeletion);
+router.post("/exports", protectRoute, requestDataExport);
+router.get("/exports/latest", protectRoute, getLatestDataExport);
+router.get("/exports/:id/download", protectRoute, downloadDataExport);
+router.put("/ban/:id", protectRoute, authorize("users:ban"), banUser);
+router.put("/unban/:id", protectRoute, authorize("users:ban"), unbanUser);
+router.put("/promote/:id", protectRoute, authorize("users:manage-roles"), promoteToAdmin);
+router.get("/all-users-for-posts", protectRoute, authorize("users:view-all"), getAllUsers);
+router.get("/all", protectRoute, authorize("users:view-all"), getAllUsers);
+router.get("/admin/realtime-dashboard", protectRoute, authorize("dashboard:view"), getAdminRealtimeDashboard);
 
 
 export default router;
\ No newline at end of file
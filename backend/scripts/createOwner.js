@@ -0,0 +1,70 @@
+// Bootstraps the first owner account and migrates legacy isAdmin users to the admin role.
+// Usage: npm run create-owner -- --name "Jane Doe" --username jane --email jane@example.com --password secret123
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import validator from "validator";
+import connectDB from "../db/connectDB.js";
+import User from "../models/userModel.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const { values } = parseArgs({
+  options: {
+    name: { type: "string" },
+    username: { type: "string" },
+    email: { type: "string" },
+    password: { type: "string" },
+  },
+});
+
+const fail = (message) => {
+  console.error(message);
+  process.exitCode = 1;
+};
+
+const run = async () => {
+  const { name, username, email, password } = values;
+  if (!username || !password) {
+    return fail("--username and --password are required");
+  }
+  if (password.length < 6) {
+    return fail("Password must be at least 6 characters");
+  }
+
+  await connectDB();
+
+  const migrated = await User.updateMany({ isAdmin: true, role: { $in: [null, "user"] } }, { role: "admin" });
+  if (migrated.modifiedCount) {
+    console.log(`Migrated ${migrated.modifiedCount} legacy admin account(s) to the admin role`);
+  }
+
+  if (await User.exists({ role: "owner" })) {
+    return fail("An owner account already exists; use the admin API to manage roles");
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  let user = await User.findOne({ username });
+  if (user) {
+    user.password = hashedPassword;
+  } else {
+    if (!name || !email || !validator.isEmail(email)) {
+      return fail("--name and a valid --email are required to create a new account");
+    }
+    user = new User({ name, username, email, password: hashedPassword, emailVerified: true });
+  }
+  user.role = "owner";
+  await user.save();
+
+  console.log(`${user.username} is now the owner`);
+};
+
+run()
+  .catch((error) => fail(`Error creating owner: ${error.message}`))
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// One-off migration for accounts created before email verification existed, so they are not locked out of
+// posting, commenting and messaging. Any account created before --before (the deploy of email verification) is
+// marked verified, including legacy documents that were re-saved after the deploy and had emailVerified: false
+// written by the schema default. Signups after the cutoff keep their stored value.
+// Usage: npm run migrate-email-verified -- --before 2026-05-01T00:00:00Z
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import connectDB from "../db/connectDB.js";
+import User from "../models/userModel.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const { values } = parseArgs({
+  options: {
+    before: { type: "string" },
+  },
+});
+
+const fail = (message) => {
+  console.error(message);
+  process.exitCode = 1;
+};
+
+const run = async () => {
+  const cutoff = new Date(values.before);
+  if (!values.before || Number.isNaN(cutoff.getTime())) {
+    return fail("--before must be the date email verification was deployed, e.g. 2026-05-01T00:00:00Z");
+  }
+
+  await connectDB();
+
+  const { modifiedCount } = await User.updateMany(
+    { emailVerified: { $ne: true }, createdAt: { $lt: cutoff } },
+    { $set: { emailVerified: true } }
+  );
+  console.log(`Marked ${modifiedCount} account(s) created before ${cutoff.toISOString()} as verified`);
+};
+
+run()
+  .catch((error) => {
+    console.error(`Error migrating accounts: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
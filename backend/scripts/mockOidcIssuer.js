@@ -0,0 +1,134 @@
+// A minimal OpenID Connect issuer for exercising OIDC login locally. Not for production use.
+// Usage: npm run mock-oidc, then start the server with
+//   OIDC_PROVIDERS=mock OIDC_MOCK_ISSUER=http://localhost:4011 OIDC_MOCK_CLIENT_ID=nrblog OIDC_MOCK_CLIENT_SECRET=secret
+// The authorize page asks for the identity to sign in as; pass login_hint=<email> to skip it in scripts.
+import express from "express";
+import crypto from "crypto";
+import { generateKeyPair, exportJWK, SignJWT } from "jose";
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4011;
+const ISSUER = `http://localhost:${PORT}`;
+const KEY_ID = "mock-key";
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const subjectFor = (email) => crypto.createHash("sha256").update(email.toLowerCase()).digest("hex").slice(0, 24);
+
+const main = async () => {
+  const { publicKey, privateKey } = await generateKeyPair("RS256");
+  const jwk = { ...(await exportJWK(publicKey)), kid: KEY_ID, alg: "RS256", use: "sig" };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => res.json({ keys: [jwk] }));
+
+  const issueCode = (params, identity) => {
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, { ...params, identity, expiresAt: Date.now() + 60 * 1000 });
+
+    const redirect = new URL(params.redirect_uri);
+    redirect.searchParams.set("code", code);
+    if (params.state) redirect.searchParams.set("state", params.state);
+    return redirect.toString();
+  };
+
+  app.get("/authorize", (req, res) => {
+    const { client_id, redirect_uri, login_hint } = req.query;
+    if (!client_id || !redirect_uri) return res.status(400).send("client_id and redirect_uri are required");
+
+    if (login_hint) {
+      return res.redirect(issueCode(req.query, { email: login_hint, name: login_hint.split("@")[0], emailVerified: true }));
+    }
+
+    const hidden = Object.entries(req.query)
+      .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+      .join("");
+    res.send(`<!doctype html><title>Mock OIDC</title>
+      <form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:40px auto;display:grid;gap:8px">
+        <h3>Sign in to the mock issuer</h3>${hidden}
+        <input name="email" type="email" placeholder="Email" required>
+        <input name="name" placeholder="Name">
+        <label><input name="email_verified" type="checkbox" checked> Email verified</label>
+        <button type="submit">Continue</button>
+      </form>`);
+  });
+
+  app.post("/authorize", (req, res) => {
+    const { email, name, email_verified, ...params } = req.body;
+    if (!params.client_id || !params.redirect_uri || !email) return res.status(400).send("Missing parameters");
+    res.redirect(issueCode(params, { email, name, emailVerified: email_verified === "on" }));
+  });
+
+  app.post("/token", async (req, res) => {
+    const { code, client_id, redirect_uri, code_verifier } = req.body;
+    const pending = codes.get(code);
+    codes.delete(code);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "Unknown or expired code" });
+    }
+    if (pending.client_id !== client_id || pending.redirect_uri !== redirect_uri) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "Client or redirect URI mismatch" });
+    }
+    if (pending.code_challenge) {
+      const challenge = crypto.createHash("sha256").update(code_verifier || "").digest("base64url");
+      if (challenge !== pending.code_challenge) {
+        return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+      }
+    }
+
+    const { email, name, emailVerified } = pending.identity;
+    const claims = {
+      email,
+      email_verified: emailVerified,
+      name: name || undefined,
+      preferred_username: email.split("@")[0],
+    };
+    const idToken = await new SignJWT({ ...claims, nonce: pending.nonce })
+      .setProtectedHeader({ alg: "RS256", kid: KEY_ID })
+      .setIssuer(ISSUER)
+      .setAudience(client_id)
+      .setSubject(subjectFor(email))
+      .setIssuedAt()
+      .setExpirationTime("5m")
+      .sign(privateKey);
+
+    const accessToken = crypto.randomBytes(16).toString("hex");
+    accessTokens.set(accessToken, { sub: subjectFor(email), ...claims });
+
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 300, id_token: idToken });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+    const claims = accessTokens.get(token);
+    if (!claims) return res.status(401).json({ error: "invalid_token" });
+    res.json(claims);
+  });
+
+  app.listen(PORT, () => console.log(`Mock OIDC issuer running at ${ISSUER}`));
+};
+
+main().catch((error) => {
+  console.error(`Error starting mock OIDC issuer: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -11,6 +11,9 @@ import messageRoutes from "./routes/messageRoutes.js";
 import { v2 as cloudinary } from "cloudinary";
 import { app, server } from "./socket/socket.js";
 import job from "./cron/cron.js";
+import purgeJob from "./cron/purgeDeletedAccounts.js";
+import exportCleanupJob from "./cron/cleanupDataExports.js";
+import publishJob from "./cron/publishScheduledPosts.js";
 import cors from "cors";
 
 
@@ -23,6 +26,9 @@ console.log("Loaded JWT_SECRET:", process.env.JWT_SECRET);
 
 connectDB();
 job.start();
+purgeJob.start();
+exportCleanupJob.start();
+publishJob.start();
 
 const PORT = process.env.PORT || 5000;
 
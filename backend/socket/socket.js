@@ -2,10 +2,20 @@ import { Server } from "socket.io";
 import http from "http";
 import express from "express";
 import jwt from "jsonwebtoken";
+import cookieParser from "cookie-parser";
 import Message from "../models/messageModel.js";
 import Conversation from "../models/conversationModel.js";
 import { Post } from "../models/postModel.js";
 import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import { isBlockedBetween } from "../utils/helpers/blocking.js";
+import { getMutedRecipientIds } from "../utils/helpers/mutes.js";
+import {
+  getHiddenCommenterIds,
+  isHiddenPost,
+  isVisibleUser,
+  withVisibleComments,
+} from "../utils/helpers/visibility.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -30,8 +40,50 @@ export const getRecipientSocketId = (recipientId) => {
   return userSocketMap[recipientId];
 };
 
-io.use((socket, next) => {
-  const token = socket.handshake.query.token;
+export const disconnectSessions = (sessionIds) => {
+  const revoked = sessionIds.map((id) => id.toString());
+  io.sockets.sockets.forEach((socket) => {
+    if (socket.sessionId && revoked.includes(socket.sessionId)) {
+      socket.emit("sessionRevoked", { sessionId: socket.sessionId, timestamp: Date.now() });
+      socket.disconnect(true);
+    }
+  });
+};
+
+const idOf = (ref) => ref?._id || ref;
+
+// Emits to a post room. Each viewer gets `data.post` without the comments of users hidden from them. Viewers on
+// either side of a block with the post's author, the comment's author or `actorId` get nothing, and neither do
+// viewers who muted `actorId` or a keyword in `text`.
+export const emitToPostRoom = async (postId, event, data, actorId, text) => {
+  const sockets = await io.in(`post:${postId}`).fetchSockets();
+  if (!sockets.length) return;
+
+  const post = typeof data.post?.toObject === "function" ? data.post.toObject() : data.post;
+  const involvedIds = [actorId, idOf(post?.postedBy), idOf(data.comment?.userId)].filter(Boolean);
+  const commenterIds = (post?.comments || []).map((comment) => idOf(comment.userId)).filter(Boolean);
+  const viewerIds = [...new Set(sockets.map((socket) => socket.userId))];
+  const [viewers, people, mutedIds] = await Promise.all([
+    User.find({ _id: { $in: viewerIds } }).select("blocked").lean(),
+    User.find({ _id: { $in: [...involvedIds, ...commenterIds] } }).select("blocked isFrozen").lean(),
+    actorId ? getMutedRecipientIds(viewerIds, actorId, text) : new Set(),
+  ]);
+  const viewersById = new Map(viewers.map((viewer) => [viewer._id.toString(), viewer]));
+  const peopleById = new Map(people.map((person) => [person._id.toString(), person]));
+
+  sockets.forEach((socket) => {
+    const viewer = viewersById.get(socket.userId);
+    if (!viewer || mutedIds.has(socket.userId)) return;
+    if (involvedIds.some((id) => !isVisibleUser(peopleById.get(id.toString()), viewer))) return;
+    const hiddenIds = people.filter((person) => !isVisibleUser(person, viewer)).map((person) => person._id);
+    socket.emit(event, post ? { ...data, post: withVisibleComments(post, hiddenIds) } : data);
+  });
+};
+
+io.engine.use(cookieParser());
+
+io.use(async (socket, next) => {
+  const token = socket.handshake.query.token || socket.request.cookies?.jwt;
   const userId = socket.handshake.query.userId;
 
   if (!token || !userId) {
@@ -47,7 +99,12 @@ io.use((socket, next) => {
     if (decoded.userId !== userId) {
       return next(new Error("Invalid token"));
     }
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (!session || !session.isActive()) {
+      return next(new Error("Session expired or revoked"));
+    }
     socket.userId = userId;
+    socket.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     return next(new Error(`Authentication failed: ${error.message}`));
@@ -63,9 +120,18 @@ io.on("connection", (socket) => {
     return;
   }
 
-  socket.on("joinPostRoom", (room) => {
+  // Live updates only go to viewers who could open the post.
+  socket.on("joinPostRoom", async (room) => {
     if (!room || !room.startsWith("post:")) return;
-    socket.join(room);
+    const postId = room.slice("post:".length);
+    if (!/^[0-9a-fA-F]{24}$/.test(postId)) return;
+    try {
+      const [post, viewer] = await Promise.all([Post.findById(postId), User.findById(socket.userId)]);
+      if (!viewer || (await isHiddenPost(post, viewer))) return;
+      socket.join(room);
+    } catch (error) {
+      socket.emit("error", { message: error.message, timestamp: Date.now() });
+    }
   });
 
   socket.on("leavePostRoom", (room) => {
@@ -84,28 +150,14 @@ io.on("connection", (socket) => {
         .populate("postedBy", "username profilePic")
         .populate("comments.userId", "username profilePic")
         .lean();
-      if (!populatedPost) throw new Error("Post not found");
-      socket.emit("syncPostState", { postId, post: populatedPost, timestamp: Date.now() });
-    } catch (error) {
-      socket.emit("error", { message: error.message, timestamp: Date.now() });
-    }
-  });
-
-  socket.on("newPost", async (post) => {
-    try {
-      if (!post?._id) throw new Error("Invalid post ID");
-      const populatedPost = await Post.findById(post._id)
-        .populate("postedBy", "username profilePic")
-        .lean();
-      if (!populatedPost) throw new Error("Post not found");
-      const user = await User.findById(post.postedBy).select("following").lean();
-      if (!user) throw new Error("User not found");
-      const followerIds = [...(user.following || []), post.postedBy.toString()];
-      followerIds.forEach((followerId) => {
-        const socketId = getRecipientSocketId(followerId);
-        if (socketId) io.to(socketId).emit("newPost", populatedPost);
+      const viewer = await User.findById(socket.userId);
+      if (!viewer || (await isHiddenPost(populatedPost, viewer))) throw new Error("Post not found");
+      const hiddenIds = await getHiddenCommenterIds(viewer, [populatedPost]);
+      socket.emit("syncPostState", {
+        postId,
+        post: withVisibleComments(populatedPost, hiddenIds),
+        timestamp: Date.now(),
       });
-      io.emit("newFeedPost", populatedPost, { timestamp: Date.now() });
     } catch (error) {
       socket.emit("error", { message: error.message, timestamp: Date.now() });
     }
@@ -126,19 +178,26 @@ io.on("connection", (socket) => {
         .populate("comments.userId", "username profilePic")
         .lean();
       if (!populatedPost) throw new Error("Post not found");
-      io.to(`post:${postId}`).emit("newComment", {
+      const [newComment] = populatedComment.comments;
+      await emitToPostRoom(
         postId,
-        comment: {
-          ...populatedComment.comments[0],
-          userId: {
-            _id: populatedComment.comments[0].userId._id,
-            username: populatedComment.comments[0].userId.username || "Unknown User",
-            profilePic: populatedComment.comments[0].userId.profilePic || "/default-avatar.png",
+        "newComment",
+        {
+          postId,
+          comment: {
+            ...newComment,
+            userId: {
+              _id: newComment.userId._id,
+              username: newComment.userId.username || "Unknown User",
+              profilePic: newComment.userId.profilePic || "/default-avatar.png",
+            },
           },
+          post: populatedPost,
+          timestamp: Date.now(),
         },
-        post: populatedPost,
-        timestamp: Date.now(),
-      });
+        newComment.userId._id,
+        newComment.text
+      );
     } catch (error) {
       socket.emit("error", { message: error.message, timestamp: Date.now() });
     }
@@ -152,7 +211,7 @@ io.on("connection", (socket) => {
         .populate("comments.userId", "username profilePic")
         .lean();
       if (!populatedPost) throw new Error("Post not found");
-      io.to(`post:${postId}`).emit("likeUnlikePost", {
+      await emitToPostRoom(postId, "likeUnlikePost", {
         postId,
         userId,
         likes,
@@ -179,7 +238,7 @@ io.on("connection", (socket) => {
         .populate("postedBy", "username profilePic")
         .populate("comments.userId", "username profilePic")
         .lean();
-      io.to(`post:${postId}`).emit("likeUnlikeComment", {
+      await emitToPostRoom(postId, "likeUnlikeComment", {
         postId,
         commentId,
         userId,
@@ -214,7 +273,7 @@ io.on("connection", (socket) => {
         .populate("postedBy", "username profilePic")
         .populate("comments.userId", "username profilePic")
         .lean();
-      io.to(`post:${postId}`).emit("editComment", {
+      await emitToPostRoom(postId, "editComment", {
         postId,
         commentId,
         comment: {
@@ -241,7 +300,7 @@ io.on("connection", (socket) => {
         .populate("comments.userId", "username profilePic")
         .lean();
       if (!populatedPost) throw new Error("Post not found");
-      io.to(`post:${postId}`).emit("deleteComment", { postId, commentId, post: populatedPost, timestamp: Date.now() });
+      await emitToPostRoom(postId, "deleteComment", { postId, commentId, post: populatedPost, timestamp: Date.now() });
     } catch (error) {
       socket.emit("error", { message: error.message, timestamp: Date.now() });
     }
@@ -262,6 +321,8 @@ io.on("connection", (socket) => {
       if (!message?.recipientId || !message?.sender?._id || !message?.conversationId) {
         throw new Error("Invalid message data");
       }
+      // sendMessage already refuses these; this stops a client relaying one to a user who blocked it
+      if (await isBlockedBetween(socket.userId, message.recipientId)) return;
       const recipientSocketId = getRecipientSocketId(message.recipientId);
       const senderSocketId = getRecipientSocketId(message.sender._id);
       if (recipientSocketId) {
@@ -338,11 +399,12 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("typing", ({ conversationId, userId }) => {
+  socket.on("typing", async ({ conversationId, userId }) => {
     if (!conversationId || !userId) {
       socket.emit("error", { message: "Invalid typing data", timestamp: Date.now() });
       return;
     }
+    if (await isBlockedBetween(socket.userId, userId).catch(() => true)) return;
     typingUsers.set(`${conversationId}:${userId}`, true);
     const recipientSocketId = getRecipientSocketId(userId);
     if (recipientSocketId) {
@@ -350,11 +412,12 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("stopTyping", ({ conversationId, userId }) => {
+  socket.on("stopTyping", async ({ conversationId, userId }) => {
     if (!conversationId || !userId) {
       socket.emit("error", { message: "Invalid stop typing data", timestamp: Date.now() });
       return;
     }
+    if (await isBlockedBetween(socket.userId, userId).catch(() => true)) return;
     typingUsers.delete(`${conversationId}:${userId}`);
     const recipientSocketId = getRecipientSocketId(userId);
     if (recipientSocketId) {
@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import AccessToken from "../../models/accessTokenModel.js";
+import { hashToken } from "./generateTokenAndSetCookie.js";
+
+const TOKEN_PREFIX = "nrb_pat_";
+const ACCESS_TOKEN_SCOPES = ["posts:read", "posts:write", "messages", "admin"];
+const LAST_USED_RESOLUTION = 60 * 1000; // lastUsedAt is written at most once a minute per token
+
+const isAccessToken = (value) => typeof value === "string" && value.startsWith(TOKEN_PREFIX);
+
+const getBearerToken = (req) => {
+  const [scheme, value] = (req.get("authorization") || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" ? value : null;
+};
+
+const generateAccessToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { token, tokenHash: hashToken(token), prefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+};
+
+const findAccessToken = async (token) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+  return accessToken?.isActive() ? accessToken : null;
+};
+
+const touchAccessToken = (accessToken, req) =>
+  AccessToken.updateOne(
+    {
+      _id: accessToken._id,
+      $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(Date.now() - LAST_USED_RESOLUTION) } }],
+    },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || "" } }
+  );
+
+// The scope a token needs for this request, or null when tokens may not call it at all.
+// Account management (/api/users) stays cookie-only so a leaked token cannot mint tokens or change passwords.
+const requiredScope = (req) => {
+  const isRead = ["GET", "HEAD"].includes(req.method);
+  switch (req.baseUrl) {
+    case "/api/posts":
+      return isRead ? "posts:read" : "posts:write";
+    case "/api/messages":
+      return "messages";
+    case "/api/admin":
+      return "admin";
+    default:
+      return null;
+  }
+};
+
+const tokenHasScope = (accessToken, scope) => Boolean(accessToken?.scopes?.includes(scope));
+
+export {
+  ACCESS_TOKEN_SCOPES,
+  isAccessToken,
+  getBearerToken,
+  generateAccessToken,
+  findAccessToken,
+  touchAccessToken,
+  requiredScope,
+  tokenHasScope,
+};
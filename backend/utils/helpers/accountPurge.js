@@ -0,0 +1,188 @@
+import { v2 as cloudinary } from "cloudinary";
+import User from "../../models/userModel.js";
+import { Post } from "../../models/postModel.js";
+import Story from "../../models/storyModel.js";
+import PostDraft from "../../models/postDraftModel.js";
+import PostRevision from "../../models/postRevisionModel.js";
+import Conversation from "../../models/conversationModel.js";
+import Message from "../../models/messageModel.js";
+import Session from "../../models/sessionModel.js";
+import UserToken from "../../models/userTokenModel.js";
+import AccessToken from "../../models/accessTokenModel.js";
+import LoginEvent from "../../models/loginEventModel.js";
+import FollowRequest from "../../models/followRequestModel.js";
+import Mute from "../../models/muteModel.js";
+import UsernameHistory from "../../models/usernameHistoryModel.js";
+import DeletionReport from "../../models/deletionReportModel.js";
+import { disconnectSessions } from "../../socket/socket.js";
+import { deleteUserDataExports } from "./dataExport.js";
+
+const RESOURCE_TYPES = { image: "image", video: "video", audio: "video", document: "raw" };
+
+const isCloudinaryUrl = (url) => typeof url === "string" && url.includes("res.cloudinary.com");
+
+// Same public id convention as the upload paths in postController/userController.
+const getPublicId = (url) => url.split("/").pop().split(".")[0];
+
+// A missing asset is not a failure; anything else is recorded for the report and the purge carries on.
+const destroyMedia = async (assets, media) => {
+  for (const { url, resourceType } of assets) {
+    if (!isCloudinaryUrl(url)) continue;
+    try {
+      const { result } = await cloudinary.uploader.destroy(getPublicId(url), { resource_type: resourceType || "image" });
+      if (result === "ok") media.deleted += 1;
+      else if (result !== "not found") media.failed.push(url);
+    } catch (error) {
+      console.error("destroyMedia: Failed", { url, message: error.message });
+      media.failed.push(url);
+    }
+  }
+};
+
+// Removes every trace of a user. Each step is idempotent, so a purge that fails midway is simply retried.
+const purgeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const counts = {};
+  const media = { deleted: 0, failed: [] };
+
+  // Posts and their media
+  const posts = await Post.find({ postedBy: userId }).select("media mediaType previewUrl mediaItems").lean();
+  // Earlier versions of their posts and comments go too
+  await PostRevision.deleteMany({ $or: [{ postId: { $in: posts.map((post) => post._id) } }, { author: userId }] });
+  await destroyMedia(
+    posts.flatMap((post) =>
+      // Carousel posts mirror their first item into media, so that one is only listed once.
+      (post.mediaItems?.length ? post.mediaItems : [{ url: post.media, type: post.mediaType, previewUrl: post.previewUrl }])
+        .flatMap((item) => [
+          { url: item.url, resourceType: RESOURCE_TYPES[item.type] },
+          { url: item.previewUrl, resourceType: "image" },
+        ])
+    ),
+    media
+  );
+  counts.posts = (await Post.deleteMany({ postedBy: userId })).deletedCount;
+  // Other people's plain reposts of those posts have nothing left to show
+  await Post.deleteMany({ repostOf: { $in: posts.map((post) => post._id) }, text: "" });
+
+  // Drafts and scheduled posts that never went out
+  const drafts = await PostDraft.find({ userId }).select("mediaItems").lean();
+  await destroyMedia(
+    drafts.flatMap((draft) =>
+      draft.mediaItems.flatMap((item) => [
+        { url: item.url, resourceType: RESOURCE_TYPES[item.type] },
+        { url: item.previewUrl, resourceType: "image" },
+      ])
+    ),
+    media
+  );
+  await PostDraft.deleteMany({ userId });
+
+  // Comments, likes, shares, bookmarks and mentions left on other people's posts
+  const [commentTotal] = await Post.aggregate([
+    { $match: { "comments.userId": user._id } },
+    { $unwind: "$comments" },
+    { $match: { "comments.userId": user._id } },
+    { $count: "total" },
+  ]);
+  counts.comments = commentTotal?.total || 0;
+  await Post.updateMany({ "comments.userId": userId }, { $pull: { comments: { userId } } });
+  counts.postsUnliked = (await Post.updateMany({ likes: userId }, { $pull: { likes: userId } })).modifiedCount;
+  await Post.updateMany(
+    { $or: [{ shares: userId }, { bookmarks: userId }, { "comments.likes": userId }, { "comments.mentions": userId }] },
+    { $pull: { shares: userId, bookmarks: userId, "comments.$[].likes": userId, "comments.$[].mentions": userId } }
+  );
+
+  // Follower links in both directions, plus blocks and close friends entries others gave the user
+  counts.followLinks = (
+    await User.updateMany(
+      {
+        $or: [
+          { followers: userId },
+          { following: userId },
+          { blocked: userId },
+          { closeFriends: userId },
+          { dismissedSuggestions: userId },
+        ],
+      },
+      {
+        $pull: {
+          followers: userId,
+          following: userId,
+          blocked: userId,
+          closeFriends: userId,
+          dismissedSuggestions: userId,
+        },
+      }
+    )
+  ).modifiedCount;
+  await FollowRequest.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] });
+  await Mute.deleteMany({ $or: [{ userId }, { mutedUser: userId }] });
+
+  // Stories
+  const stories = await Story.find({ postedBy: userId }).select("media mediaType previewUrl").lean();
+  await destroyMedia(
+    stories.flatMap((story) => [
+      { url: story.media, resourceType: RESOURCE_TYPES[story.mediaType] },
+      { url: story.previewUrl, resourceType: "image" },
+    ]),
+    media
+  );
+  counts.stories = (await Story.deleteMany({ postedBy: userId })).deletedCount;
+
+  // Conversations are one-to-one, so they go entirely along with every message and attachment in them
+  const conversationIds = (await Conversation.find({ participants: userId }).select("_id").lean()).map((c) => c._id);
+  const attachments = await Message.find({ conversationId: { $in: conversationIds }, img: { $ne: "" } })
+    .select("img")
+    .lean();
+  await destroyMedia(
+    attachments.map((message) => ({ url: message.img })),
+    media
+  );
+  counts.messages = (await Message.deleteMany({ conversationId: { $in: conversationIds } })).deletedCount;
+  counts.conversations = (await Conversation.deleteMany({ _id: { $in: conversationIds } })).deletedCount;
+
+  // Sign-in state
+  const sessionIds = (await Session.find({ userId }).select("_id").lean()).map((session) => session._id);
+  disconnectSessions(sessionIds);
+  counts.sessions = (await Session.deleteMany({ userId })).deletedCount;
+  counts.tokens =
+    (await UserToken.deleteMany({ userId })).deletedCount + (await AccessToken.deleteMany({ userId })).deletedCount;
+  counts.loginEvents = (await LoginEvent.deleteMany({ userId })).deletedCount;
+  counts.dataExports = await deleteUserDataExports(userId);
+  // Releases the handles the user gave up before their reservations run out
+  await UsernameHistory.deleteMany({ userId });
+
+  if (user.profilePic) {
+    await destroyMedia([{ url: user.profilePic }], media);
+  }
+
+  const report = await DeletionReport.create({
+    userId: user._id,
+    username: user.username,
+    requestedAt: user.deletionRequestedAt,
+    counts,
+    media,
+  });
+  await User.deleteOne({ _id: userId });
+
+  return report;
+};
+
+// Purges every account whose grace period has ended. Failures are logged and retried on the next run.
+const purgeDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select("_id").lean();
+  const reports = [];
+  for (const { _id } of due) {
+    try {
+      const report = await purgeUser(_id);
+      if (report) reports.push(report);
+    } catch (error) {
+      console.error("purgeDueAccounts: Failed", { userId: _id, message: error.message });
+    }
+  }
+  return reports;
+};
+
+export { purgeUser, purgeDueAccounts };
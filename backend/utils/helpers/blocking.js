@@ -0,0 +1,35 @@
+import User from "../../models/userModel.js";
+import FollowRequest from "../../models/followRequestModel.js";
+
+// True when either user has blocked the other.
+const isBlockedBetween = async (userId, otherUserId) =>
+  Boolean(
+    await User.exists({
+      $or: [
+        { _id: userId, blocked: otherUserId },
+        { _id: otherUserId, blocked: userId },
+      ],
+    })
+  );
+
+// Blocking also cuts every follow link, close friends entry and pending follow request between the two.
+const blockUser = async (blockerId, targetId) => {
+  await Promise.all([
+    User.updateOne(
+      { _id: blockerId },
+      { $addToSet: { blocked: targetId }, $pull: { followers: targetId, following: targetId, closeFriends: targetId } }
+    ),
+    User.updateOne({ _id: targetId }, { $pull: { followers: blockerId, following: blockerId, closeFriends: blockerId } }),
+    FollowRequest.deleteMany({
+      $or: [
+        { requester: blockerId, recipient: targetId },
+        { requester: targetId, recipient: blockerId },
+      ],
+    }),
+  ]);
+};
+
+// Follow links are not restored; either side can follow again afterwards.
+const unblockUser = (blockerId, targetId) => User.updateOne({ _id: blockerId }, { $pull: { blocked: targetId } });
+
+export { isBlockedBetween, blockUser, unblockUser };
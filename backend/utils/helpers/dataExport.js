@@ -0,0 +1,274 @@
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { fileURLToPath } from "url";
+import archiver from "archiver";
+import User from "../../models/userModel.js";
+import { Post } from "../../models/postModel.js";
+import Story from "../../models/storyModel.js";
+import Conversation from "../../models/conversationModel.js";
+import Message from "../../models/messageModel.js";
+import DataExport from "../../models/dataExportModel.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXPORTS_DIR = process.env.EXPORTS_DIR || path.resolve(__dirname, "..", "..", "exports");
+const EXPORT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const PROFILE_FIELDS =
+  "name username email emailVerified profilePic bio role isVerified isFrozen twoFactorEnabled createdAt updatedAt";
+const USER_SUMMARY_FIELDS = "username name profilePic";
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+const extensionOf = (url, fallback) => {
+  const ext = path.extname(new URL(url).pathname);
+  return ext && ext.length <= 6 ? ext : fallback;
+};
+
+const setProgress = (exportId, progress, stage) =>
+  DataExport.updateOne({ _id: exportId }, { $set: { status: "processing", progress, stage } });
+
+// Waits for archiver to finish reading an entry so remote media is downloaded one file at a time.
+const appendAndWait = (archive, source, name) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off("entry", onEntry);
+      archive.off("error", onError);
+    };
+    const onEntry = (entry) => {
+      if (entry.name !== name) return;
+      cleanup();
+      resolve();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    archive.on("entry", onEntry);
+    archive.on("error", onError);
+    archive.append(source, { name });
+  });
+
+const appendRemoteMedia = async (archive, url, name) => {
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  await appendAndWait(archive, Readable.fromWeb(response.body), name);
+};
+
+const collectData = async (userId, exportId) => {
+  const user = await User.findById(userId).select(PROFILE_FIELDS).lean();
+  if (!user) throw new Error("User not found");
+
+  await setProgress(exportId, 10, "Collecting posts");
+  const posts = await Post.find({ postedBy: userId }).sort({ createdAt: -1 }).lean();
+
+  await setProgress(exportId, 20, "Collecting comments");
+  const comments = await Post.aggregate([
+    { $match: { "comments.userId": user._id } },
+    { $unwind: "$comments" },
+    { $match: { "comments.userId": user._id } },
+    {
+      $project: {
+        _id: "$comments._id",
+        postId: "$_id",
+        inReplyTo: "$comments.parentId",
+        text: "$comments.text",
+        likes: { $size: { $ifNull: ["$comments.likes", []] } },
+        isEdited: "$comments.isEdited",
+        createdAt: "$comments.createdAt",
+        updatedAt: "$comments.updatedAt",
+      },
+    },
+    { $sort: { createdAt: -1 } },
+  ]);
+
+  await setProgress(exportId, 30, "Collecting bookmarks and connections");
+  const { bookmarks = [], followers = [], following = [] } = await User.findById(userId)
+    .select("bookmarks followers following")
+    .populate({ path: "bookmarks", select: "text media mediaType postedBy createdAt", populate: { path: "postedBy", select: "username" } })
+    .populate("followers", USER_SUMMARY_FIELDS)
+    .populate("following", USER_SUMMARY_FIELDS)
+    .lean();
+
+  await setProgress(exportId, 40, "Collecting stories");
+  const stories = await Story.find({ postedBy: userId }).lean();
+
+  await setProgress(exportId, 50, "Collecting messages");
+  const conversations = await Conversation.find({ participants: userId })
+    .populate("participants", "username name")
+    .lean();
+  for (const conversation of conversations) {
+    conversation.messages = await Message.find({ conversationId: conversation._id })
+      .sort({ createdAt: 1 })
+      .populate("sender", "username")
+      .lean();
+  }
+
+  return {
+    user,
+    posts,
+    comments,
+    bookmarks: bookmarks.filter(Boolean),
+    followers: followers.filter(Boolean),
+    following: following.filter(Boolean),
+    stories,
+    conversations,
+  };
+};
+
+// Every original media file the user owns, with where it goes inside the archive.
+const listMedia = ({ user, posts, stories, conversations }) => {
+  const media = [];
+  if (user.profilePic) {
+    media.push({ url: user.profilePic, name: "media/profile/profile-picture", fallbackExt: ".jpg" });
+  }
+  posts.forEach((post) => {
+    if (post.mediaItems?.length > 1) {
+      post.mediaItems.forEach((item, index) => {
+        media.push({ url: item.url, name: `media/posts/${post._id}-${index + 1}`, fallbackExt: "" });
+      });
+    } else if (post.media) {
+      media.push({ url: post.media, name: `media/posts/${post._id}`, fallbackExt: "" });
+    }
+  });
+  stories.forEach((story) => {
+    media.push({ url: story.media, name: `media/stories/${story._id}`, fallbackExt: "" });
+  });
+  conversations.forEach((conversation) => {
+    conversation.messages.forEach((message) => {
+      if (message.img && message.sender?._id?.toString() === user._id.toString()) {
+        media.push({ url: message.img, name: `media/messages/${conversation._id}/${message._id}`, fallbackExt: ".jpg" });
+      }
+    });
+  });
+  return media.filter(({ url }) => /^https?:\/\//.test(url));
+};
+
+const writeArchive = async (exportId, data, filePath) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  // Observed at the end; this keeps an early archive error from surfacing as an unhandled rejection.
+  finished.catch(() => {});
+  let archiveError = null;
+  archive.on("error", (error) => {
+    archiveError = error;
+  });
+  archive.pipe(output);
+
+  const { user, posts, comments, bookmarks, followers, following, stories, conversations } = data;
+  archive.append(toJson(user), { name: "profile.json" });
+  archive.append(toJson(posts), { name: "posts.json" });
+  archive.append(toJson(comments), { name: "comments.json" });
+  archive.append(toJson(bookmarks), { name: "bookmarks.json" });
+  archive.append(toJson({ followers, following }), { name: "connections.json" });
+  archive.append(toJson(stories), { name: "stories.json" });
+  conversations.forEach((conversation) => {
+    archive.append(toJson(conversation), { name: `messages/${conversation._id}.json` });
+  });
+
+  const media = listMedia(data);
+  const missingMedia = [];
+  for (const [index, item] of media.entries()) {
+    if (archiveError) throw archiveError;
+    await setProgress(exportId, 60 + Math.floor((index / media.length) * 35), `Downloading media (${index + 1}/${media.length})`);
+    try {
+      await appendRemoteMedia(archive, item.url, `${item.name}${extensionOf(item.url, item.fallbackExt)}`);
+    } catch (error) {
+      missingMedia.push({ url: item.url, reason: error.message });
+    }
+  }
+
+  archive.append(
+    toJson({
+      generatedAt: new Date().toISOString(),
+      username: user.username,
+      counts: {
+        posts: posts.length,
+        comments: comments.length,
+        bookmarks: bookmarks.length,
+        followers: followers.length,
+        following: following.length,
+        stories: stories.length,
+        conversations: conversations.length,
+        media: media.length - missingMedia.length,
+      },
+      missingMedia,
+    }),
+    { name: "manifest.json" }
+  );
+
+  if (archiveError) throw archiveError;
+  await archive.finalize();
+  await finished;
+};
+
+// Builds the archive in the background; the export document carries progress and the final outcome.
+const runDataExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport) return;
+
+  const filePath = path.join(EXPORTS_DIR, `${dataExport._id}.zip`);
+  try {
+    await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+    await setProgress(exportId, 5, "Collecting profile");
+    const data = await collectData(dataExport.userId, exportId);
+
+    await setProgress(exportId, 60, "Packaging archive");
+    await writeArchive(exportId, data, filePath);
+
+    const { size } = await fs.promises.stat(filePath);
+    await DataExport.updateOne(
+      { _id: exportId },
+      {
+        $set: {
+          status: "ready",
+          progress: 100,
+          stage: "Ready",
+          filePath,
+          fileSize: size,
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + EXPORT_TTL),
+        },
+      }
+    );
+  } catch (error) {
+    console.error("runDataExport: Failed", { exportId, message: error.message });
+    await fs.promises.rm(filePath, { force: true });
+    await DataExport.updateOne({ _id: exportId }, { $set: { status: "failed", stage: "Failed", error: error.message } });
+  }
+};
+
+// Removes expired archives, and fails exports that were interrupted by a restart.
+const cleanupDataExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } }).lean();
+  for (const dataExport of expired) {
+    if (dataExport.filePath) await fs.promises.rm(dataExport.filePath, { force: true });
+  }
+  await DataExport.deleteMany({ _id: { $in: expired.map((dataExport) => dataExport._id) } });
+
+  const staleBefore = new Date(Date.now() - 60 * 60 * 1000);
+  await DataExport.updateMany(
+    { status: { $in: ["pending", "processing"] }, updatedAt: { $lt: staleBefore } },
+    { $set: { status: "failed", stage: "Failed", error: "Export was interrupted" } }
+  );
+
+  return expired.length;
+};
+
+// Used by the account purge: drops every archive a user still has on disk.
+const deleteUserDataExports = async (userId) => {
+  const exports = await DataExport.find({ userId }).lean();
+  for (const dataExport of exports) {
+    if (dataExport.filePath) await fs.promises.rm(dataExport.filePath, { force: true });
+  }
+  return (await DataExport.deleteMany({ userId })).deletedCount;
+};
+
+export { runDataExport, cleanupDataExports, deleteUserDataExports };
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import User from "../../models/userModel.js";
+import FollowRequest from "../../models/followRequestModel.js";
+import { getRecipientSocketId, io } from "../../socket/socket.js";
+import { isMutedFor } from "./mutes.js";
+
+const emitToUsers = (userIds, event, data) => {
+  for (const userId of userIds) {
+    const socketId = getRecipientSocketId(userId.toString());
+    if (socketId) io.to(socketId).emit(event, data);
+  }
+};
+
+const toFollowSummary = (user) => ({
+  _id: user._id,
+  username: user.username,
+  profilePic: user.profilePic,
+  name: user.name,
+});
+
+// Links both sides and sends the same userFollowed payload as a direct follow.
+const addFollower = async (follower, followed) => {
+  await Promise.all([
+    User.updateOne({ _id: follower._id }, { $addToSet: { following: followed._id } }),
+    User.updateOne({ _id: followed._id }, { $addToSet: { followers: follower._id } }),
+  ]);
+  emitToUsers([followed._id, follower._id], "userFollowed", {
+    followedId: followed._id.toString(),
+    follower: toFollowSummary(follower),
+  });
+};
+
+// Drops `follower` from the owner's followers. Both sides change in one transaction, so neither list is left
+// stale. Sent as the usual userUnfollowed event so open pages update.
+const removeFollower = async (owner, follower) => {
+  const session = await mongoose.startSession();
+  let removed = false;
+  try {
+    await session.withTransaction(async () => {
+      const { modifiedCount } = await User.updateOne(
+        { _id: owner._id },
+        { $pull: { followers: follower._id } },
+        { session }
+      );
+      removed = modifiedCount > 0;
+      if (removed) await User.updateOne({ _id: follower._id }, { $pull: { following: owner._id } }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  if (!removed) return false;
+
+  emitToUsers([owner._id, follower._id, ...(owner.followers || [])], "userUnfollowed", {
+    unfollowedId: owner._id.toString(),
+    followerId: follower._id.toString(),
+    follower: toFollowSummary(follower),
+    removed: true,
+  });
+  return true;
+};
+
+const sendFollowRequest = async (requester, recipient) => {
+  const request = await FollowRequest.findOneAndUpdate(
+    { requester: requester._id, recipient: recipient._id },
+    { $setOnInsert: { requester: requester._id, recipient: recipient._id } },
+    { upsert: true, new: true }
+  );
+  emitToUsers([recipient._id], "followRequestReceived", {
+    _id: request._id,
+    requester: toFollowSummary(requester),
+    createdAt: request.createdAt,
+    // Still lands in the request inbox, but without a pop-up
+    muted: await isMutedFor(recipient._id, requester._id),
+  });
+  return request;
+};
+
+const cancelFollowRequest = async (request) => {
+  await FollowRequest.deleteOne({ _id: request._id });
+  emitToUsers([request.recipient], "followRequestCancelled", {
+    _id: request._id,
+    requesterId: request.requester.toString(),
+  });
+};
+
+const acceptFollowRequest = async (request) => {
+  const [requester, recipient] = await Promise.all([
+    User.findById(request.requester).select("username name profilePic"),
+    User.findById(request.recipient).select("username name profilePic"),
+  ]);
+  await FollowRequest.deleteOne({ _id: request._id });
+  if (requester && recipient) await addFollower(requester, recipient);
+};
+
+export { addFollower, removeFollower, sendFollowRequest, cancelFollowRequest, acceptFollowRequest };
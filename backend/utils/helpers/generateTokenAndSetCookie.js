@@ -1,17 +1,73 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import Session from "../../models/sessionModel.js";
+import { disconnectSessions } from "../../socket/socket.js";
 
-const generateTokenAndSetCookie = (userId, res) => {
-	const token = jwt.sign({ userId }, process.env.JWT_SECRET);
-	console.log("JWT_SECRET in generateToken:", process.env.JWT_SECRET);
-	console.log("Token in generateToken:", token);
-	// Set the token in the cookie
+const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_MAX_AGE = 15 * 24 * 60 * 60 * 1000; // 15 days
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const setAccessCookie = (userId, sessionId, res) => {
+	const token = jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+		expiresIn: ACCESS_TOKEN_MAX_AGE / 1000,
+	});
 	res.cookie("jwt", token, {
 		httpOnly: true, // more secure
-		maxAge: 15 * 24 * 60 * 60 * 1000, // 15 days
+		maxAge: ACCESS_TOKEN_MAX_AGE,
 		sameSite: "strict", // CSRF
 	});
-
 	return token;
 };
 
+// The refresh token is "<sessionId>.<secret>"; only a hash of the secret is stored.
+const setRefreshCookie = (session, res) => {
+	const secret = crypto.randomBytes(48).toString("hex");
+	session.refreshTokenHash = hashToken(secret);
+	session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_MAX_AGE);
+	res.cookie("refreshToken", `${session._id}.${secret}`, {
+		httpOnly: true,
+		maxAge: REFRESH_TOKEN_MAX_AGE,
+		sameSite: "strict",
+		path: "/api/users/refresh",
+	});
+};
+
+const generateTokenAndSetCookie = async (userId, res, req) => {
+	const session = new Session({
+		userId,
+		userAgent: req?.get?.("user-agent") || "",
+		ip: req?.ip || "",
+	});
+	setRefreshCookie(session, res);
+	await session.save();
+
+	return setAccessCookie(userId, session._id, res);
+};
+
+const rotateRefreshToken = async (session, res) => {
+	setRefreshCookie(session, res);
+	session.lastUsedAt = new Date();
+	await session.save();
+
+	return setAccessCookie(session.userId, session._id, res);
+};
+
+const clearAuthCookies = (res) => {
+	res.cookie("jwt", "", { maxAge: 1 });
+	res.cookie("refreshToken", "", { maxAge: 1, path: "/api/users/refresh" });
+};
+
+// Revokes every active session matching the filter and drops their live sockets.
+const revokeSessions = async (filter) => {
+	const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id");
+	const sessionIds = sessions.map((session) => session._id);
+	if (sessionIds.length) {
+		await Session.updateMany({ _id: { $in: sessionIds } }, { $set: { revokedAt: new Date() } });
+		disconnectSessions(sessionIds);
+	}
+	return sessionIds;
+};
+
+export { hashToken, rotateRefreshToken, clearAuthCookies, revokeSessions };
 export default generateTokenAndSetCookie;
@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import LoginThrottle from "../../models/loginThrottleModel.js";
+import LoginEvent from "../../models/loginEventModel.js";
+import sendEmail from "./sendEmail.js";
+import { describeUserAgent } from "./userAgent.js";
+import { getRecipientSocketId, io } from "../../socket/socket.js";
+
+const ACCOUNT_THRESHOLD = 5; // failures before an account is locked
+const IP_THRESHOLD = 20; // failures before an IP address is locked
+const BASE_LOCK = 60 * 1000; // first lockout lasts a minute and doubles with every further failure
+const MAX_LOCK = 60 * 60 * 1000;
+const FAILURE_WINDOW = 60 * 60 * 1000; // counters reset after an hour without failures
+const DEVICE_COOKIE = "deviceId";
+const DEVICE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const accountKey = (username) => `account:${String(username || "").trim().toLowerCase()}`;
+const ipKey = (req) => `ip:${req.ip || "unknown"}`;
+
+const throttleKeys = (req, username) => [
+  { key: accountKey(username), threshold: ACCOUNT_THRESHOLD },
+  { key: ipKey(req), threshold: IP_THRESHOLD },
+];
+
+const lockDuration = (failures, threshold) =>
+  failures < threshold ? 0 : Math.min(BASE_LOCK * 2 ** (failures - threshold), MAX_LOCK);
+
+// Milliseconds until the account and the caller's IP may try again; 0 when neither is locked.
+const getLockout = async (req, username) => {
+  const keys = throttleKeys(req, username).map(({ key }) => key);
+  const locked = await LoginThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } }).lean();
+  return locked.reduce((max, throttle) => Math.max(max, throttle.lockedUntil.getTime() - Date.now()), 0);
+};
+
+const registerLoginFailure = async (req, username) => {
+  const now = Date.now();
+  for (const { key, threshold } of throttleKeys(req, username)) {
+    // A counter whose window ran out starts over even if the TTL monitor has not removed it yet.
+    await LoginThrottle.deleteOne({ key, expiresAt: { $lte: new Date(now) } });
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $setOnInsert: { expiresAt: new Date(now + FAILURE_WINDOW) } },
+      { upsert: true, new: true }
+    );
+    const lockMs = lockDuration(throttle.failures, threshold);
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      { $set: { lockedUntil: lockMs ? new Date(now + lockMs) : null, expiresAt: new Date(now + lockMs + FAILURE_WINDOW) } }
+    );
+  }
+};
+
+// Only the account counter is cleared; the IP keeps counting so one valid login cannot hide a spraying attack.
+const clearLoginFailures = (username) => LoginThrottle.deleteOne({ key: accountKey(username) });
+
+const lockoutResponse = (res, lockMs) => {
+  const minutes = Math.ceil(lockMs / 60000);
+  res.set("Retry-After", String(Math.ceil(lockMs / 1000)));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+  });
+};
+
+const recordLoginFailure = (user, req, method, reason) =>
+  LoginEvent.create({
+    userId: user._id,
+    success: false,
+    method,
+    reason,
+    ip: req.ip || "",
+    userAgent: req.get("user-agent") || "",
+    deviceId: req.cookies?.[DEVICE_COOKIE],
+  });
+
+const sendNewDeviceAlert = async (user, event) => {
+  const device = describeUserAgent(event.userAgent);
+  const recipientSocketId = getRecipientSocketId(user._id.toString());
+  if (recipientSocketId) {
+    io.to(recipientSocketId).emit("newDeviceLogin", { device, ip: event.ip, createdAt: event.createdAt });
+  }
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: "New sign-in to your NR Blog account",
+      text:
+        `Hi ${user.name},\n\nYour account @${user.username} was just signed in to from a new device.\n\n` +
+        `Device: ${device}\nIP address: ${event.ip || "unknown"}\nTime: ${event.createdAt.toUTCString()}\n\n` +
+        "If this was you, there is nothing to do. If not, change your password and sign out of other devices from Settings.",
+    });
+  } catch (mailError) {
+    console.log("Error sending new device alert: ", mailError.message);
+  }
+};
+
+// Records a successful login, tags the browser with a long-lived device id and alerts on unfamiliar devices.
+const recordLoginSuccess = async (user, req, res, method) => {
+  const deviceId = req.cookies?.[DEVICE_COOKIE] || crypto.randomBytes(16).toString("hex");
+  res.cookie(DEVICE_COOKIE, deviceId, { httpOnly: true, maxAge: DEVICE_COOKIE_MAX_AGE, sameSite: "lax" });
+
+  // A user's very first recorded login is not "new" — there is nothing to compare it against.
+  const [knownDevice, hasHistory] = await Promise.all([
+    LoginEvent.exists({ userId: user._id, success: true, deviceId }),
+    LoginEvent.exists({ userId: user._id, success: true }),
+  ]);
+  const newDevice = Boolean(hasHistory && !knownDevice);
+
+  const event = await LoginEvent.create({
+    userId: user._id,
+    success: true,
+    method,
+    ip: req.ip || "",
+    userAgent: req.get("user-agent") || "",
+    deviceId,
+    newDevice,
+  });
+  await clearLoginFailures(user.username);
+
+  if (newDevice) await sendNewDeviceAlert(user, event);
+};
+
+export { getLockout, registerLoginFailure, lockoutResponse, recordLoginFailure, recordLoginSuccess };
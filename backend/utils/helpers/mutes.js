@@ -0,0 +1,90 @@
+import Mute from "../../models/muteModel.js";
+
+const MAX_KEYWORD_LENGTH = 50;
+
+// Keywords are single-spaced, so any run of whitespace in the text matches a space.
+const toPattern = (keyword) => keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s+");
+
+// Lowercased, single-spaced, and either a plain phrase or a single hashtag.
+const normalizeKeyword = (keyword) => {
+  if (typeof keyword !== "string") return null;
+  const normalized = keyword.trim().replace(/\s+/g, " ").toLowerCase();
+  if (!normalized || normalized.length > MAX_KEYWORD_LENGTH) return null;
+  if (normalized.startsWith("#") && !/^#\w+$/.test(normalized)) return null;
+  return normalized;
+};
+
+const notExpired = () => ({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+
+const getActiveMutes = async (userId) => {
+  const mutes = await Mute.find({ userId, ...notExpired() })
+    .select("mutedUser keyword")
+    .lean();
+  return {
+    userIds: mutes.filter((mute) => mute.mutedUser).map((mute) => mute.mutedUser),
+    keywords: mutes.filter((mute) => mute.keyword).map((mute) => mute.keyword),
+  };
+};
+
+// Whole-word, case-insensitive match. Plain words also match their hashtag, so muting "spoilers" hides "#spoilers".
+// Only lookahead is used so MongoDB can run the same pattern server-side.
+const buildKeywordPattern = (keywords) => {
+  if (!keywords.length) return null;
+  const alternatives = keywords.map((keyword) =>
+    keyword.startsWith("#") ? toPattern(keyword) : `#?${toPattern(keyword)}`
+  );
+  return new RegExp(`(?:^|[^\\w#])(?:${alternatives.join("|")})(?!\\w)`, "i");
+};
+
+// Adds the mute conditions to a Post or Story filter. `textField` is the field keywords are matched against.
+const withoutMutedContent = (filter, { userIds, keywords }, textField) => {
+  const conditions = [];
+  if (userIds.length) conditions.push({ postedBy: { $nin: userIds } });
+  const pattern = buildKeywordPattern(keywords);
+  if (pattern) conditions.push({ [textField]: { $not: pattern } });
+  return conditions.length ? { $and: [filter, ...conditions] } : filter;
+};
+
+// Whether content by `authorId` (and optionally some text) is muted by a set of active mutes.
+const isMutedContent = ({ userIds, keywords }, authorId, text = "") => {
+  if (userIds.some((id) => id.toString() === authorId.toString())) return true;
+  const pattern = buildKeywordPattern(keywords);
+  return Boolean(pattern && text && pattern.test(text));
+};
+
+// Whether a notification about `actorId` (and optionally some text) should be kept from `recipientId`.
+const isMutedFor = async (recipientId, actorId, text = "") =>
+  isMutedContent(await getActiveMutes(recipientId), actorId, text);
+
+// isMutedFor for a whole fan-out in one query. Returns the ids, as strings, of the recipients to leave out.
+const getMutedRecipientIds = async (recipientIds, actorId, text = "") => {
+  if (!recipientIds.length) return new Set();
+  const mutes = await Mute.find({
+    userId: { $in: recipientIds },
+    $and: [notExpired(), { $or: [{ mutedUser: actorId }, ...(text ? [{ keyword: { $type: "string" } }] : [])] }],
+  })
+    .select("userId mutedUser keyword")
+    .lean();
+
+  const muted = new Set();
+  const keywordsByUser = new Map();
+  mutes.forEach((mute) => {
+    const userId = mute.userId.toString();
+    if (mute.mutedUser) muted.add(userId);
+    else keywordsByUser.set(userId, [...(keywordsByUser.get(userId) || []), mute.keyword]);
+  });
+  keywordsByUser.forEach((keywords, userId) => {
+    if (buildKeywordPattern(keywords).test(text)) muted.add(userId);
+  });
+  return muted;
+};
+
+export {
+  MAX_KEYWORD_LENGTH,
+  normalizeKeyword,
+  getActiveMutes,
+  withoutMutedContent,
+  isMutedContent,
+  isMutedFor,
+  getMutedRecipientIds,
+};
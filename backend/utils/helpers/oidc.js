@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import { createRemoteJWKSet, jwtVerify } from "jose";
+
+const DEFAULT_SCOPES = "openid email profile";
+const DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Providers come from the environment so any OIDC issuer can be added without code changes:
+//   OIDC_PROVIDERS=google,mock
+//   OIDC_GOOGLE_ISSUER, OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET, OIDC_GOOGLE_LABEL, OIDC_GOOGLE_SCOPES
+const getProviders = () =>
+  (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map((id) => {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+      return {
+        id,
+        label: process.env[`${prefix}LABEL`] || id,
+        issuer: process.env[`${prefix}ISSUER`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scopes: process.env[`${prefix}SCOPES`] || DEFAULT_SCOPES,
+      };
+    })
+    .filter((provider) => provider.issuer && provider.clientId);
+
+const getProvider = (id) => getProviders().find((provider) => provider.id === id) || null;
+
+const getRedirectUri = (provider) => {
+  const base = process.env.OIDC_REDIRECT_BASE_URL || process.env.CLIENT_URL || "http://localhost:3000";
+  return `${base.replace(/\/$/, "")}/api/users/oidc/${provider.id}/callback`;
+};
+
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.config;
+
+  const url = `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed for ${provider.id}: ${response.status}`);
+  }
+  const config = await response.json();
+  if (config.issuer !== provider.issuer) {
+    throw new Error(`OIDC issuer mismatch for ${provider.id}`);
+  }
+
+  discoveryCache.set(provider.issuer, { config, expiresAt: Date.now() + DISCOVERY_TTL });
+  return config;
+};
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+// state, nonce and the PKCE verifier are kept by the caller (in a signed cookie) until the callback.
+const createAuthorizationRequest = async (provider) => {
+  const config = await discover(provider);
+  const state = base64Url(crypto.randomBytes(24));
+  const nonce = base64Url(crypto.randomBytes(24));
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+const exchangeCode = async (provider, code, codeVerifier) => {
+  const config = await discover(provider);
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: getRedirectUri(provider),
+    code_verifier: codeVerifier,
+    client_id: provider.clientId,
+  });
+  if (provider.clientSecret) body.set("client_secret", provider.clientSecret);
+
+  const response = await fetch(config.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body,
+  });
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok || !tokens.id_token) {
+    throw new Error(tokens.error_description || tokens.error || "Token exchange failed");
+  }
+  return tokens;
+};
+
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const config = await discover(provider);
+  if (!jwksCache.has(config.jwks_uri)) {
+    jwksCache.set(config.jwks_uri, createRemoteJWKSet(new URL(config.jwks_uri)));
+  }
+
+  const { payload } = await jwtVerify(idToken, jwksCache.get(config.jwks_uri), {
+    issuer: config.issuer,
+    audience: provider.clientId,
+  });
+  if (payload.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+  return payload;
+};
+
+// Some providers leave email out of the ID token and only return it from userinfo.
+const fetchUserInfo = async (provider, accessToken) => {
+  const config = await discover(provider);
+  if (!config.userinfo_endpoint || !accessToken) return {};
+
+  const response = await fetch(config.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  return response.ok ? response.json() : {};
+};
+
+// Runs the callback half of the authorization code flow and returns the verified identity claims.
+const resolveIdentity = async (provider, code, { nonce, codeVerifier }) => {
+  const tokens = await exchangeCode(provider, code, codeVerifier);
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  if (!claims.email) {
+    const userInfo = await fetchUserInfo(provider, tokens.access_token);
+    // userinfo is only trusted for the same subject the ID token was issued to.
+    if (userInfo.sub === claims.sub) {
+      claims.email = userInfo.email;
+      claims.email_verified = userInfo.email_verified;
+      claims.name = claims.name || userInfo.name;
+    }
+  }
+
+  return {
+    subject: claims.sub,
+    email: claims.email ? String(claims.email).trim() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === "true",
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(" ") || null,
+    preferredUsername: claims.preferred_username || claims.nickname || null,
+    picture: claims.picture || null,
+  };
+};
+
+export { getProviders, getProvider, createAuthorizationRequest, resolveIdentity };
@@ -0,0 +1,37 @@
+const ROLES = ["user", "moderator", "admin", "owner"];
+
+// Which roles hold each permission. Routes check permissions, never role names.
+const PERMISSIONS = {
+  "admin:access": ["moderator", "admin", "owner"],
+  "posts:view-all": ["moderator", "admin", "owner"],
+  "posts:moderate": ["moderator", "admin", "owner"],
+  "comments:moderate": ["moderator", "admin", "owner"],
+  "users:view-all": ["moderator", "admin", "owner"],
+  "users:ban": ["admin", "owner"],
+  "users:manage-roles": ["admin", "owner"],
+  "dashboard:view": ["admin", "owner"],
+  "audit:view": ["admin", "owner"],
+};
+
+// Accounts created before roles existed only carry the isAdmin flag.
+const getRole = (user) => {
+  if (!user) return null;
+  if (user.role && user.role !== "user") return user.role;
+  return user.isAdmin ? "admin" : "user";
+};
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+const hasPermission = (user, permission) => (PERMISSIONS[permission] || []).includes(getRole(user));
+
+const outranks = (actor, target) => roleRank(getRole(actor)) > roleRank(getRole(target));
+
+// Role changes only go strictly below the actor's own rank, and only on users the actor outranks.
+const canAssignRole = (actor, target, role) =>
+  ROLES.includes(role) &&
+  hasPermission(actor, "users:manage-roles") &&
+  actor._id.toString() !== target._id.toString() &&
+  outranks(actor, target) &&
+  roleRank(getRole(actor)) > roleRank(role);
+
+export { ROLES, PERMISSIONS, getRole, hasPermission, outranks, canAssignRole };
@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import { Post } from "../../models/postModel.js";
+import PostDraft from "../../models/postDraftModel.js";
+import User from "../../models/userModel.js";
+import { getRecipientSocketId, io } from "../../socket/socket.js";
+import { getMutedRecipientIds } from "./mutes.js";
+import { getHiddenUserIds } from "./visibility.js";
+
+const PUBLISH_BATCH_SIZE = 50;
+// Longer than any publish should take; a claim this old belongs to a run that crashed.
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const findPublishedPost = (postId) =>
+  Post.findById(postId)
+    .populate("postedBy", "username profilePic")
+    .populate({ path: "repostOf", populate: { path: "postedBy", select: "username profilePic" } });
+
+// Recipients who mustn't get a repost live because of its original: those who muted the original's author or words
+// in it, and those on either side of a block with that author.
+const getRepostExcludedIds = async (recipientIds, original) => {
+  if (!original?.postedBy) return new Set();
+  const originalAuthor = await User.findById(original.postedBy._id).select("blocked").lean();
+  const [mutedIds, hiddenIds] = await Promise.all([
+    getMutedRecipientIds(recipientIds, original.postedBy._id, original.text),
+    originalAuthor ? getHiddenUserIds(originalAuthor, recipientIds) : [],
+  ]);
+  return new Set([...mutedIds, ...hiddenIds.map((id) => id.toString())]);
+};
+
+// Creates the post and pushes it to the author's audience. Immediate and scheduled posts and reposts all go through here.
+const publishPost = async (author, { _id, text, audience = "followers", mediaItems = [], repostOf }) => {
+  // The single media fields mirror the first item; see postModel.
+  const [cover] = mediaItems;
+  const newPost = new Post({
+    ...(_id && { _id }),
+    postedBy: author._id,
+    text,
+    audience,
+    ...(repostOf && { repostOf }),
+    ...(cover && {
+      mediaItems,
+      media: cover.url,
+      mediaType: cover.type,
+      previewUrl: cover.previewUrl,
+      originalFilename: cover.originalFilename,
+    }),
+  });
+  await newPost.save();
+
+  const populatedPost = await findPublishedPost(newPost._id);
+
+  // Followers who muted the author or a keyword in the post don't get it live, just as their feed leaves it out.
+  const audienceIds = audience === "closeFriends" ? author.closeFriends || [] : author.followers || [];
+  const onlineIds = audienceIds.map((id) => id.toString()).filter((id) => getRecipientSocketId(id));
+  const [mutedIds, repostExcludedIds] = await Promise.all([
+    getMutedRecipientIds(onlineIds, author._id, text),
+    getRepostExcludedIds(onlineIds, populatedPost.repostOf),
+  ]);
+  const recipientIds = onlineIds.filter((id) => !mutedIds.has(id) && !repostExcludedIds.has(id));
+  [...recipientIds, author._id.toString()].forEach((recipientId) => {
+    const socketId = getRecipientSocketId(recipientId);
+    if (socketId) io.to(socketId).emit("newPost", populatedPost);
+  });
+  io.to(`post:${newPost._id}`).emit("newFeedPost", populatedPost);
+
+  return populatedPost;
+};
+
+// Marks a draft as being published. The post id is fixed on the first claim and kept by every later one.
+const claimDraft = (filter) =>
+  PostDraft.findOneAndUpdate(
+    filter,
+    [
+      {
+        $set: {
+          status: "publishing",
+          error: null,
+          claimedAt: "$$NOW",
+          postId: { $ifNull: ["$postId", new mongoose.Types.ObjectId()] },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+// Turns a claimed draft into a post and removes it. The author gets draftPublished so open drafts lists update.
+// A retry of a draft whose post already went out only finishes the cleanup.
+const publishDraft = async (draft, author) => {
+  const post =
+    (await findPublishedPost(draft.postId)) ||
+    (await publishPost(author, {
+      _id: draft.postId,
+      text: draft.text,
+      audience: draft.audience,
+      mediaItems: draft.mediaItems.map((item) => (item.toObject ? item.toObject() : item)),
+    }));
+  await PostDraft.deleteOne({ _id: draft._id });
+
+  const socketId = getRecipientSocketId(author._id.toString());
+  if (socketId) io.to(socketId).emit("draftPublished", { draftId: draft._id.toString(), post });
+  return post;
+};
+
+// A draft whose post already exists is never marked failed: retrying it from the drafts page is safe, but deleting
+// it would remove the media the post uses. It stays claimed, and the stale-claim pass finishes it later.
+const failDraft = async (draft, error) => {
+  if (await Post.exists({ _id: draft.postId })) return;
+  await PostDraft.updateOne({ _id: draft._id }, { status: "failed", error });
+  const socketId = getRecipientSocketId(draft.userId.toString());
+  if (socketId) io.to(socketId).emit("draftFailed", { draftId: draft._id.toString(), error });
+};
+
+// Publishes every scheduled draft whose time has come. Each draft is claimed first, so overlapping runs
+// can't publish it twice. Drafts left claimed by a crashed run are queued again, to go out right away.
+const publishDuePosts = async () => {
+  await PostDraft.updateMany(
+    {
+      status: "publishing",
+      $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } }],
+    },
+    [{ $set: { status: "scheduled", publishAt: { $ifNull: ["$publishAt", "$$NOW"] } } }]
+  );
+
+  const due = await PostDraft.find({ status: "scheduled", publishAt: { $lte: new Date() } })
+    .sort({ publishAt: 1 })
+    .limit(PUBLISH_BATCH_SIZE)
+    .select("_id")
+    .lean();
+
+  let published = 0;
+  for (const { _id } of due) {
+    const draft = await claimDraft({ _id, status: "scheduled" });
+    if (!draft) continue;
+
+    try {
+      const author = await User.findById(draft.userId).select("followers closeFriends isBanned");
+      if (!author || author.isBanned) {
+        await failDraft(draft, "Your account can't publish posts right now");
+        continue;
+      }
+      if (!draft.text) {
+        await failDraft(draft, "Post text is required");
+        continue;
+      }
+      await publishDraft(draft, author);
+      published += 1;
+    } catch (error) {
+      console.error("publishDuePosts: Failed", { draftId: _id, message: error.message });
+      await failDraft(draft, error.message);
+    }
+  }
+  return published;
+};
+
+export { publishPost, claimDraft, publishDraft, failDraft, publishDuePosts };
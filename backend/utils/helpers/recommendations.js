@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import User from "../../models/userModel.js";
+import { Post } from "../../models/postModel.js";
+import FollowRequest from "../../models/followRequestModel.js";
+import { getHiddenUserIds } from "./visibility.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const ENGAGEMENT_WINDOW = 90 * DAY;
+const ENGAGED_POSTS_SCANNED = 200;
+const CANDIDATE_POOL = 100;
+const CARD_FIELDS = "username name profilePic isPrivate isVerified";
+
+// Ranking weights. A shared follow counts most, shared engagement less, and recent posting breaks ties.
+const WEIGHTS = { mutual: 3, engagement: 1, recency: 2 };
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+const addScore = (scores, id, key, amount = 1) => {
+  const entry = scores.get(id) || { mutual: 0, engagement: 0, via: [] };
+  entry[key] += amount;
+  scores.set(id, entry);
+  return entry;
+};
+
+// 1 for someone who posted today, fading to 0 over a month.
+const recencyScore = (lastPostAt) =>
+  lastPostAt ? Math.max(0, 1 - (Date.now() - new Date(lastPostAt).getTime()) / (30 * DAY)) : 0;
+
+const describeReason = ({ mutual, engagement, via }) => {
+  if (mutual) {
+    const [first] = via;
+    return mutual === 1 ? `Because you follow ${first}` : `Followed by ${first} and ${mutual - 1} more you follow`;
+  }
+  if (engagement) return "Likes and comments on the same posts as you";
+  return "Active recently";
+};
+
+// Accounts followed by the people the viewer follows, with who led to them.
+const scoreFriendsOfFriends = async (viewer, excluded, scores) => {
+  const rows = await User.aggregate([
+    { $match: { _id: { $in: viewer.following || [] }, isFrozen: { $ne: true } } },
+    { $project: { username: 1, following: 1 } },
+    { $unwind: "$following" },
+    { $match: { following: { $nin: excluded } } },
+    { $group: { _id: "$following", mutual: { $sum: 1 }, via: { $push: "$username" } } },
+    { $sort: { mutual: -1 } },
+    { $limit: CANDIDATE_POOL },
+  ]);
+  for (const row of rows) {
+    const entry = addScore(scores, row._id.toString(), "mutual", row.mutual);
+    entry.via = row.via;
+  }
+};
+
+// Authors of posts the viewer liked or commented on, and other people who liked or commented on the same posts.
+const scoreSharedEngagement = async (viewer, excluded, scores) => {
+  const posts = await Post.find({
+    createdAt: { $gte: new Date(Date.now() - ENGAGEMENT_WINDOW) },
+    $or: [{ likes: viewer._id }, { "comments.userId": viewer._id }],
+  })
+    .sort({ createdAt: -1 })
+    .limit(ENGAGED_POSTS_SCANNED)
+    .select("postedBy likes comments.userId")
+    .lean();
+
+  const skip = new Set(excluded.map((id) => id.toString()));
+  for (const post of posts) {
+    const people = new Set([
+      post.postedBy.toString(),
+      ...(post.likes || []).map((id) => id.toString()),
+      ...(post.comments || []).map((comment) => comment.userId.toString()),
+    ]);
+    for (const id of people) {
+      if (!skip.has(id)) addScore(scores, id, "engagement");
+    }
+  }
+};
+
+// Ranked "who to follow" list for the viewer (a user document). Each entry carries a human-readable `reason`.
+const getRecommendedUsers = async (viewer, limit) => {
+  const [hiddenIds, requestedIds] = await Promise.all([
+    getHiddenUserIds(viewer),
+    FollowRequest.distinct("recipient", { requester: viewer._id }),
+  ]);
+  const excluded = [
+    viewer._id,
+    ...(viewer.following || []),
+    ...(viewer.dismissedSuggestions || []),
+    ...hiddenIds,
+    ...requestedIds,
+  ];
+
+  const scores = new Map();
+  await Promise.all([scoreFriendsOfFriends(viewer, excluded, scores), scoreSharedEngagement(viewer, excluded, scores)]);
+
+  // New accounts and quiet viewers have no graph to speak of, so recently active accounts fill the remaining slots.
+  if (scores.size < limit) {
+    const fillers = await Post.aggregate([
+      { $match: { postedBy: { $nin: [...excluded, ...[...scores.keys()].map(toObjectId)] }, isBanned: false } },
+      { $sort: { createdAt: -1 } },
+      { $limit: 500 },
+      { $group: { _id: "$postedBy" } },
+      { $limit: limit },
+    ]);
+    fillers.forEach(({ _id }) => scores.set(_id.toString(), { mutual: 0, engagement: 0, via: [] }));
+  }
+
+  const ids = [...scores.keys()].map(toObjectId);
+  const [users, lastPosts] = await Promise.all([
+    User.find({ _id: { $in: ids, $nin: excluded }, isBanned: false, isFrozen: { $ne: true } })
+      .select(CARD_FIELDS)
+      .lean(),
+    Post.aggregate([
+      { $match: { postedBy: { $in: ids } } },
+      { $group: { _id: "$postedBy", lastPostAt: { $max: "$createdAt" } } },
+    ]),
+  ]);
+  const lastPostAt = new Map(lastPosts.map((row) => [row._id.toString(), row.lastPostAt]));
+
+  return users
+    .map((user) => {
+      const entry = scores.get(user._id.toString());
+      const score =
+        WEIGHTS.mutual * entry.mutual +
+        WEIGHTS.engagement * Math.min(entry.engagement, 10) +
+        WEIGHTS.recency * recencyScore(lastPostAt.get(user._id.toString()));
+      return { ...user, reason: describeReason(entry), mutualCount: entry.mutual, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score, ...user }) => user);
+};
+
+export { getRecommendedUsers };
@@ -0,0 +1,79 @@
+import { Post } from "../../models/postModel.js";
+import { getHiddenCommenterIds, getRestrictedAuthorIds, withVisibleComments } from "./visibility.js";
+import { getActiveMutes, isMutedContent } from "./mutes.js";
+
+// A plain repost shows the original in its place; a quote post has text of its own and embeds the original.
+const isPlainRepost = (post) => Boolean(post.repostOf) && !post.text;
+
+// Keeps the original's shares in step with the user's reposts and quotes of it. Returns the updated share list,
+// or null when the original is gone.
+const syncShares = async (originalId, userId) => {
+  const stillShared = await Post.exists({ repostOf: originalId, postedBy: userId });
+  const updated = await Post.findByIdAndUpdate(
+    originalId,
+    stillShared ? { $addToSet: { shares: userId } } : { $pull: { shares: userId } },
+    { new: true }
+  )
+    .select("shares")
+    .lean();
+  return updated?.shares || null;
+};
+
+// Replaces each repostOf id with the original the viewer may see. Plain reposts of an original that was deleted,
+// banned, hidden from the viewer or muted by them are dropped; quote posts keep their text and get
+// repostUnavailable instead. Pass the viewer's active mutes when the caller has them already.
+// Every post, embedded originals included, is marked with whether the viewer has reposted it. `viewer` is null for
+// a signed-out visitor.
+const withReposts = async (posts, viewer, mutes) => {
+  const originalIds = posts.filter((post) => post.repostOf).map((post) => post.repostOf._id || post.repostOf);
+  const [originals, repostedIds, activeMutes] = await Promise.all([
+    originalIds.length
+      ? Post.find({ _id: { $in: originalIds } })
+          .populate("postedBy", "username profilePic")
+          .lean()
+      : [],
+    viewer
+      ? Post.distinct("repostOf", {
+          postedBy: viewer._id,
+          text: "",
+          repostOf: { $in: [...posts.map((post) => post._id), ...originalIds] },
+        })
+      : [],
+    mutes || (viewer && originalIds.length ? getActiveMutes(viewer._id) : { userIds: [], keywords: [] }),
+  ]);
+  const authorIds = originals.filter((original) => original.postedBy).map((original) => original.postedBy._id);
+  const [restrictedIds, hiddenIds] = await Promise.all([
+    getRestrictedAuthorIds(viewer, authorIds),
+    getHiddenCommenterIds(viewer, originals),
+  ]);
+
+  const restricted = new Set(restrictedIds.map((id) => id.toString()));
+  const reposted = new Set(repostedIds.map((id) => id.toString()));
+  const available = new Map(
+    originals
+      .filter(
+        (original) =>
+          !original.isBanned &&
+          original.postedBy &&
+          !restricted.has(original.postedBy._id.toString()) &&
+          !isMutedContent(activeMutes, original.postedBy._id, original.text)
+      )
+      .map((original) => [original._id.toString(), original])
+  );
+
+  return posts.flatMap((post) => {
+    const shaped = { ...post, repostedByViewer: reposted.has(post._id.toString()) };
+    if (!post.repostOf) return [shaped];
+
+    const original = available.get((post.repostOf._id || post.repostOf).toString());
+    if (!original) return isPlainRepost(post) ? [] : [{ ...shaped, repostOf: null, repostUnavailable: true }];
+    return [
+      {
+        ...shaped,
+        repostOf: { ...withVisibleComments(original, hiddenIds), repostedByViewer: reposted.has(original._id.toString()) },
+      },
+    ];
+  });
+};
+
+export { isPlainRepost, syncShares, withReposts };
@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, "..", "..", "outbox");
+
+// Writes every message as JSON into the outbox directory; the default for dev and tests.
+const fileTransport = {
+  send: async (mail) => {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const filename = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`;
+    const filePath = path.join(OUTBOX_DIR, filename);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2));
+    return { id: filename, path: filePath };
+  },
+};
+
+// Any SMTP server, including a local catcher such as MailHog or Mailpit (SMTP_HOST=localhost SMTP_PORT=1025).
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { id: info.messageId };
+    },
+  };
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = process.env.MAIL_TRANSPORT === "smtp" ? createSmtpTransport() : fileTransport;
+  }
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. an in-memory collector in tests. Pass null to restore the default.
+const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => {
+  const mail = {
+    from: process.env.MAIL_FROM || "NR Blog <no-reply@nrblog.local>",
+    to,
+    subject,
+    text,
+    html,
+  };
+  try {
+    return await getTransport().send(mail);
+  } catch (error) {
+    console.error("sendEmail: Failed", { to, subject, message: error.message });
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+};
+
+export { setMailTransport };
+export default sendEmail;
@@ -0,0 +1,69 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import { authenticator } from "otplib";
+
+const TWO_FACTOR_ISSUER = "NR Blog";
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+
+// Accept the previous and next 30s step to tolerate clock drift on the phone.
+authenticator.options = { window: 1 };
+
+const generateTwoFactorSecret = (username) => {
+  const secret = authenticator.generateSecret();
+  return { secret, otpauthUrl: authenticator.keyuri(username, TWO_FACTOR_ISSUER, secret) };
+};
+
+const verifyTotpCode = (code, secret) => {
+  if (!code || !secret) return false;
+  return authenticator.check(String(code).replace(/\s/g, ""), secret);
+};
+
+// Returns the plain codes to show once and the bcrypt hashes to store.
+const generateBackupCodes = async () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+  return { codes, hashes };
+};
+
+// Checks the code against the user's TOTP secret, then their backup codes. A matched backup code is
+// removed from the user document (caller saves). The user must be loaded with the secret fields selected.
+const verifySecondFactor = async (user, code) => {
+  if (!code) return false;
+  if (verifyTotpCode(code, user.twoFactorSecret)) return true;
+
+  const normalized = String(code).trim().toLowerCase();
+  for (let i = 0; i < (user.twoFactorBackupCodes || []).length; i++) {
+    if (await bcrypt.compare(normalized, user.twoFactorBackupCodes[i])) {
+      user.twoFactorBackupCodes.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+};
+
+// Short-lived proof that the password step passed; exchanged for a session once the code checks out.
+const signTwoFactorChallenge = (userId) =>
+  jwt.sign({ userId, purpose: "2fa" }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.userId : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export {
+  generateTwoFactorSecret,
+  verifyTotpCode,
+  generateBackupCodes,
+  verifySecondFactor,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+};
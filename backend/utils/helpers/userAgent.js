@@ -0,0 +1,22 @@
+// A short "Browser on OS" label for showing sessions and sign-ins to the user.
+const describeUserAgent = (userAgent = "") => {
+  const browser =
+    [
+      ["Edge", /Edg\//],
+      ["Opera", /OPR\//],
+      ["Chrome", /Chrome\//],
+      ["Firefox", /Firefox\//],
+      ["Safari", /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Unknown browser";
+  const os =
+    [
+      ["Android", /Android/],
+      ["iOS", /iPhone|iPad/],
+      ["Windows", /Windows/],
+      ["macOS", /Mac OS X/],
+      ["Linux", /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Unknown OS";
+  return `${browser} on ${os}`;
+};
+
+export { describeUserAgent };
@@ -0,0 +1,29 @@
+import crypto from "crypto";
+import UserToken from "../../models/userTokenModel.js";
+import { hashToken } from "./generateTokenAndSetCookie.js";
+
+// Issues a fresh single-use token and drops any unused one of the same type. Only the hash is stored.
+const issueUserToken = async (userId, type, ttlMs, data) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    data,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Atomically marks the token used, so two concurrent requests cannot both redeem it.
+const consumeUserToken = async (token, type) => {
+  if (!token || typeof token !== "string") return null;
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export { issueUserToken, consumeUserToken };
@@ -0,0 +1,52 @@
+import User from "../../models/userModel.js";
+import UsernameHistory from "../../models/usernameHistoryModel.js";
+
+const USERNAME_CHANGE_COOLDOWN = 30 * 24 * 60 * 60 * 1000; // 30 days
+const USERNAME_RESERVATION = 90 * 24 * 60 * 60 * 1000; // 90 days
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/;
+const MENTION_PATTERN = /(?:^|[^a-zA-Z0-9_.])@([a-zA-Z0-9_.]{3,30})/g;
+
+const isValidUsername = (username) => typeof username === "string" && USERNAME_PATTERN.test(username);
+
+// Handles written as @username in a piece of text, each listed once. A trailing dot is read as punctuation.
+const getMentionedUsernames = (text) => [
+  ...new Set([...(text || "").matchAll(MENTION_PATTERN)].map(([, username]) => username.replace(/\.+$/, ""))),
+];
+
+// Free unless another account has it now, or gave it up recently enough that it is still reserved.
+const isUsernameAvailable = async (username, userId = null) => {
+  const excludeSelf = userId ? { $ne: userId } : { $exists: true };
+  const [taken, reserved] = await Promise.all([
+    User.exists({ username, _id: excludeSelf }),
+    UsernameHistory.exists({ username, userId: excludeSelf, reservedUntil: { $gt: new Date() } }),
+  ]);
+  return !taken && !reserved;
+};
+
+// The account that currently holds the handle, or else the one that held it most recently.
+const resolveUserId = async (username) => {
+  const current = await User.findOne({ username }).select("_id").lean();
+  if (current) return current._id;
+
+  const previous = await UsernameHistory.findOne({ username }).sort({ changedAt: -1 }).lean();
+  return previous?.userId || null;
+};
+
+const getNextUsernameChangeAt = (user) =>
+  user.usernameChangedAt ? new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN) : null;
+
+const recordUsernameChange = (userId, oldUsername) =>
+  UsernameHistory.create({
+    userId,
+    username: oldUsername,
+    reservedUntil: new Date(Date.now() + USERNAME_RESERVATION),
+  });
+
+export {
+  isValidUsername,
+  getMentionedUsernames,
+  isUsernameAvailable,
+  resolveUserId,
+  getNextUsernameChangeAt,
+  recordUsernameChange,
+};
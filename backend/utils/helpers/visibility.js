@@ -0,0 +1,124 @@
+import User from "../../models/userModel.js";
+import { hasPermission } from "./permissions.js";
+
+// Single place that decides whose content a viewer may see. Frozen accounts are hidden from
+// everyone but themselves until their owner logs back in; nothing is deleted, so unfreezing restores it all.
+// Blocking hides both users from each other the same way, in both directions.
+// Private accounts keep a visible profile but show posts, stories and bookmarks only to approved followers.
+// Posts and stories published to close friends reach only the author and the members of their list.
+
+const sameUser = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+// Query conditions matching accounts the viewer must not see at all. `viewer` is the user document, if any.
+const hiddenUserConditions = (viewer) =>
+  viewer
+    ? [{ isFrozen: true }, { blocked: viewer._id }, { _id: { $in: viewer.blocked || [] } }]
+    : [{ isFrozen: true }];
+
+// The lookups below take the ids a query is about to filter (its authors or commenters) as `candidateIds`, so they
+// only check those accounts. Without them they return every matching account on the site.
+const idCondition = (viewer, candidateIds) => {
+  const condition = { ...(viewer && { $ne: viewer._id }), ...(candidateIds && { $in: candidateIds }) };
+  return Object.keys(condition).length ? { _id: condition } : {};
+};
+
+const getHiddenUserIds = async (viewer, candidateIds) => {
+  if (candidateIds && !candidateIds.length) return [];
+  return User.distinct("_id", { ...idCondition(viewer, candidateIds), $or: hiddenUserConditions(viewer) });
+};
+
+// Hidden users among the people who commented on these posts, for withVisibleComments.
+const getHiddenCommenterIds = (viewer, posts) =>
+  getHiddenUserIds(
+    viewer,
+    posts.flatMap((post) => (post.comments || []).map((comment) => comment.userId?._id || comment.userId)).filter(Boolean)
+  );
+
+const isVisibleUser = (user, viewer) => {
+  if (!user) return false;
+  if (sameUser(user, viewer)) return true;
+  if (user.isFrozen) return false;
+  if (!viewer) return true;
+  return (
+    !(user.blocked || []).some((id) => sameUser(id, viewer)) && !(viewer.blocked || []).some((id) => sameUser(id, user))
+  );
+};
+
+// Moderators who can see every post also see past privacy settings.
+const canViewContent = (owner, viewer) =>
+  Boolean(owner) &&
+  (!owner.isPrivate ||
+    sameUser(owner, viewer) ||
+    (owner.followers || []).some((followerId) => sameUser(followerId, viewer)) ||
+    hasPermission(viewer, "posts:view-all"));
+
+// Authors whose posts and stories must not reach this viewer: hidden accounts, plus private ones they don't follow.
+// A signed-out visitor (null viewer) follows nobody, so every private account is restricted for them.
+const getRestrictedAuthorIds = async (viewer, candidateIds) => {
+  if (hasPermission(viewer, "posts:view-all")) return getHiddenUserIds(viewer, candidateIds);
+  if (candidateIds && !candidateIds.length) return [];
+  return User.distinct("_id", {
+    ...idCondition(viewer, candidateIds),
+    $or: [...hiddenUserConditions(viewer), { isPrivate: true, ...(viewer && { followers: { $ne: viewer._id } }) }],
+  });
+};
+
+// Authors whose close friends list includes the viewer.
+const getCloseFriendAuthorIds = async (viewer) => (viewer ? User.distinct("_id", { closeFriends: viewer._id }) : []);
+
+// Adds the audience condition for a Post or Story query. Moderators who can see every post skip it.
+const withAudience = (filter, viewer, closeFriendAuthorIds) => {
+  if (hasPermission(viewer, "posts:view-all")) return filter;
+  if (!viewer) return { $and: [filter, { audience: { $ne: "closeFriends" } }] };
+  return {
+    $and: [
+      filter,
+      { $or: [{ audience: { $ne: "closeFriends" } }, { postedBy: { $in: [viewer._id, ...closeFriendAuthorIds] } }] },
+    ],
+  };
+};
+
+// Single-item version of withAudience, for a post that has already been loaded.
+const canViewAudience = async (post, viewer) => {
+  if (post.audience !== "closeFriends" || hasPermission(viewer, "posts:view-all")) return true;
+  const authorId = post.postedBy?._id || post.postedBy;
+  if (sameUser(authorId, viewer)) return true;
+  return Boolean(viewer && (await User.exists({ _id: authorId, closeFriends: viewer._id })));
+};
+
+// Whether the viewer should get a 404 for this post: missing, banned, by a restricted author or outside its audience.
+const isHiddenPost = async (post, viewer) =>
+  !post ||
+  post.isBanned ||
+  !post.postedBy ||
+  (await getRestrictedAuthorIds(viewer, [post.postedBy._id || post.postedBy])).length > 0 ||
+  !(await canViewAudience(post, viewer));
+
+// Adds the author condition without clobbering a postedBy filter the caller already has.
+const withVisibleAuthors = (filter, hiddenIds) =>
+  hiddenIds.length ? { $and: [filter, { postedBy: { $nin: hiddenIds } }] } : filter;
+
+// Drops comments left by hidden users. Works whether comments.userId is populated or not.
+const withVisibleComments = (post, hiddenIds) => {
+  const plain = typeof post.toObject === "function" ? post.toObject() : post;
+  if (!hiddenIds.length) return plain;
+  const hidden = new Set(hiddenIds.map((id) => id.toString()));
+  return {
+    ...plain,
+    comments: (plain.comments || []).filter((comment) => !hidden.has(String(comment.userId?._id || comment.userId))),
+  };
+};
+
+export {
+  getHiddenUserIds,
+  getHiddenCommenterIds,
+  isVisibleUser,
+  canViewContent,
+  getRestrictedAuthorIds,
+  withVisibleAuthors,
+  withVisibleComments,
+  getCloseFriendAuthorIds,
+  withAudience,
+  canViewAudience,
+  isHiddenPost,
+};
@@ -15,6 +15,9 @@ import { Skeleton } from "antd";
 import TopNav from "./components/TopNav";
 import BottomNavigation from "./components/BottomNav";
 import ErrorBoundary from "./components/ErrorBoundary";
+import VerifyEmailBanner from "./components/VerifyEmailBanner";
+import useSessionRefresh from "./hooks/useSessionRefresh";
+import { hasPermission } from "./utils/permissions";
 
 // react-toastify
 import { ToastContainer, toast } from "react-toastify";
@@ -32,9 +35,12 @@ const ChatPage = lazy(() => import("./pages/ChatPage"));
 const SettingsPage = lazy(() => import("./pages/SettingsPage"));
 const DashboardPage = lazy(() => import("./pages/DashboardPage"));
 const SearchPage = lazy(() => import("./pages/SearchPage"));
+const DraftsPage = lazy(() => import("./pages/DraftsPage"));
 const EditProfile = lazy(() => import("./components/EditProfile"));
 const EditPostPage = lazy(() => import("./pages/EditPostPage"));
 const AdminProfilePage = lazy(() => import("./pages/AdminProfilePage"));
+const VerifyEmailPage = lazy(() => import("./pages/VerifyEmailPage"));
+const ConfirmEmailChangePage = lazy(() => import("./pages/ConfirmEmailChangePage"));
 
 // Dark theme matching AuthPage.jsx
 const theme = createTheme({
@@ -101,6 +107,7 @@ function App() {
   const isMediumScreenOrLarger = useMediaQuery("(min-width:501px)");
   const [isOpen, setIsOpen] = useState(false);
   const [isPending, startTransition] = useTransition();
+  useSessionRefresh();
 
   const handleOpen = () => {
     startTransition(() => {
@@ -165,6 +172,9 @@ function App() {
                 pt: topPadding,
               }}
             >
+              {user?.emailVerified === false && pathname !== "/verify-email" && (
+                <VerifyEmailBanner email={user.email} />
+              )}
               <Suspense fallback={<LoadingSkeleton />}>
                 <Routes>
                   <Route
@@ -219,6 +229,8 @@ function App() {
                       )
                     }
                   />
+                  <Route path="/verify-email" element={<VerifyEmailPage />} />
+                  <Route path="/confirm-email" element={<ConfirmEmailChangePage />} />
                   <Route path="/edit-post/:id" element={<EditPostPage />} />
                   <Route
                     path="/:username"
@@ -227,7 +239,7 @@ function App() {
                   <Route
                     path="/admin/:username"
                     element={
-                      user?.isAdmin ? (
+                      hasPermission(user, "admin:access") ? (
                         <AdminProfilePage />
                       ) : (
                         <Navigate to="/" replace />
@@ -261,6 +273,10 @@ function App() {
                     path="/search"
                     element={user ? <SearchPage /> : <Navigate to="/auth" replace />}
                   />
+                  <Route
+                    path="/drafts"
+                    element={user ? <DraftsPage /> : <Navigate to="/auth" replace />}
+                  />
                   <Route
                     path="*"
                     element={
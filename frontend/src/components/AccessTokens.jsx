@@ -0,0 +1,255 @@
+import { useCallback, useEffect, useState } from "react";
+import { useRecoilValue } from "recoil";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  FormControlLabel,
+  FormGroup,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import { format, formatDistanceToNow } from "date-fns";
+import userAtom from "../atoms/userAtom";
+import { hasPermission } from "../utils/permissions";
+
+const SCOPES = [
+  { value: "posts:read", label: "Read posts" },
+  { value: "posts:write", label: "Write posts" },
+  { value: "messages", label: "Messages" },
+  { value: "admin", label: "Admin", adminOnly: true },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "1 year" },
+  { value: "", label: "Never" },
+];
+
+const AccessTokens = () => {
+  const user = useRecoilValue(userAtom);
+  const isAdmin = hasPermission(user, "admin:access");
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["posts:read"]);
+  const [expiresInDays, setExpiresInDays] = useState("30");
+  const [creating, setCreating] = useState(false);
+  const [revoking, setRevoking] = useState(null);
+  const [newToken, setNewToken] = useState(null);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/access-tokens", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setTokens(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+  };
+
+  const createToken = async () => {
+    setCreating(true);
+    try {
+      const res = await fetch("/api/users/access-tokens", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ name, scopes, expiresInDays: expiresInDays || null }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      const { token, ...created } = data;
+      setTokens((prev) => [created, ...prev]);
+      setNewToken(token);
+      setName("");
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeToken = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    setRevoking(token._id);
+    try {
+      const res = await fetch(`/api/users/access-tokens/${token._id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setTokens((prev) => prev.filter((t) => t._id !== token._id));
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      message.success("Token copied to clipboard");
+    } catch {
+      message.error("Could not copy the token, please copy it manually");
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Access Tokens
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Personal access tokens let scripts call the API on your behalf. Send one as an{" "}
+          <code>Authorization: Bearer</code> header.
+        </Typography>
+
+        {newToken && (
+          <Alert
+            severity="success"
+            sx={{ my: 2, wordBreak: "break-all" }}
+            action={
+              <Button color="inherit" size="small" onClick={copyToken}>
+                Copy
+              </Button>
+            }
+            onClose={() => setNewToken(null)}
+          >
+            Copy your new token now. You won&apos;t be able to see it again.
+            <Box component="code" display="block" mt={1}>
+              {newToken}
+            </Box>
+          </Alert>
+        )}
+
+        <Stack spacing={2} mt={2}>
+          <TextField
+            label="Token name"
+            placeholder="Nightly report"
+            size="small"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            inputProps={{ maxLength: 50 }}
+          />
+          <FormGroup row>
+            {SCOPES.filter((scope) => isAdmin || !scope.adminOnly).map((scope) => (
+              <FormControlLabel
+                key={scope.value}
+                control={<Checkbox checked={scopes.includes(scope.value)} onChange={() => toggleScope(scope.value)} />}
+                label={scope.label}
+              />
+            ))}
+          </FormGroup>
+          <TextField
+            select
+            label="Expires after"
+            size="small"
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <MenuItem key={option.label} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Box>
+            <Button
+              variant="contained"
+              onClick={createToken}
+              disabled={creating || !name.trim() || !scopes.length}
+              startIcon={creating ? <CircularProgress size={20} /> : null}
+            >
+              Generate Token
+            </Button>
+          </Box>
+        </Stack>
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <List dense>
+            {tokens.map((token) => (
+              <ListItem
+                key={token._id}
+                disableGutters
+                secondaryAction={
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={() => revokeToken(token)}
+                    disabled={revoking !== null}
+                  >
+                    {revoking === token._id ? <CircularProgress size={16} /> : "Revoke"}
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                      {token.name}
+                      <Typography component="span" variant="caption" color="text.secondary">
+                        {token.prefix}…
+                      </Typography>
+                      {token.scopes.map((scope) => (
+                        <Chip key={scope} label={scope} size="small" variant="outlined" />
+                      ))}
+                    </Box>
+                  }
+                  secondary={`${
+                    token.lastUsedAt
+                      ? `Last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+                      : "Never used"
+                  } · ${token.expiresAt ? `expires ${format(new Date(token.expiresAt), "PP")}` : "never expires"}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AccessTokens;
@@ -0,0 +1,149 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import { formatDistanceToNow } from "date-fns";
+import { useSetRecoilState } from "recoil";
+import userAtom from "../atoms/userAtom";
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const setUser = useSetRecoilState(userAtom);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/sessions", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setSessions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revokeSession = async (session) => {
+    setRevoking(session._id);
+    try {
+      const res = await fetch(`/api/users/sessions/${session._id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      if (session.isCurrent) {
+        localStorage.removeItem("user-NRBLOG");
+        setUser(null);
+        return;
+      }
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+      message.success("Session signed out");
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    if (!window.confirm("Sign out of every other device?")) return;
+
+    setRevoking("others");
+    try {
+      const res = await fetch("/api/users/sessions", { method: "DELETE", credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setSessions((prev) => prev.filter((s) => s.isCurrent));
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Devices
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          These devices are currently signed in to your account. Sign out any you don&apos;t recognise.
+        </Typography>
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <List dense>
+            {sessions.map((session) => (
+              <ListItem
+                key={session._id}
+                disableGutters
+                secondaryAction={
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={() => revokeSession(session)}
+                    disabled={revoking !== null}
+                  >
+                    {revoking === session._id ? <CircularProgress size={16} /> : "Sign out"}
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      {session.device}
+                      {session.isCurrent && <Chip label="This device" size="small" color="primary" />}
+                    </Box>
+                  }
+                  secondary={`${session.ip || "Unknown IP"} · active ${formatDistanceToNow(
+                    new Date(session.lastUsedAt),
+                    { addSuffix: true }
+                  )}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+        {sessions.length > 1 && (
+          <Box mt={1}>
+            <Button variant="outlined" color="error" onClick={revokeOtherSessions} disabled={revoking !== null}>
+              Sign out of all other devices
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
@@ -42,6 +42,7 @@ import {
   BsFileTextFill,
 } from "react-icons/bs";
 import { SocketContext } from "../context/SocketContext";
+import { hasPermission } from "../utils/permissions";
 
 const AdminPostCards = () => {
   const [allPostsUsers, setAllPostsUsers] = useState({});
@@ -505,7 +506,7 @@ const AdminPostCards = () => {
             </Box>
           ))}
         </Box>
-      ) : currentUser?.isAdmin ? (
+      ) : hasPermission(currentUser, "admin:access") ? (
         <Box sx={{ display: "flex", flexDirection: "column", alignItems: "center", px: { xs: 2, sm: 3 }, py: 3, gap: 4 }}>
           {posts.posts.length > 0 ? (
             posts.posts.map((adminPost) => {
@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+
+const BlockedUsers = () => {
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [unblocking, setUnblocking] = useState(null);
+
+  const fetchBlockedUsers = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/blocked", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setBlockedUsers(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBlockedUsers();
+  }, [fetchBlockedUsers]);
+
+  const unblockUser = async (blockedUser) => {
+    setUnblocking(blockedUser._id);
+    try {
+      const res = await fetch(`/api/users/block/${blockedUser._id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setBlockedUsers((prev) => prev.filter((u) => u._id !== blockedUser._id));
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setUnblocking(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Blocked Users
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Blocked users can&apos;t see your profile, posts or stories, comment on your posts or message you, and you
+          won&apos;t see theirs. Unblocking doesn&apos;t restore previous follows.
+        </Typography>
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : blockedUsers.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            You haven&apos;t blocked anyone.
+          </Typography>
+        ) : (
+          <List dense>
+            {blockedUsers.map((blockedUser) => (
+              <ListItem
+                key={blockedUser._id}
+                disableGutters
+                secondaryAction={
+                  <Button size="small" onClick={() => unblockUser(blockedUser)} disabled={unblocking !== null}>
+                    {unblocking === blockedUser._id ? <CircularProgress size={16} /> : "Unblock"}
+                  </Button>
+                }
+              >
+                <ListItemAvatar>
+                  <Avatar src={blockedUser.profilePic} alt={blockedUser.username} />
+                </ListItemAvatar>
+                <ListItemText primary={blockedUser.username} secondary={blockedUser.name} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BlockedUsers;
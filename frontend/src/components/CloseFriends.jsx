@@ -0,0 +1,193 @@
+import { useCallback, useEffect, useState } from "react";
+import { useRecoilValue } from "recoil";
+import {
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import userAtom from "../atoms/userAtom";
+
+const CloseFriends = () => {
+  const user = useRecoilValue(userAtom);
+  const [closeFriends, setCloseFriends] = useState([]);
+  const [followers, setFollowers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState("");
+  const [updating, setUpdating] = useState(null);
+
+  const fetchCloseFriends = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/close-friends", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setCloseFriends(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Candidates for the list are the user's followers
+  const followerIds = user?.followers;
+  const fetchFollowers = useCallback(async () => {
+    if (!followerIds?.length) {
+      setFollowers([]);
+      return;
+    }
+    try {
+      const res = await fetch("/api/users/multiple", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ ids: followerIds }),
+      });
+      const data = await res.json();
+      setFollowers(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    }
+  }, [followerIds]);
+
+  useEffect(() => {
+    fetchCloseFriends();
+  }, [fetchCloseFriends]);
+
+  useEffect(() => {
+    fetchFollowers();
+  }, [fetchFollowers]);
+
+  const addCloseFriend = async () => {
+    setUpdating(selected);
+    try {
+      const res = await fetch(`/api/users/close-friends/${selected}`, {
+        method: "PUT",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setCloseFriends((prev) => [data, ...prev.filter((friend) => friend._id !== data._id)]);
+      setSelected("");
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const removeCloseFriend = async (friend) => {
+    setUpdating(friend._id);
+    try {
+      const res = await fetch(`/api/users/close-friends/${friend._id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setCloseFriends((prev) => prev.filter((f) => f._id !== friend._id));
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const candidates = followers.filter((follower) => !closeFriends.some((friend) => friend._id === follower._id));
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Close Friends
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Choose &quot;Close friends&quot; as the audience when posting to share only with the people on this list.
+          Nobody is notified when you add or remove them.
+        </Typography>
+
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2} mt={2}>
+          <TextField
+            select
+            label="Add a follower"
+            size="small"
+            value={selected}
+            onChange={(e) => setSelected(e.target.value)}
+            disabled={!candidates.length}
+            sx={{ flex: 1 }}
+          >
+            {candidates.map((follower) => (
+              <MenuItem key={follower._id} value={follower._id}>
+                {follower.username}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="contained"
+            onClick={addCloseFriend}
+            disabled={!selected || updating !== null}
+            startIcon={updating === selected && selected ? <CircularProgress size={20} /> : null}
+          >
+            Add
+          </Button>
+        </Stack>
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : closeFriends.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" mt={2}>
+            Your close friends list is empty.
+          </Typography>
+        ) : (
+          <List dense>
+            {closeFriends.map((friend) => (
+              <ListItem
+                key={friend._id}
+                disableGutters
+                secondaryAction={
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={() => removeCloseFriend(friend)}
+                    disabled={updating !== null}
+                  >
+                    {updating === friend._id ? <CircularProgress size={16} /> : "Remove"}
+                  </Button>
+                }
+              >
+                <ListItemAvatar>
+                  <Avatar src={friend.profilePic} alt={friend.username} />
+                </ListItemAvatar>
+                <ListItemText primary={friend.username} secondary={friend.name} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CloseFriends;
@@ -1,4 +1,4 @@
-import { memo, useState } from "react";
+import { memo, useCallback, useEffect, useState } from "react";
 import {
   Avatar,
   Box,
@@ -12,6 +12,23 @@ import { ThumbUp, ThumbUpOffAlt, Edit, Delete } from "@mui/icons-material";
 import { message } from "antd";
 import { formatDistanceToNow } from "date-fns";
 import PropTypes from "prop-types";
+import { useNavigate } from "react-router-dom";
+import EditHistoryDialog from "./EditHistoryDialog";
+import { useSocket } from "../context/SocketContext";
+import { hasPermission } from "../utils/permissions";
+
+// Matches postModel. Replying at this depth adds a sibling reply rather than nesting further.
+const MAX_REPLY_DEPTH = 3;
+const REPLIES_PAGE_SIZE = 5;
+const MENTION_SPLIT = /(@[a-zA-Z0-9_.]{3,30})/g;
+
+const actionButtonSx = {
+  color: "text.secondary",
+  textTransform: "none",
+  fontSize: { xs: "11px", sm: "12px" },
+  p: 0,
+  minWidth: "auto",
+};
 
 const CommentItem = ({
   comment,
@@ -26,13 +43,24 @@ const CommentItem = ({
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(comment.text || "");
   const [isLiking, setIsLiking] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [optimisticLikes, setOptimisticLikes] = useState(comment.likes || []);
+  const [isReplying, setIsReplying] = useState(false);
+  const [replyText, setReplyText] = useState("");
+  const [isSendingReply, setIsSendingReply] = useState(false);
+  const [showReplies, setShowReplies] = useState(false);
+  const [replies, setReplies] = useState([]);
+  const [replyPage, setReplyPage] = useState(0);
+  const [totalReplies, setTotalReplies] = useState(comment.replyCount || 0);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+  const socket = useSocket()?.socket;
+  const navigate = useNavigate();
 
   const isCommentOwner = currentUser?._id === comment.userId?._id?.toString();
   const isPostOwner = currentUser?._id === postOwnerId?.toString();
-  const isAdmin = currentUser?.isAdmin;
-  const canEdit = isCommentOwner || isAdmin;
-  const canDelete = isCommentOwner || isPostOwner || isAdmin;
+  const canModerate = hasPermission(currentUser, "comments:moderate");
+  const canEdit = isCommentOwner || canModerate;
+  const canDelete = isCommentOwner || isPostOwner || canModerate;
   const isLiked = optimisticLikes.includes(currentUser?._id);
 
   const handleEdit = async () => {
@@ -61,6 +89,148 @@ const CommentItem = ({
     }
   };
 
+  const fetchReplies = useCallback(
+    async (page) => {
+      setLoadingReplies(true);
+      try {
+        const res = await fetch(
+          `/api/posts/post/${postId}/comment/${comment._id}/replies?page=${page}&limit=${REPLIES_PAGE_SIZE}`,
+          { credentials: "include" }
+        );
+        const data = await res.json();
+        if (data.error) {
+          message.error(data.error);
+          return;
+        }
+        setReplies((prev) => {
+          const loaded = page === 1 ? [] : prev;
+          const known = new Set(loaded.map((reply) => reply._id));
+          return [...loaded, ...data.replies.filter((reply) => !known.has(reply._id))];
+        });
+        setReplyPage(page);
+        setTotalReplies(data.totalReplies);
+      } catch (error) {
+        message.error(error.message || "Failed to load replies");
+      } finally {
+        setLoadingReplies(false);
+      }
+    },
+    [postId, comment._id]
+  );
+
+  // Keeps an open thread in step with replies added, edited, liked or removed by anyone viewing the post.
+  useEffect(() => {
+    if (!socket) return;
+    const isChild = (payload) => payload.postId === postId && String(payload.parentId) === comment._id;
+
+    const handlers = {
+      newReply: (payload) => {
+        if (!isChild(payload)) return;
+        setTotalReplies((count) => count + 1);
+        // Once a page of the thread is loaded, new replies join the end of it.
+        if (replyPage > 0) {
+          setReplies((prev) =>
+            prev.some((reply) => reply._id === payload.comment._id) ? prev : [...prev, payload.comment]
+          );
+        }
+      },
+      editComment: (payload) => {
+        if (!isChild(payload)) return;
+        setReplies((prev) =>
+          prev.map((reply) =>
+            reply._id === payload.commentId ? { ...reply, ...payload.comment, replyCount: reply.replyCount } : reply
+          )
+        );
+      },
+      likeUnlikeComment: (payload) => {
+        if (!isChild(payload)) return;
+        setReplies((prev) =>
+          prev.map((reply) => (reply._id === payload.commentId ? { ...reply, likes: payload.likes } : reply))
+        );
+      },
+      deleteComment: (payload) => {
+        if (!isChild(payload)) return;
+        setReplies((prev) => prev.filter((reply) => reply._id !== payload.commentId));
+        setTotalReplies((count) => Math.max(count - 1, 0));
+      },
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler));
+    return () => {
+      Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler));
+    };
+  }, [socket, postId, comment._id, replyPage]);
+
+  const toggleReplies = () => {
+    if (!showReplies && replyPage === 0) fetchReplies(1);
+    setShowReplies((prev) => !prev);
+  };
+
+  const startReply = () => {
+    if (!currentUser) {
+      message.error("You must be logged in to reply");
+      return;
+    }
+    const author = comment.username || comment.userId?.username;
+    // Deep in a thread the reply may land beside this one, so name who it answers.
+    if (!replyText && author && author !== currentUser.username && depth > 0) setReplyText(`@${author} `);
+    setIsReplying(true);
+  };
+
+  const handleReply = async () => {
+    if (!replyText.trim()) return;
+    setIsSendingReply(true);
+    try {
+      const res = await fetch(`/api/posts/post/${postId}/comment/${comment._id}/reply`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ text: replyText }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setReplyText("");
+      setIsReplying(false);
+      // A reply past the depth limit belongs to this comment's parent, whose thread picks it up from the socket.
+      if (data.comment.parentId === comment._id) {
+        if (replyPage === 0) {
+          fetchReplies(1);
+        } else {
+          setReplies((prev) =>
+            prev.some((reply) => reply._id === data.comment._id) ? prev : [...prev, data.comment]
+          );
+          // The newReply event does the counting while the socket is connected.
+          if (!socket) setTotalReplies((count) => count + 1);
+        }
+        setShowReplies(true);
+      }
+    } catch (error) {
+      message.error(error.message || "Failed to post reply");
+    } finally {
+      setIsSendingReply(false);
+    }
+  };
+
+  const renderText = (text) =>
+    (text || "").split(MENTION_SPLIT).map((part, index) =>
+      index % 2 === 1 ? (
+        <Box
+          key={index}
+          component="span"
+          role="link"
+          onClick={() => navigate(`/${part.slice(1).replace(/\.+$/, "")}`)}
+          sx={{ color: "primary.main", cursor: "pointer", fontWeight: 500 }}
+        >
+          {part}
+        </Box>
+      ) : (
+        part
+      )
+    );
+
   const handleLike = async () => {
     if (!currentUser) {
       message.error("You must be logged in to like comments");
@@ -120,7 +290,22 @@ const CommentItem = ({
               color="text.secondary"
             >
               {formatDistanceToNow(new Date(comment.createdAt))} ago
-              {comment.isEdited && " • Edited"}
+              {comment.isEdited && (
+                <>
+                  {" "}
+                  <Box
+                    component="span"
+                    role="button"
+                    tabIndex={0}
+                    title="View edit history"
+                    onClick={() => setShowHistory(true)}
+                    onKeyDown={(e) => e.key === "Enter" && setShowHistory(true)}
+                    sx={{ cursor: "pointer", textDecoration: "underline dotted" }}
+                  >
+                    • Edited
+                  </Box>
+                </>
+              )}
             </Typography>
           </Box>
 
@@ -185,7 +370,7 @@ const CommentItem = ({
               color="text.primary"
               sx={{ mt: 0.5, wordBreak: "break-word", overflowWrap: "break-word" }}
             >
-              {comment.text}
+              {renderText(comment.text)}
             </Typography>
           )}
 
@@ -228,9 +413,92 @@ const CommentItem = ({
                 <Delete sx={{ color: "#ED4956", fontSize: { xs: 14, sm: 16 } }} />
               </IconButton>
             )}
+            <Button size="small" onClick={startReply} sx={actionButtonSx}>
+              Reply
+            </Button>
           </Box>
+
+          {isReplying && (
+            <Box sx={{ mt: 1, display: "flex", gap: 1, alignItems: "flex-start" }}>
+              <TextField
+                fullWidth
+                size="small"
+                autoFocus
+                placeholder={depth >= MAX_REPLY_DEPTH ? "Reply in this thread..." : "Add a reply..."}
+                value={replyText}
+                onChange={(e) => setReplyText(e.target.value)}
+                multiline
+                maxRows={4}
+                sx={{
+                  bgcolor: "background.default",
+                  borderRadius: 1,
+                  "& .MuiOutlinedInput-root": {
+                    "& fieldset": { borderColor: "rgba(255, 255, 255, 0.3)" },
+                    "&:hover fieldset": { borderColor: "rgba(255, 255, 255, 0.5)" },
+                    "&.Mui-focused fieldset": { borderColor: "primary.main" },
+                    "& input, & textarea": { color: "text.primary" },
+                  },
+                }}
+              />
+              <Button
+                size="small"
+                onClick={handleReply}
+                disabled={!replyText.trim() || isSendingReply}
+                sx={{ ...actionButtonSx, color: "primary.main", fontWeight: 600, mt: 1 }}
+              >
+                Reply
+              </Button>
+              <Button
+                size="small"
+                onClick={() => {
+                  setIsReplying(false);
+                  setReplyText("");
+                }}
+                sx={{ ...actionButtonSx, mt: 1 }}
+              >
+                Cancel
+              </Button>
+            </Box>
+          )}
+
+          {totalReplies > 0 && (
+            <Button size="small" onClick={toggleReplies} sx={{ ...actionButtonSx, mt: 0.5, fontWeight: 600 }}>
+              {showReplies ? "Hide replies" : `View ${totalReplies} ${totalReplies === 1 ? "reply" : "replies"}`}
+            </Button>
+          )}
         </Box>
       </Box>
+      {showReplies && (
+        <Box sx={{ ml: { xs: 1.5, sm: 3 }, pl: 1, borderLeft: "1px solid rgba(255, 255, 255, 0.15)" }}>
+          {replies.map((reply) => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              depth={depth + 1}
+              currentUser={currentUser}
+              postId={postId}
+              postOwnerId={postOwnerId}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onLike={onLike}
+            />
+          ))}
+          {loadingReplies && <CircularProgress size={16} sx={{ m: 1 }} />}
+          {!loadingReplies && replies.length < totalReplies && (
+            <Button size="small" onClick={() => fetchReplies(replyPage + 1)} sx={{ ...actionButtonSx, m: 1 }}>
+              Load more replies ({totalReplies - replies.length} remaining)
+            </Button>
+          )}
+        </Box>
+      )}
+      {comment.isEdited && (
+        <EditHistoryDialog
+          open={showHistory}
+          onClose={() => setShowHistory(false)}
+          url={`/api/posts/post/${postId}/comment/${comment._id}/revisions`}
+          title="Comment edit history"
+        />
+      )}
     </Box>
   );
 };
@@ -13,8 +13,18 @@ import {
   Slider,
   Drawer,
   Avatar,
+  MenuItem,
+  TextField,
 } from "@mui/material";
-import { Close as CloseIcon, Upload as UploadIcon, Image as ImageIcon, Videocam, Mic } from "@mui/icons-material";
+import {
+  Close as CloseIcon,
+  Upload as UploadIcon,
+  Image as ImageIcon,
+  Videocam,
+  Mic,
+  ArrowUpward,
+  ArrowDownward,
+} from "@mui/icons-material";
 import { motion } from "framer-motion";
 import { useRecoilState, useRecoilValue } from "recoil";
 import userAtom from "../atoms/userAtom";
@@ -25,10 +35,15 @@ import { BsFileEarmarkTextFill, BsFileZipFill, BsFiletypePdf } from "react-icons
 import { Document, Page } from "react-pdf";
 import { pdfjs } from "react-pdf";
 import { useSocket } from "../context/SocketContext";
+import { format } from "date-fns";
 
 pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
 
 const MAX_CHAR = 500;
+const MAX_MEDIA_ITEMS = 10;
+const MAX_ALT_TEXT = 500;
+// Only photos and videos can be combined; audio and documents are posted on their own.
+const CAROUSEL_TYPES = ["image", "video"];
 const MAX_FILE_SIZE = {
   document: 2 * 1024 * 1024 * 1024, // 2GB
   image: 16 * 1024 * 1024, // 16MB
@@ -64,8 +79,7 @@ const ACCEPT_EXTENSIONS = {
 
 const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
   const [postText, setPostText] = useState("");
-  const [mediaFile, setMediaFile] = useState(null);
-  const [mediaType, setMediaType] = useState(null);
+  const [mediaItems, setMediaItems] = useState([]);
   const [numPages, setNumPages] = useState(null);
   const imageRef = useRef(null);
   const [remainingChar, setRemainingChar] = useState(MAX_CHAR);
@@ -74,6 +88,8 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
   const [loading, setLoading] = useState(false);
   const [posts, setPosts] = useRecoilState(postsAtom);
   const [postType, setPostType] = useState("post");
+  const [audience, setAudience] = useState("followers");
+  const [publishAt, setPublishAt] = useState("");
   const navigate = useNavigate();
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadSpeed, setUploadSpeed] = useState(0);
@@ -143,8 +159,9 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
     return `Supported ${mediaType} formats: ${extensions}.`;
   };
 
+  // Returns the file's media type, or null after telling the user why it was rejected.
   const validateFile = (file) => {
-    if (!file) return true;
+    if (!file) return null;
 
     const fileType = file.type || "";
     const allowedFormats = postType === "story"
@@ -160,7 +177,7 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
         message: "Unable to detect file format. Please try a different file.",
         severity: "error",
       });
-      return false;
+      return null;
     }
 
     if (!allowedFormats.includes(fileType)) {
@@ -178,7 +195,7 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
         message,
         severity: "error",
       });
-      return false;
+      return null;
     }
 
     if (file.size > MAX_FILE_SIZE[detectedMediaType]) {
@@ -192,43 +209,93 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
         message: `${message} ${getSupportedFormatsMessage(detectedMediaType)}`,
         severity: "error",
       });
-      return false;
+      return null;
     }
 
-    setMediaType(detectedMediaType);
-    return true;
+    return detectedMediaType;
   };
 
   const onDocumentLoadSuccess = ({ numPages }) => {
     setNumPages(numPages);
   };
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  const clearMedia = () => {
+    mediaItems.forEach((item) => URL.revokeObjectURL(item.url));
+    setMediaItems([]);
+    setNumPages(null);
+  };
 
-    console.log("Selected file:", { name: file.name, type: file.type, size: file.size });
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    // Lets the same file be picked again after it was removed.
+    e.target.value = "";
+    if (!files.length) return;
+
+    const added = [];
+    for (const file of files) {
+      console.log("Selected file:", { name: file.name, type: file.type, size: file.size });
+      const type = validateFile(file);
+      if (!type) return;
+      added.push({ id: `${file.name}-${file.lastModified}-${Math.random()}`, file, type, altText: "" });
+    }
 
-    if (!validateFile(file)) {
-      setMediaFile(null);
-      setMediaType(null);
+    const next = [...mediaItems, ...added];
+    if (next.length > MAX_MEDIA_ITEMS) {
+      setNotification({
+        open: true,
+        message: `You can add up to ${MAX_MEDIA_ITEMS} photos or videos to a post.`,
+        severity: "error",
+      });
+      return;
+    }
+    if (next.length > 1 && next.some((item) => !CAROUSEL_TYPES.includes(item.type))) {
+      setNotification({
+        open: true,
+        message: "Audio and documents have to be posted on their own. Only photos and videos can be combined.",
+        severity: "error",
+      });
       return;
     }
 
-    setMediaFile(file);
+    added.forEach((item) => {
+      item.url = URL.createObjectURL(item.file);
+    });
+    setMediaItems(next);
     setNumPages(null);
 
-    if (file.type.startsWith("video")) {
-      const video = document.createElement("video");
-      video.src = URL.createObjectURL(file);
-      video.onloadedmetadata = () => {
-        setVideoDuration(video.duration);
-        setVideoTrim([0, Math.min(30, video.duration)]);
-        URL.revokeObjectURL(video.src);
+    const video = added.find((item) => item.type === "video");
+    if (video) {
+      const videoElement = document.createElement("video");
+      videoElement.src = video.url;
+      videoElement.onloadedmetadata = () => {
+        setVideoDuration(videoElement.duration);
+        setVideoTrim([0, Math.min(30, videoElement.duration)]);
       };
     }
   };
 
+  const removeMediaItem = (id) => {
+    setMediaItems((prev) => {
+      const removed = prev.find((item) => item.id === id);
+      if (removed) URL.revokeObjectURL(removed.url);
+      return prev.filter((item) => item.id !== id);
+    });
+  };
+
+  const moveMediaItem = (index, offset) => {
+    setMediaItems((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const updateAltText = (id, altText) => {
+    setMediaItems((prev) => prev.map((item) => (item.id === id ? { ...item, altText } : item)));
+  };
+
   const handleVideoTrimChange = (event, newValue) => {
     setVideoTrim(newValue);
     if (newValue[1] - newValue[0] > 30) {
@@ -236,7 +303,10 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
     }
   };
 
-  const handleCreatePost = async () => {
+  // Drafts and scheduled posts are saved server-side and published later, from the drafts page or on schedule.
+  const handleCreatePost = async (saveAsDraft = false) => {
+    const isDraft = postType === "post" && (saveAsDraft || Boolean(publishAt));
+
     /*
     if (postType === "story" && !mediaFile) {
       setNotification({
@@ -248,7 +318,7 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
     }
     */
 
-    if (postType === "post" && !postText.trim() && !mediaFile) {
+    if (postType === "post" && !postText.trim() && !mediaItems.length) {
       setNotification({
         open: true,
         message: "Please provide text or media for your post.",
@@ -257,6 +327,15 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
       return;
     }
 
+    if (isDraft && !saveAsDraft && !postText.trim()) {
+      setNotification({
+        open: true,
+        message: "Add some text before scheduling a post.",
+        severity: "error",
+      });
+      return;
+    }
+
     setLoading(true);
     setUploadProgress(0);
     setUploadSpeed(0);
@@ -268,14 +347,20 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
     formData.append("username", user.username);
     formData.append("profilePic", user.profilePic || "");
     formData.append("createdAt", new Date().toISOString());
+    formData.append("audience", audience);
+    if (isDraft && !saveAsDraft) {
+      formData.append("publishAt", new Date(publishAt).toISOString());
+    }
     if (postType === "post") {
       formData.append("text", postText);
     } /* else {
       formData.append("caption", postText);
     } */
-    if (mediaFile) {
-      formData.append("media", mediaFile);
-      formData.append("mediaType", mediaType);
+    if (mediaItems.length) {
+      // Files go in the order shown; the JSON arrays line up with them by index.
+      mediaItems.forEach((item) => formData.append("media", item.file));
+      formData.append("mediaTypes", JSON.stringify(mediaItems.map((item) => item.type)));
+      formData.append("altTexts", JSON.stringify(mediaItems.map((item) => item.altText.trim())));
       /*
       if (mediaType === "video" && postType === "story") {
         formData.append("trimStart", videoTrim[0]);
@@ -286,7 +371,8 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
 
     try {
       const xhr = new XMLHttpRequest();
-      xhr.open("POST", postType === "post" ? "/api/posts/create" : "/api/stories", true);
+      const endpoint = isDraft ? "/api/posts/drafts" : postType === "post" ? "/api/posts/create" : "/api/stories";
+      xhr.open("POST", endpoint, true);
       xhr.setRequestHeader("Authorization", `Bearer ${localStorage.getItem("token")}`);
 
       xhr.upload.onprogress = (event) => {
@@ -323,24 +409,27 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
 
           setNotification({
             open: true,
-            message: `${postType === "story" ? "Story" : "Post"} created successfully!`,
+            message: isDraft
+              ? data.publishAt
+                ? `Post scheduled for ${format(new Date(data.publishAt), "PPp")}`
+                : "Draft saved"
+              : `${postType === "story" ? "Story" : "Post"} created successfully!`,
             severity: "success",
           });
           setPostText("");
-          setMediaFile(null);
-          setMediaType(null);
+          clearMedia();
           setVideoTrim([0, 30]);
+          setAudience("followers");
+          setPublishAt("");
           onClose();
-          navigate("/");
+          navigate(isDraft ? "/drafts" : "/");
 
+          if (isDraft) return;
           if (postType === "post") {
             setPosts((prev) => ({
               ...prev,
               posts: [data, ...prev.posts.filter((post) => post._id !== data._id)],
             }));
-            if (socket && connectionStatus === "connected") {
-              socket.emit("newPost", data);
-            }
           } /* else {
             setPosts((prev) => ({
               ...prev,
@@ -477,8 +566,7 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
               variant={postType === "post" ? "contained" : "outlined"}
               onClick={() => {
                 setPostType("post");
-                setMediaFile(null);
-                setMediaType(null);
+                clearMedia();
               }}
               sx={{
                 bgcolor: postType === "post" ? "#8515fe" : "transparent",
@@ -655,46 +743,42 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
                 {remainingChar} characters remaining
               </Typography>
 
-              {mediaFile && (
-                <Box mb={3}>
+              {mediaItems.map((item, index) => (
+                <Box key={item.id} mb={2}>
                   <Typography variant="subtitle2" gutterBottom color="#b0b0b0">
-                    Selected: {mediaFile.name} ({(mediaFile.size / 1024 / 1024).toFixed(2)}MB)
+                    {mediaItems.length > 1 && `${index + 1}. `}
+                    {item.file.name} ({(item.file.size / 1024 / 1024).toFixed(2)}MB)
                   </Typography>
 
                   <Box border={1} borderColor="#444444" borderRadius={2} p={2} position="relative">
-                    {mediaType === "image" && (
+                    {item.type === "image" && (
                       <img
-                        src={URL.createObjectURL(mediaFile)}
-                        alt="Preview"
-                        style={{ maxWidth: "100%", maxHeight: "400px", objectFit: "contain" }}
+                        src={item.url}
+                        alt={item.altText || "Preview"}
+                        style={{ maxWidth: "100%", maxHeight: mediaItems.length > 1 ? "200px" : "400px", objectFit: "contain" }}
                       />
                     )}
 
-                    {mediaType === "video" && (
+                    {item.type === "video" && (
                       <video
                         controls
-                        src={URL.createObjectURL(mediaFile)}
-                        style={{ maxWidth: "100%", maxHeight: "400px" }}
+                        src={item.url}
+                        style={{ maxWidth: "100%", maxHeight: mediaItems.length > 1 ? "200px" : "400px" }}
                       />
                     )}
 
-                    {mediaType === "audio" && (
-                      <audio controls src={URL.createObjectURL(mediaFile)} style={{ width: "100%" }} />
-                    )}
+                    {item.type === "audio" && <audio controls src={item.url} style={{ width: "100%" }} />}
 
-                    {mediaType === "document" && (
+                    {item.type === "document" && (
                       <Box>
                         <Box display="flex" alignItems="center" gap={1} mb={2}>
-                          {renderDocumentIcon(mediaFile.type)}
-                          <Typography variant="body1" color="#b0b0b0">{mediaFile.name}</Typography>
+                          {renderDocumentIcon(item.file.type)}
+                          <Typography variant="body1" color="#b0b0b0">{item.file.name}</Typography>
                         </Box>
 
-                        {mediaFile.type === "application/pdf" && (
+                        {item.file.type === "application/pdf" && (
                           <Box height="400px" overflow="auto">
-                            <Document
-                              file={URL.createObjectURL(mediaFile)}
-                              onLoadSuccess={onDocumentLoadSuccess}
-                            >
+                            <Document file={item.url} onLoadSuccess={onDocumentLoadSuccess}>
                               {Array.from({ length: numPages || 1 }, (_, i) => (
                                 <Page key={`page_${i + 1}`} pageNumber={i + 1} width={500} />
                               ))}
@@ -704,15 +788,54 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
                       </Box>
                     )}
 
-                    <IconButton
-                      onClick={() => setMediaFile(null)}
-                      sx={{ position: "absolute", mt: 1, right: 8, color: "#8515fe" }}
-                    >
-                      <CloseIcon fontSize="small" />
-                    </IconButton>
+                    {CAROUSEL_TYPES.includes(item.type) && (
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label="Alt text"
+                        placeholder="Describe this for people who can't see it"
+                        value={item.altText}
+                        onChange={(e) => updateAltText(item.id, e.target.value)}
+                        inputProps={{ maxLength: MAX_ALT_TEXT }}
+                        sx={{ mt: 1 }}
+                      />
+                    )}
+
+                    <Box sx={{ position: "absolute", top: 8, right: 8, display: "flex" }}>
+                      {mediaItems.length > 1 && (
+                        <>
+                          <IconButton
+                            size="small"
+                            aria-label="Move earlier"
+                            disabled={index === 0}
+                            onClick={() => moveMediaItem(index, -1)}
+                            sx={{ color: "#8515fe" }}
+                          >
+                            <ArrowUpward fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            aria-label="Move later"
+                            disabled={index === mediaItems.length - 1}
+                            onClick={() => moveMediaItem(index, 1)}
+                            sx={{ color: "#8515fe" }}
+                          >
+                            <ArrowDownward fontSize="small" />
+                          </IconButton>
+                        </>
+                      )}
+                      <IconButton
+                        size="small"
+                        aria-label="Remove"
+                        onClick={() => removeMediaItem(item.id)}
+                        sx={{ color: "#8515fe" }}
+                      >
+                        <CloseIcon fontSize="small" />
+                      </IconButton>
+                    </Box>
                   </Box>
                 </Box>
-              )}
+              ))}
             </Box>
           {/* )} */}
 
@@ -720,6 +843,7 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
             type="file"
             hidden
             ref={imageRef}
+            multiple={postType === "post"}
             onChange={handleFileChange}
             accept={
               postType === "story"
@@ -734,13 +858,46 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
                 variant="outlined"
                 startIcon={<UploadIcon />}
                 onClick={() => imageRef.current.click()}
+                disabled={
+                  mediaItems.length >= MAX_MEDIA_ITEMS ||
+                  mediaItems.some((item) => !CAROUSEL_TYPES.includes(item.type))
+                }
                 sx={{ color: "#8515fe", borderColor: "#8515fe", "&:hover": { borderColor: "#6d12cc" } }}
               >
-                Upload Media
+                {mediaItems.length ? `Add Media (${mediaItems.length}/${MAX_MEDIA_ITEMS})` : "Upload Media"}
               </Button>
             </Box>
           )}
 
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Audience"
+            value={audience}
+            onChange={(e) => setAudience(e.target.value)}
+            helperText={audience === "closeFriends" ? "Only people on your close friends list will see this" : ""}
+            sx={{ mb: 2 }}
+          >
+            <MenuItem value="followers">Followers</MenuItem>
+            <MenuItem value="closeFriends">Close friends</MenuItem>
+          </TextField>
+
+          {postType === "post" && (
+            <TextField
+              type="datetime-local"
+              fullWidth
+              size="small"
+              label="Publish at"
+              value={publishAt}
+              onChange={(e) => setPublishAt(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: format(new Date(), "yyyy-MM-dd'T'HH:mm") }}
+              helperText={publishAt ? "" : "Leave empty to publish now"}
+              sx={{ mb: 2 }}
+            />
+          )}
+
           {loading && (
             <Box mb={2}>
               <LinearProgress
@@ -754,11 +911,35 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
             </Box>
           )}
 
+          {postType === "post" && (
+            <Box display="flex" justifyContent="space-between" mb={1}>
+              <Button
+                size="small"
+                onClick={() => {
+                  onClose();
+                  navigate("/drafts");
+                }}
+                sx={{ color: "#b0b0b0" }}
+              >
+                Drafts & scheduled
+              </Button>
+              <Button
+                size="small"
+                variant="outlined"
+                onClick={() => handleCreatePost(true)}
+                disabled={loading || (!postText.trim() && !mediaItems.length)}
+                sx={{ color: "#8515fe", borderColor: "#8515fe", "&:hover": { borderColor: "#6d12cc" } }}
+              >
+                Save Draft
+              </Button>
+            </Box>
+          )}
+
           <Button
             fullWidth
             variant="contained"
-            onClick={handleCreatePost}
-            disabled={loading || (postType === "post" && !postText.trim() && !mediaFile)}
+            onClick={() => handleCreatePost()}
+            disabled={loading || (postType === "post" && !postText.trim() && !mediaItems.length)}
             sx={{
               bgcolor: "#8515fe",
               color: "white",
@@ -769,7 +950,7 @@ const CreatePost = ({ isOpen, onClose, onPostCreated, isDrawer }) => {
             {loading ? (
               <CircularProgress size={24} color="inherit" />
             ) : (
-              `Post ${postType === "story" ? "Story" : "Post"}`
+              publishAt && postType === "post" ? "Schedule Post" : `Post ${postType === "story" ? "Story" : "Post"}`
             )}
           </Button>
         </motion.div>
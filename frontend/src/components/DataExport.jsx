@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  LinearProgress,
+  Link,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import { format } from "date-fns";
+
+const POLL_INTERVAL = 2000;
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const DataExport = () => {
+  const [dataExport, setDataExport] = useState(undefined);
+  const [requesting, setRequesting] = useState(false);
+
+  const inProgress = dataExport && ["pending", "processing"].includes(dataExport.status);
+  const expired = dataExport?.status === "ready" && new Date(dataExport.expiresAt) <= new Date();
+
+  const fetchLatest = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/exports/latest", { credentials: "include" });
+      const data = await res.json();
+      if (data?.error) {
+        message.error(data.error);
+        return;
+      }
+      setDataExport(data);
+    } catch (error) {
+      message.error(error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLatest();
+  }, [fetchLatest]);
+
+  useEffect(() => {
+    if (!inProgress) return;
+    const interval = setInterval(fetchLatest, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [inProgress, fetchLatest]);
+
+  const requestExport = async () => {
+    setRequesting(true);
+    try {
+      const res = await fetch("/api/users/exports", {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setDataExport(data);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Download Your Data
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Get a ZIP archive with your profile, posts, comments, bookmarks, followers, stories and messages, including
+          the original photos and videos you uploaded.
+        </Typography>
+
+        {dataExport === undefined && (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {inProgress && (
+          <Box mt={2}>
+            <Typography variant="body2" gutterBottom>
+              {dataExport.stage} ({dataExport.progress}%)
+            </Typography>
+            <LinearProgress variant="determinate" value={dataExport.progress} />
+          </Box>
+        )}
+
+        {dataExport?.status === "ready" && !expired && (
+          <Box mt={2}>
+            <Link href={dataExport.downloadUrl} underline="hover">
+              Download archive ({formatSize(dataExport.fileSize)})
+            </Link>
+            <Typography variant="caption" display="block" color="text.secondary">
+              Link expires {format(new Date(dataExport.expiresAt), "MMM d, yyyy 'at' HH:mm")}
+            </Typography>
+          </Box>
+        )}
+
+        {dataExport?.status === "failed" && (
+          <Typography variant="body2" color="error" mt={2}>
+            Your last export failed: {dataExport.error}
+          </Typography>
+        )}
+
+        {dataExport !== undefined && !inProgress && (
+          <Box mt={2}>
+            <Button
+              variant="outlined"
+              onClick={requestExport}
+              disabled={requesting}
+              startIcon={requesting ? <CircularProgress size={20} /> : null}
+            >
+              {dataExport?.status === "ready" && !expired ? "Request a new export" : "Request export"}
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DataExport;
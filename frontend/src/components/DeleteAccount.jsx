@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { useRecoilState } from "recoil";
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import userAtom from "../atoms/userAtom";
+
+const DeleteAccount = () => {
+  const [user, setUser] = useRecoilState(userAtom);
+  const [open, setOpen] = useState(false);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const close = () => {
+    setOpen(false);
+    setPassword("");
+    setCode("");
+  };
+
+  const deleteAccount = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/users/delete", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ password, code }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+
+      // The server has already ended every session, so only local state is left to clear.
+      message.success(data.message);
+      localStorage.removeItem("user-NRBLOG");
+      setUser(null);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Delete Your Account
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Your profile, posts, comments, likes, stories, messages and uploaded media will be permanently removed
+          after a 30-day grace period. Logging in during that time cancels the deletion.
+        </Typography>
+        <Box mt={2}>
+          <Button variant="outlined" color="error" onClick={() => setOpen(true)}>
+            Delete Account
+          </Button>
+        </Box>
+      </CardContent>
+
+      <Dialog open={open} onClose={close} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete your account?</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} mt={1}>
+            <Typography variant="body2" color="text.secondary">
+              Confirm with your password. If you signed up with another provider, set a password with
+              &quot;Forgot password&quot; first.
+            </Typography>
+            <TextField
+              label="Current password"
+              type="password"
+              size="small"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoFocus
+            />
+            {user?.twoFactorEnabled && (
+              <TextField
+                label="Authenticator or backup code"
+                size="small"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+              />
+            )}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close} disabled={loading}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={deleteAccount}
+            disabled={loading || !password}
+            startIcon={loading ? <CircularProgress size={20} /> : null}
+          >
+            Delete my account
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default DeleteAccount;
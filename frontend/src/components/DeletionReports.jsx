@@ -0,0 +1,91 @@
+import { useEffect, useState } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { format } from "date-fns";
+import useShowToast from "../hooks/useShowToast";
+
+const DeletionReports = () => {
+  const [reports, setReports] = useState(null);
+  const showToast = useShowToast();
+
+  useEffect(() => {
+    const fetchReports = async () => {
+      try {
+        const res = await fetch("/api/admin/deletion-reports", { credentials: "include" });
+        const data = await res.json();
+        if (data.error) {
+          showToast("Error", data.error, "error");
+          setReports([]);
+          return;
+        }
+        setReports(data.reports);
+      } catch (error) {
+        showToast("Error", error.message, "error");
+        setReports([]);
+      }
+    };
+    fetchReports();
+  }, [showToast]);
+
+  return (
+    <Card sx={{ bgcolor: "background.paper", borderRadius: 2 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Account Deletions
+        </Typography>
+        {!reports ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : reports.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No accounts have been purged yet.
+          </Typography>
+        ) : (
+          <Box sx={{ overflowX: "auto" }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>User</TableCell>
+                  <TableCell>Purged</TableCell>
+                  <TableCell align="right">Posts</TableCell>
+                  <TableCell align="right">Comments</TableCell>
+                  <TableCell align="right">Messages</TableCell>
+                  <TableCell align="right">Media deleted</TableCell>
+                  <TableCell align="right">Media failed</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {reports.map((report) => (
+                  <TableRow key={report._id}>
+                    <TableCell>@{report.username}</TableCell>
+                    <TableCell>{format(new Date(report.purgedAt), "yyyy-MM-dd HH:mm")}</TableCell>
+                    <TableCell align="right">{report.counts.posts}</TableCell>
+                    <TableCell align="right">{report.counts.comments}</TableCell>
+                    <TableCell align="right">{report.counts.messages}</TableCell>
+                    <TableCell align="right">{report.media.deleted}</TableCell>
+                    <TableCell align="right" sx={{ color: report.media.failed.length ? "error.main" : undefined }}>
+                      {report.media.failed.length}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DeletionReports;
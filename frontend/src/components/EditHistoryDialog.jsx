@@ -0,0 +1,140 @@
+import { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import { format } from "date-fns";
+
+const thumbnailStyle = { width: 64, height: 64, objectFit: "cover", borderRadius: 8 };
+
+const renderMedia = (version) => {
+  const items = version.mediaItems?.length
+    ? version.mediaItems
+    : version.media
+    ? [{ url: version.media, type: version.mediaType }]
+    : [];
+  if (!items.length) return null;
+
+  return (
+    <Box display="flex" gap={1} flexWrap="wrap" mt={1}>
+      {items.map((item, index) =>
+        item.type === "image" ? (
+          <img key={`${item.url}-${index}`} src={item.url} alt={item.altText || "Post media"} style={thumbnailStyle} />
+        ) : item.type === "video" ? (
+          <video key={`${item.url}-${index}`} src={item.url} muted style={thumbnailStyle} />
+        ) : (
+          <Chip key={`${item.url}-${index}`} label={item.type || "Attachment"} size="small" variant="outlined" />
+        )
+      )}
+    </Box>
+  );
+};
+
+// Lists every earlier version of a post or comment, newest first. `url` is the revisions endpoint to read.
+const EditHistoryDialog = ({ open, onClose, url, title = "Edit history" }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(url, { credentials: "include" });
+        const data = await res.json();
+        if (cancelled) return;
+        if (data.error) {
+          message.error(data.error);
+          return;
+        }
+        setHistory(data);
+      } catch (error) {
+        if (!cancelled) message.error(error.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, url]);
+
+  const revisions = history?.revisions || [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent dividers>
+        {loading || !history ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <Stack spacing={2} divider={<Divider flexItem />}>
+            <Box>
+              <Typography variant="subtitle2">
+                Current version
+                {revisions[0] && (
+                  <Typography component="span" variant="caption" color="text.secondary">
+                    {" "}
+                    · edited {format(new Date(revisions[0].createdAt), "PPp")}
+                  </Typography>
+                )}
+              </Typography>
+              <Typography variant="body2" sx={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}>
+                {history.current.text}
+              </Typography>
+              {renderMedia(history.current)}
+            </Box>
+
+            {revisions.map((revision, index) => (
+              <Box key={revision._id}>
+                <Typography variant="subtitle2">
+                  {index === revisions.length - 1 ? "Original" : `Version ${revisions.length - index}`}
+                  <Typography component="span" variant="caption" color="text.secondary">
+                    {" "}
+                    · replaced {format(new Date(revision.createdAt), "PPp")}
+                    {revision.editedByModerator &&
+                      ` by ${revision.editedBy?.username ? `moderator ${revision.editedBy.username}` : "a moderator"}`}
+                  </Typography>
+                </Typography>
+                <Typography
+                  variant="body2"
+                  color="text.secondary"
+                  sx={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}
+                >
+                  {revision.text || <em>No text</em>}
+                </Typography>
+                {renderMedia(revision)}
+              </Box>
+            ))}
+
+            {!revisions.length && (
+              <Typography variant="body2" color="text.secondary">
+                No earlier versions were recorded.
+              </Typography>
+            )}
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditHistoryDialog;
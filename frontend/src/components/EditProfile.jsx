@@ -17,7 +17,6 @@ const EditProfile = () => {
   const setUser = useSetRecoilState(userAtom);
   const [formData, setFormData] = useState({
     name: user.name || "",
-    email: user.email || "",
     username: user.username || "",
     bio: user.bio || "",
   });
@@ -48,7 +47,6 @@ const EditProfile = () => {
 
     const data = new FormData();
     data.append("name", formData.name);
-    data.append("email", formData.email);
     data.append("username", formData.username);
     data.append("bio", formData.bio);
     if (profilePicFile) {
@@ -96,12 +94,11 @@ const EditProfile = () => {
         />
         <TextField
           label="Email"
-          name="email"
-          value={formData.email}
-          onChange={handleChange}
+          value={user.email || ""}
           fullWidth
           margin="normal"
-          disabled={loading}
+          disabled
+          helperText="Change your email from the Update Profile page"
         />
         <TextField
           label="Username"
@@ -0,0 +1,177 @@
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useSetRecoilState } from "recoil";
+import { Avatar, Box, Button, Card, CardContent, Chip, CircularProgress, TextField, Typography } from "@mui/material";
+import { Verified as VerifiedIcon } from "@mui/icons-material";
+import { message } from "antd";
+import userAtom from "../atoms/userAtom";
+
+const PAGE_SIZE = 20;
+const SEARCH_DELAY = 300;
+
+// Paginated, searchable followers or following list of `username`. `type` is "followers" or "following".
+// `canRemove` adds a "Remove" action to each card, for the owner's own followers list.
+const FollowList = ({ username, type, cardSx, canRemove }) => {
+  const navigate = useNavigate();
+  const setCurrentUser = useSetRecoilState(userAtom);
+  const [removing, setRemoving] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchPage = useCallback(
+    async (pageToLoad) => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({ page: pageToLoad, limit: PAGE_SIZE });
+        if (debouncedSearch) params.set("search", debouncedSearch);
+        const res = await fetch(`/api/users/${type}/${username}?${params}`, { credentials: "include" });
+        const data = await res.json();
+        if (data.error) {
+          message.error(data.error);
+          return;
+        }
+        setUsers((prev) => (pageToLoad === 1 ? data.users : [...prev, ...data.users]));
+        setPage(data.page);
+        setHasMore(data.hasMore);
+        setTotal(data.total);
+      } catch (error) {
+        message.error(error.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [type, username, debouncedSearch]
+  );
+
+  useEffect(() => {
+    fetchPage(1);
+  }, [fetchPage]);
+
+  const removeFollower = async (card) => {
+    if (!window.confirm(`Remove ${card.username} from your followers? They won't be notified.`)) return;
+
+    setRemoving(card._id);
+    try {
+      const res = await fetch(`/api/users/followers/${card._id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setUsers((prev) => prev.filter((u) => u._id !== card._id));
+      setTotal((prev) => prev - 1);
+      setCurrentUser((prev) => {
+        const updatedUser = { ...prev, followers: (prev.followers || []).filter((id) => id !== card._id) };
+        localStorage.setItem("user-NRBLOG", JSON.stringify(updatedUser));
+        return updatedUser;
+      });
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  const emptyText = debouncedSearch
+    ? "No matching users"
+    : type === "followers"
+      ? "No followers yet"
+      : "Not following anyone yet";
+
+  return (
+    <Box sx={{ width: "100%", maxWidth: 500, mx: "auto" }}>
+      <TextField
+        fullWidth
+        size="small"
+        placeholder={`Search ${type}`}
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        sx={{ mb: 2 }}
+      />
+
+      {!loading && users.length === 0 ? (
+        <Typography variant="body1" color="text.primary" textAlign="center" py={2}>
+          {emptyText}
+        </Typography>
+      ) : (
+        users.map((card) => (
+          <Card
+            key={card._id}
+            sx={{
+              bgcolor: "background.paper",
+              borderRadius: "12px",
+              border: "1px solid rgba(255, 255, 255, 0.2)",
+              mb: 1,
+              ...cardSx,
+            }}
+          >
+            <CardContent sx={{ display: "flex", alignItems: "center", p: { xs: 1.5, sm: 2 } }}>
+              <Avatar src={card.profilePic} sx={{ width: 40, height: 40, mr: 2 }} />
+              <Box sx={{ display: "flex", alignItems: "center", flex: 1, flexWrap: "wrap", gap: 1 }}>
+                <Typography
+                  variant="body2"
+                  sx={{ fontWeight: 500, color: "text.primary", cursor: "pointer" }}
+                  onClick={() => navigate(`/${card.username}`)}
+                >
+                  {card.username}
+                </Typography>
+                {card.isVerified && <VerifiedIcon color="primary" fontSize="small" />}
+                {card.isBanned && <Chip label="Banned" size="small" color="error" variant="outlined" />}
+              </Box>
+              <Box sx={{ display: "flex", gap: 0.5 }}>
+                {card.youFollow && card.followsYou ? (
+                  <Chip label="Mutual" size="small" color="primary" variant="outlined" />
+                ) : (
+                  <>
+                    {card.followsYou && <Chip label="Follows you" size="small" variant="outlined" />}
+                    {card.youFollow && <Chip label="Following" size="small" variant="outlined" />}
+                  </>
+                )}
+                {canRemove && (
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={() => removeFollower(card)}
+                    disabled={removing !== null}
+                    sx={{ textTransform: "none", minWidth: 0 }}
+                  >
+                    {removing === card._id ? <CircularProgress size={16} /> : "Remove"}
+                  </Button>
+                )}
+              </Box>
+            </CardContent>
+          </Card>
+        ))
+      )}
+
+      {loading && (
+        <Box display="flex" justifyContent="center" py={2}>
+          <CircularProgress size={24} sx={{ color: "primary.main" }} />
+        </Box>
+      )}
+      {!loading && hasMore && (
+        <Box textAlign="center" py={1}>
+          <Button onClick={() => fetchPage(page + 1)} sx={{ textTransform: "none" }}>
+            Show more ({total - users.length} remaining)
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default FollowList;
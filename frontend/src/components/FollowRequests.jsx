@@ -0,0 +1,151 @@
+import { useCallback, useEffect, useState } from "react";
+import { useSetRecoilState } from "recoil";
+import { Link as RouterLink } from "react-router-dom";
+import {
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import { formatDistanceToNow } from "date-fns";
+import userAtom from "../atoms/userAtom";
+import { useSocket } from "../context/SocketContext";
+
+const FollowRequests = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(null);
+  const setUser = useSetRecoilState(userAtom);
+  const socket = useSocket()?.socket;
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/follow-requests", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setRequests(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleReceived = (request) => {
+      setRequests((prev) => (prev.some((r) => r._id === request._id) ? prev : [request, ...prev]));
+    };
+    const handleCancelled = ({ _id }) => {
+      setRequests((prev) => prev.filter((r) => r._id !== _id));
+    };
+
+    socket.on("followRequestReceived", handleReceived);
+    socket.on("followRequestCancelled", handleCancelled);
+    return () => {
+      socket.off("followRequestReceived", handleReceived);
+      socket.off("followRequestCancelled", handleCancelled);
+    };
+  }, [socket]);
+
+  const respond = async (request, accept) => {
+    setResponding(request._id);
+    try {
+      const res = await fetch(
+        accept ? `/api/users/follow-requests/${request._id}/accept` : `/api/users/follow-requests/${request._id}`,
+        { method: accept ? "POST" : "DELETE", credentials: "include" }
+      );
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setRequests((prev) => prev.filter((r) => r._id !== request._id));
+      if (accept) {
+        setUser((prev) => {
+          const updatedUser = { ...prev, followers: [...(prev.followers || []), request.requester._id] };
+          localStorage.setItem("user-NRBLOG", JSON.stringify(updatedUser));
+          return updatedUser;
+        });
+      }
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setResponding(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Follow Requests
+        </Typography>
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : requests.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No pending follow requests.
+          </Typography>
+        ) : (
+          <List dense>
+            {requests.map((request) => (
+              <ListItem
+                key={request._id}
+                disableGutters
+                secondaryAction={
+                  <Box display="flex" gap={1}>
+                    <Button
+                      size="small"
+                      variant="contained"
+                      onClick={() => respond(request, true)}
+                      disabled={responding !== null}
+                    >
+                      {responding === request._id ? <CircularProgress size={16} /> : "Accept"}
+                    </Button>
+                    <Button size="small" color="error" onClick={() => respond(request, false)} disabled={responding !== null}>
+                      Decline
+                    </Button>
+                  </Box>
+                }
+              >
+                <ListItemAvatar>
+                  <Avatar src={request.requester.profilePic} alt={request.requester.username} />
+                </ListItemAvatar>
+                <ListItemText
+                  primary={
+                    <RouterLink to={`/${request.requester.username}`} style={{ color: "inherit" }}>
+                      {request.requester.username}
+                    </RouterLink>
+                  }
+                  secondary={formatDistanceToNow(new Date(request.createdAt), { addSuffix: true })}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FollowRequests;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import {
+  Button,
+  FormControl,
+  Link,
+  Stack,
+  TextField,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import { motion } from 'framer-motion';
+import { useSetRecoilState } from 'recoil';
+import authScreenAtom from '../atoms/authAtom';
+import useShowToast from '../hooks/useShowToast';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: 12,
+    background: 'rgba(255, 255, 255, 0.05)',
+    '& fieldset': { borderColor: 'rgba(255, 255, 255, 0.2)' },
+    '&:hover fieldset': { borderColor: '#a78bfa' },
+    '&.Mui-focused fieldset': { borderColor: '#a78bfa' },
+  },
+  '& .MuiInputLabel-root': { color: 'rgba(255, 255, 255, 0.7)' },
+  '& .MuiInputLabel-root.Mui-focused': { color: '#a78bfa' },
+  '& .MuiInputBase-input': { color: '#fff' },
+};
+
+export default function ForgotPasswordCard() {
+  const setAuthScreen = useSetRecoilState(authScreenAtom);
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const showToast = useShowToast();
+
+  const handleSubmit = async () => {
+    if (!email.trim()) {
+      showToast('Error', 'Please enter your email', 'error');
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await fetch('/api/users/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: email.trim() }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        showToast('Error', data.error, 'error');
+        return;
+      }
+      setSent(true);
+      showToast('Success', data.message, 'success');
+    } catch (error) {
+      showToast('Error', error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Stack spacing={3}>
+        <Typography variant="body2" color="rgba(255, 255, 255, 0.7)">
+          {sent
+            ? 'Check your inbox for a link to reset your password. The link expires in 1 hour.'
+            : "Enter the email on your account and we'll send you a link to reset your password."}
+        </Typography>
+        {!sent && (
+          <>
+            <FormControl fullWidth required>
+              <TextField
+                label="Email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@example.com"
+                variant="outlined"
+                sx={fieldSx}
+              />
+            </FormControl>
+            <Button
+              variant="contained"
+              size="large"
+              onClick={handleSubmit}
+              disabled={loading}
+              fullWidth
+              sx={{
+                py: 1.5,
+                borderRadius: 12,
+                textTransform: 'none',
+                fontWeight: 'bold',
+                fontSize: '1rem',
+                bgcolor: '#a78bfa',
+                '&:hover': { bgcolor: '#8b5cf6' },
+              }}
+            >
+              {loading ? <CircularProgress size={24} sx={{ color: '#fff' }} /> : 'Send Reset Link'}
+            </Button>
+          </>
+        )}
+        <Typography variant="body2" color="rgba(255, 255, 255, 0.7)" textAlign="center">
+          Remembered it?{' '}
+          <Link
+            href="#"
+            color="#a78bfa"
+            onClick={() => setAuthScreen('login')}
+            sx={{ textDecoration: 'none', '&:hover': { textDecoration: 'underline' } }}
+          >
+            Back to Log In
+          </Link>
+        </Typography>
+      </Stack>
+    </motion.div>
+  );
+}
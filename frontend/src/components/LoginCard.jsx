@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import {
   Box,
   Button,
@@ -10,6 +10,7 @@ import {
   TextField,
   Typography,
   CircularProgress,
+  Divider,
 } from '@mui/material';
 import { Visibility, VisibilityOff } from '@mui/icons-material';
 import { motion } from 'framer-motion';
@@ -17,7 +18,7 @@ import { useSetRecoilState } from 'recoil';
 import authScreenAtom from '../atoms/authAtom';
 import useShowToast from '../hooks/useShowToast';
 import userAtom from '../atoms/userAtom';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 
 export default function LoginCard({ isAdmin = false }) {
   const [showPassword, setShowPassword] = useState(false);
@@ -28,10 +29,73 @@ export default function LoginCard({ isAdmin = false }) {
   const navigate = useNavigate();
 
   const [inputs, setInputs] = useState({
-    username: isAdmin ? 'adminblog' : '',
-    password: isAdmin ? 'Admin123' : '',
+    username: '',
+    password: '',
   });
 
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const oidcHandled = useRef(false);
+
+  const finishLogin = useCallback((data) => {
+    localStorage.setItem('user-NRBLOG', JSON.stringify(data));
+    setUser(data);
+    showToast('Success', `Logged in as ${isAdmin ? 'admin' : 'user'} successfully`, 'success');
+    if (data.deletionCancelled) {
+      showToast('Info', 'Your scheduled account deletion has been cancelled', 'info');
+    }
+    navigate(isAdmin ? '/admin-dashboard' : '/dashboard');
+  }, [isAdmin, navigate, setUser, showToast]);
+
+  const handleLoginResponse = useCallback((data) => {
+    if (data.error) {
+      showToast('Error', data.error, 'error');
+      return;
+    }
+
+    if (data.twoFactorRequired) {
+      setTwoFactorToken(data.twoFactorToken);
+      return;
+    }
+
+    finishLogin(data);
+  }, [finishLogin, showToast]);
+
+  useEffect(() => {
+    if (isAdmin) return;
+    fetch('/api/users/oidc/providers')
+      .then((res) => res.json())
+      .then((data) => Array.isArray(data) && setProviders(data))
+      .catch(() => setProviders([]));
+  }, [isAdmin]);
+
+  // The OIDC callback redirects back here with a one-time login token (or an error) in the query string.
+  useEffect(() => {
+    const oidcLogin = searchParams.get('oidcLogin');
+    const oidcError = searchParams.get('oidcError');
+    if ((!oidcLogin && !oidcError) || oidcHandled.current) return;
+    oidcHandled.current = true;
+    setSearchParams({}, { replace: true });
+
+    if (oidcError) {
+      showToast('Error', oidcError, 'error');
+      return;
+    }
+
+    setLoading(true);
+    fetch('/api/users/oidc/complete', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: oidcLogin }),
+    })
+      .then((res) => res.json())
+      .then(handleLoginResponse)
+      .catch((error) => showToast('Error', error.message, 'error'))
+      .finally(() => setLoading(false));
+  }, [searchParams, setSearchParams, showToast, handleLoginResponse]);
+
   const handleLogin = async () => {
     setLoading(true);
     try {
@@ -42,16 +106,34 @@ export default function LoginCard({ isAdmin = false }) {
         body: JSON.stringify(inputs),
       });
 
+      handleLoginResponse(await res.json());
+    } catch (error) {
+      showToast('Error', error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactor = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/users/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ twoFactorToken, code: twoFactorCode }),
+      });
+
       const data = await res.json();
       if (data.error) {
         showToast('Error', data.error, 'error');
+        if (res.status === 401) {
+          setTwoFactorToken(null);
+          setTwoFactorCode('');
+        }
         return;
       }
 
-      localStorage.setItem('user-NRBLOG', JSON.stringify(data));
-      setUser(data);
-      showToast('Success', `Logged in as ${isAdmin ? 'admin' : 'user'} successfully`, 'success');
-      navigate(isAdmin ? '/admin-dashboard' : '/dashboard');
+      finishLogin(data);
     } catch (error) {
       showToast('Error', error.message, 'error');
     } finally {
@@ -59,6 +141,77 @@ export default function LoginCard({ isAdmin = false }) {
     }
   };
 
+  if (twoFactorToken) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <Stack spacing={3}>
+          <Typography variant="body2" color="rgba(255, 255, 255, 0.7)">
+            Enter the 6-digit code from your authenticator app, or one of your backup codes.
+          </Typography>
+          <FormControl fullWidth required>
+            <TextField
+              label="Verification code"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleTwoFactor()}
+              autoFocus
+              autoComplete="one-time-code"
+              placeholder="123456"
+              variant="outlined"
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: 12,
+                  background: 'rgba(255, 255, 255, 0.05)',
+                  '& fieldset': { borderColor: 'rgba(255, 255, 255, 0.2)' },
+                  '&:hover fieldset': { borderColor: '#a78bfa' },
+                  '&.Mui-focused fieldset': { borderColor: '#a78bfa' },
+                },
+                '& .MuiInputLabel-root': { color: 'rgba(255, 255, 255, 0.7)' },
+                '& .MuiInputLabel-root.Mui-focused': { color: '#a78bfa' },
+                '& .MuiInputBase-input': { color: '#fff' },
+              }}
+            />
+          </FormControl>
+          <Button
+            variant="contained"
+            size="large"
+            onClick={handleTwoFactor}
+            disabled={loading || !twoFactorCode.trim()}
+            fullWidth
+            sx={{
+              py: 1.5,
+              borderRadius: 12,
+              textTransform: 'none',
+              fontWeight: 'bold',
+              fontSize: '1rem',
+              bgcolor: '#a78bfa',
+              '&:hover': { bgcolor: '#8b5cf6' },
+            }}
+          >
+            {loading ? <CircularProgress size={24} sx={{ color: '#fff' }} /> : 'Verify'}
+          </Button>
+          <Typography variant="body2" textAlign="center">
+            <Link
+              href="#"
+              color="#a78bfa"
+              onClick={() => {
+                setTwoFactorToken(null);
+                setTwoFactorCode('');
+              }}
+              sx={{ textDecoration: 'none', '&:hover': { textDecoration: 'underline' } }}
+            >
+              Back to Log In
+            </Link>
+          </Typography>
+        </Stack>
+      </motion.div>
+    );
+  }
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -71,8 +224,7 @@ export default function LoginCard({ isAdmin = false }) {
             label="Username"
             type="text"
             value={inputs.username}
-            onChange={(e) => !isAdmin && setInputs((prev) => ({ ...prev, username: e.target.value }))}
-            disabled={isAdmin}
+            onChange={(e) => setInputs((prev) => ({ ...prev, username: e.target.value }))}
             placeholder="testuser1"
             variant="outlined"
             sx={{
@@ -94,8 +246,7 @@ export default function LoginCard({ isAdmin = false }) {
             label="Password"
             type={showPassword ? 'text' : 'password'}
             value={inputs.password}
-            onChange={(e) => !isAdmin && setInputs((prev) => ({ ...prev, password: e.target.value }))}
-            disabled={isAdmin}
+            onChange={(e) => setInputs((prev) => ({ ...prev, password: e.target.value }))}
             placeholder="Enter your password"
             variant="outlined"
             sx={{
@@ -147,6 +298,46 @@ export default function LoginCard({ isAdmin = false }) {
         >
           {loading ? <CircularProgress size={24} sx={{ color: '#fff' }} /> : 'Log In'}
         </Button>
+        {providers.length > 0 && (
+          <>
+            <Divider sx={{ color: 'rgba(255, 255, 255, 0.5)', '&::before, &::after': { borderColor: 'rgba(255, 255, 255, 0.2)' } }}>
+              or
+            </Divider>
+            {providers.map((provider) => (
+              <Button
+                key={provider.id}
+                variant="outlined"
+                size="large"
+                href={`/api/users/oidc/${provider.id}`}
+                disabled={loading}
+                fullWidth
+                sx={{
+                  py: 1.5,
+                  borderRadius: 12,
+                  textTransform: 'none',
+                  fontWeight: 'bold',
+                  color: '#a78bfa',
+                  borderColor: '#a78bfa',
+                  '&:hover': { borderColor: '#8b5cf6', bgcolor: 'rgba(167, 139, 250, 0.1)' },
+                }}
+              >
+                Continue with {provider.label}
+              </Button>
+            ))}
+          </>
+        )}
+        {!isAdmin && (
+          <Typography variant="body2" textAlign="center">
+            <Link
+              href="#"
+              color="#a78bfa"
+              onClick={() => setAuthScreen('forgot')}
+              sx={{ textDecoration: 'none', '&:hover': { textDecoration: 'underline' } }}
+            >
+              Forgot password?
+            </Link>
+          </Typography>
+        )}
         <Typography variant="body2" color="rgba(255, 255, 255, 0.7)" textAlign="center">
           Not a user?{' '}
           <Link
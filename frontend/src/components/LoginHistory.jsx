@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import { format } from "date-fns";
+
+const METHOD_LABELS = {
+  password: "Password",
+  "2fa": "Two-factor",
+  oidc: "External provider",
+  admin: "Admin login",
+};
+
+const FAILURE_LABELS = {
+  invalid_password: "Wrong password",
+  invalid_2fa: "Wrong verification code",
+};
+
+const LoginHistory = () => {
+  const [events, setEvents] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const res = await fetch("/api/users/login-history", { credentials: "include" });
+        const data = await res.json();
+        if (data.error) {
+          message.error(data.error);
+          setEvents([]);
+          return;
+        }
+        setEvents(data);
+      } catch (error) {
+        message.error(error.message);
+        setEvents([]);
+      }
+    };
+    fetchHistory();
+  }, []);
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Login History
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Recent sign-ins and failed attempts on your account from the last 90 days.
+        </Typography>
+
+        {!events ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : events.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" mt={2}>
+            No sign-ins recorded yet.
+          </Typography>
+        ) : (
+          <List dense sx={{ maxHeight: 360, overflowY: "auto" }}>
+            {events.map((event) => (
+              <ListItem key={event._id} divider>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                      <span>{event.device}</span>
+                      <Chip
+                        size="small"
+                        label={event.success ? "Signed in" : FAILURE_LABELS[event.reason] || "Failed"}
+                        color={event.success ? "success" : "error"}
+                        variant="outlined"
+                      />
+                      {event.newDevice && <Chip size="small" label="New device" color="warning" />}
+                    </Box>
+                  }
+                  secondary={`${format(new Date(event.createdAt), "MMM d, yyyy HH:mm")} · ${
+                    event.ip || "Unknown IP"
+                  } · ${METHOD_LABELS[event.method] || event.method}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LoginHistory;
@@ -0,0 +1,146 @@
+import { useEffect, useRef, useState } from "react";
+import { Box, IconButton, Typography } from "@mui/material";
+import { ChevronLeft, ChevronRight } from "@mui/icons-material";
+
+const SWIPE_THRESHOLD = 50;
+
+const arrowSx = {
+  position: "absolute",
+  top: "50%",
+  transform: "translateY(-50%)",
+  bgcolor: "rgba(0, 0, 0, 0.5)",
+  color: "white",
+  "&:hover": { bgcolor: "rgba(0, 0, 0, 0.7)" },
+};
+
+// Swipeable slideshow for a post's photos and videos. A single item renders without any controls.
+const MediaCarousel = ({ items }) => {
+  const [index, setIndex] = useState(0);
+  const containerRef = useRef(null);
+  const touchStartX = useRef(null);
+  const count = items.length;
+
+  useEffect(() => {
+    if (index >= count) setIndex(Math.max(count - 1, 0));
+  }, [count, index]);
+
+  // A video that scrolls out of view shouldn't keep playing.
+  useEffect(() => {
+    containerRef.current?.querySelectorAll("video").forEach((video) => {
+      if (video.dataset.slide !== String(index) && !video.paused) video.pause();
+    });
+  }, [index]);
+
+  const goTo = (next) => setIndex(Math.min(Math.max(next, 0), count - 1));
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return;
+    const delta = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (delta <= -SWIPE_THRESHOLD) goTo(index + 1);
+    else if (delta >= SWIPE_THRESHOLD) goTo(index - 1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowLeft") goTo(index - 1);
+    else if (e.key === "ArrowRight") goTo(index + 1);
+  };
+
+  return (
+    <Box
+      ref={containerRef}
+      tabIndex={count > 1 ? 0 : undefined}
+      onKeyDown={count > 1 ? handleKeyDown : undefined}
+      onTouchStart={count > 1 ? handleTouchStart : undefined}
+      onTouchEnd={count > 1 ? handleTouchEnd : undefined}
+      sx={{ position: "relative", width: "100%", height: "100%", overflow: "hidden", outline: "none" }}
+    >
+      <Box
+        sx={{
+          display: "flex",
+          height: "100%",
+          transform: `translateX(-${index * 100}%)`,
+          transition: "transform 0.3s ease",
+        }}
+      >
+        {items.map((item, slide) => (
+          <Box key={`${item.url}-${slide}`} sx={{ flex: "0 0 100%", height: "100%" }}>
+            {item.type === "video" ? (
+              <video
+                src={item.url}
+                poster={item.previewUrl || undefined}
+                controls
+                data-slide={slide}
+                aria-label={item.altText || undefined}
+                style={{ width: "100%", height: "100%", objectFit: "cover" }}
+              />
+            ) : (
+              <img
+                src={item.url}
+                alt={item.altText || "Post"}
+                title={item.altText || undefined}
+                draggable={false}
+                style={{ width: "100%", height: "100%", objectFit: "cover" }}
+              />
+            )}
+          </Box>
+        ))}
+      </Box>
+
+      {count > 1 && (
+        <>
+          {index > 0 && (
+            <IconButton size="small" aria-label="Previous" onClick={() => goTo(index - 1)} sx={{ ...arrowSx, left: 8 }}>
+              <ChevronLeft />
+            </IconButton>
+          )}
+          {index < count - 1 && (
+            <IconButton size="small" aria-label="Next" onClick={() => goTo(index + 1)} sx={{ ...arrowSx, right: 8 }}>
+              <ChevronRight />
+            </IconButton>
+          )}
+          <Typography
+            sx={{
+              position: "absolute",
+              top: 8,
+              right: 8,
+              bgcolor: "rgba(0, 0, 0, 0.6)",
+              color: "white",
+              p: "2px 8px",
+              borderRadius: 2,
+              fontSize: { xs: "0.65rem", sm: "0.75rem" },
+            }}
+          >
+            {index + 1}/{count}
+          </Typography>
+          <Box sx={{ position: "absolute", bottom: 8, left: 0, right: 0, display: "flex", justifyContent: "center", gap: 0.75 }}>
+            {items.map((item, slide) => (
+              <Box
+                key={`${item.url}-dot-${slide}`}
+                component="button"
+                type="button"
+                aria-label={`Show item ${slide + 1}`}
+                onClick={() => goTo(slide)}
+                sx={{
+                  width: 8,
+                  height: 8,
+                  p: 0,
+                  border: "none",
+                  borderRadius: "50%",
+                  cursor: "pointer",
+                  bgcolor: slide === index ? "white" : "rgba(255, 255, 255, 0.5)",
+                }}
+              />
+            ))}
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default MediaCarousel;
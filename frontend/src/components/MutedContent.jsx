@@ -0,0 +1,208 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+import { format } from "date-fns";
+
+const EXPIRY_OPTIONS = [
+  { value: "1", label: "24 hours" },
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+  { value: "", label: "Forever" },
+];
+
+const describeExpiry = (mute) => (mute.expiresAt ? `Until ${format(new Date(mute.expiresAt), "PPp")}` : "Until you unmute");
+
+const MutedContent = () => {
+  const [mutes, setMutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [keyword, setKeyword] = useState("");
+  const [expiresInDays, setExpiresInDays] = useState("");
+  const [adding, setAdding] = useState(false);
+  const [removing, setRemoving] = useState(null);
+
+  const fetchMutes = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/mutes", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setMutes(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMutes();
+  }, [fetchMutes]);
+
+  const addKeyword = async () => {
+    setAdding(true);
+    try {
+      const res = await fetch("/api/users/mutes/keywords", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ keyword, expiresInDays: expiresInDays || null }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setMutes((prev) => [data, ...prev.filter((m) => m._id !== data._id)]);
+      setKeyword("");
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const removeMute = async (mute) => {
+    setRemoving(mute._id);
+    try {
+      const res = await fetch(`/api/users/mutes/${mute._id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setMutes((prev) => prev.filter((m) => m._id !== mute._id));
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  const mutedUsers = mutes.filter((mute) => mute.mutedUser);
+  const mutedKeywords = mutes.filter((mute) => mute.keyword);
+
+  const renderMute = (mute, primary, avatar) => (
+    <ListItem
+      key={mute._id}
+      disableGutters
+      secondaryAction={
+        <Button size="small" onClick={() => removeMute(mute)} disabled={removing !== null}>
+          {removing === mute._id ? <CircularProgress size={16} /> : "Unmute"}
+        </Button>
+      }
+    >
+      {avatar}
+      <ListItemText primary={primary} secondary={describeExpiry(mute)} />
+    </ListItem>
+  );
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Muted Accounts and Words
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Muted accounts and posts containing muted words or hashtags are hidden from your feed, suggestions, stories
+          and notifications. Nobody is told that you muted them. Mute an account from its profile.
+        </Typography>
+
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2} mt={2}>
+          <TextField
+            label="Word, phrase or #hashtag"
+            size="small"
+            value={keyword}
+            onChange={(e) => setKeyword(e.target.value)}
+            inputProps={{ maxLength: 50 }}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            select
+            label="Mute for"
+            size="small"
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+            sx={{ minWidth: 140 }}
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <MenuItem key={option.label} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="contained"
+            onClick={addKeyword}
+            disabled={adding || !keyword.trim()}
+            startIcon={adding ? <CircularProgress size={20} /> : null}
+          >
+            Mute
+          </Button>
+        </Stack>
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <>
+            <Typography variant="subtitle2" mt={3}>
+              Words
+            </Typography>
+            {mutedKeywords.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No muted words.
+              </Typography>
+            ) : (
+              <List dense>{mutedKeywords.map((mute) => renderMute(mute, mute.keyword))}</List>
+            )}
+
+            <Typography variant="subtitle2" mt={2}>
+              Accounts
+            </Typography>
+            {mutedUsers.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No muted accounts.
+              </Typography>
+            ) : (
+              <List dense>
+                {mutedUsers.map((mute) =>
+                  renderMute(
+                    mute,
+                    mute.mutedUser.username,
+                    <ListItemAvatar>
+                      <Avatar src={mute.mutedUser.profilePic} alt={mute.mutedUser.username} />
+                    </ListItemAvatar>
+                  )
+                )}
+              </List>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MutedContent;
@@ -70,8 +70,32 @@ const Notification = () => {
       }
     );
 
+    const handleFollowRequest = ({ _id, requester, muted }) => {
+      if (muted) return;
+      api.open({
+        key: `follow-request-${_id}`,
+        message: <Typography variant="subtitle1">{requester.username}</Typography>,
+        description: <Typography variant="body2">Requested to follow you</Typography>,
+        duration: 5,
+        placement: "topRight",
+        onClick: () => {
+          navigate("/settings");
+          api.destroy(`follow-request-${_id}`);
+        },
+        style: {
+          background: "rgba(255, 255, 255, 0.05)",
+          backdropFilter: "blur(10px)",
+          border: "1px solid #34495e",
+          borderRadius: "8px",
+          color: "#ffffff",
+        },
+      });
+    };
+    socket.on("followRequestReceived", handleFollowRequest);
+
     return () => {
       socket.off("newMessageNotification");
+      socket.off("followRequestReceived", handleFollowRequest);
     };
   }, [socket, currentUser, selectedConversation, navigate, api]);
 
@@ -2,6 +2,7 @@ import React, { useEffect, useState, useCallback, useContext } from "react";
 import {
   Avatar,
   Box,
+  Chip,
   IconButton,
   Typography,
   Menu,
@@ -20,6 +21,7 @@ import {
   Download,
   Verified as VerifiedIcon,
   Close as CloseIcon,
+  Repeat as RepeatIcon,
 } from "@mui/icons-material";
 import { formatDistanceToNow } from "date-fns";
 import useShowToast from "../hooks/useShowToast";
@@ -37,9 +39,20 @@ import {
   BsFileTextFill,
 } from "react-icons/bs";
 import CommentItem from "./CommentItem";
+import MediaCarousel from "./MediaCarousel";
+import EditHistoryDialog from "./EditHistoryDialog";
+import QuotedPost from "./QuotedPost";
 import { SocketContext } from "../context/SocketContext";
+import { getTopLevelComments, isPlainRepost, mapPost, removePost } from "../utils/posts";
+import { hasPermission } from "../utils/permissions";
 
-const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
+// Posts from before carousels only have the single media field.
+const getMediaItems = (post) => {
+  if (post.mediaItems?.length) return post.mediaItems;
+  return post.media ? [{ url: post.media, type: post.mediaType, altText: "" }] : [];
+};
+
+const PostCard = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
   const [user, setUser] = useState(null);
   const [allPostsUsers, setAllPostsUsers] = useState({});
   const [isLoading, setIsLoading] = useState(false);
@@ -48,6 +61,7 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
   const [commentPage, setCommentPage] = useState(1);
   const [totalComments, setTotalComments] = useState(0);
   const [showComments, setShowComments] = useState(false);
+  const [historyPostId, setHistoryPostId] = useState(null);
   const showToast = useShowToast();
   const currentUser = useRecoilValue(userAtom);
   const [posts, setPosts] = useRecoilState(postsAtom);
@@ -74,15 +88,11 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
       }));
       setPosts((prev) => ({
         ...prev,
-        posts: prev.posts.map((p) =>
-          p._id === post._id
-            ? {
-                ...p,
-                comments: page === 1 ? validatedComments : [...(p.comments || []), ...validatedComments],
-                commentCount: data.totalComments,
-              }
-            : p
-        ),
+        posts: mapPost(prev.posts, post._id, (p) => ({
+          ...p,
+          comments: page === 1 ? validatedComments : [...(p.comments || []), ...validatedComments],
+          commentCount: data.totalComments,
+        })),
       }));
       setTotalComments(data.totalComments || 0);
     } catch (error) {
@@ -109,20 +119,32 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
         if (postId === post._id && updatedPost) {
           setPosts((prev) => ({
             ...prev,
-            posts: prev.posts.map((p) =>
-              p._id === postId ? { ...p, comments: updatedPost.comments, commentCount: updatedPost.comments.length } : p
-            ),
+            posts: mapPost(prev.posts, postId, (p) => ({
+              ...p,
+              comments: updatedPost.comments,
+              commentCount: updatedPost.comments.length,
+            })),
+          }));
+          setTotalComments(getTopLevelComments(updatedPost.comments).length);
+        }
+      },
+      newReply: ({ postId, post: updatedPost }) => {
+        if (postId === post._id && updatedPost) {
+          setPosts((prev) => ({
+            ...prev,
+            posts: mapPost(prev.posts, postId, (p) => ({
+              ...p,
+              comments: updatedPost.comments,
+              commentCount: updatedPost.comments.length,
+            })),
           }));
-          setTotalComments(updatedPost.comments.length);
         }
       },
       likeUnlikeComment: ({ postId, commentId, userId, likes, comment: updatedComment, post: updatedPost }) => {
         if (postId === post._id && updatedPost) {
           setPosts((prev) => ({
             ...prev,
-            posts: prev.posts.map((p) =>
-              p._id === postId ? { ...p, comments: updatedPost.comments } : p
-            ),
+            posts: mapPost(prev.posts, postId, (p) => ({ ...p, comments: updatedPost.comments })),
           }));
         }
       },
@@ -130,9 +152,7 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
         if (postId === post._id && updatedPost) {
           setPosts((prev) => ({
             ...prev,
-            posts: prev.posts.map((p) =>
-              p._id === postId ? { ...p, comments: updatedPost.comments } : p
-            ),
+            posts: mapPost(prev.posts, postId, (p) => ({ ...p, comments: updatedPost.comments })),
           }));
         }
       },
@@ -140,18 +160,20 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
         if (postId === post._id && updatedPost) {
           setPosts((prev) => ({
             ...prev,
-            posts: prev.posts.map((p) =>
-              p._id === postId ? { ...p, comments: updatedPost.comments, commentCount: updatedPost.comments.length } : p
-            ),
+            posts: mapPost(prev.posts, postId, (p) => ({
+              ...p,
+              comments: updatedPost.comments,
+              commentCount: updatedPost.comments.length,
+            })),
           }));
-          setTotalComments(updatedPost.comments.length);
+          setTotalComments(getTopLevelComments(updatedPost.comments).length);
         }
       },
       postDeleted: ({ postId }) => {
         if (postId === post._id) {
           setPosts((prev) => ({
             ...prev,
-            posts: prev.posts.filter((p) => p._id !== postId),
+            posts: removePost(prev.posts, postId),
           }));
         }
       },
@@ -168,7 +190,7 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
   const fetchUserData = useCallback(async () => {
     try {
       setIsLoading(true);
-      if (isAdminView && currentUser?.isAdmin) {
+      if (isAdminView && hasPermission(currentUser, "admin:access")) {
         const res = await fetch("/api/users/all", {
           headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
         });
@@ -217,7 +239,7 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [postedBy, showToast, isAdminView, currentUser?.isAdmin]);
+  }, [postedBy, showToast, isAdminView, currentUser]);
 
   useEffect(() => {
     fetchUserData();
@@ -238,9 +260,9 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
       showToast("Success", "Post deleted", "success");
       setPosts((prev) => ({
         ...prev,
-        posts: (prev.posts || []).filter((p) => p._id !== post._id),
-        bookmarks: (prev.bookmarks || []).filter((p) => p._id !== post._id),
-        suggestedPosts: (prev.suggestedPosts || []).filter((p) => p._id !== post._id),
+        posts: removePost(prev.posts, post._id),
+        bookmarks: removePost(prev.bookmarks, post._id),
+        suggestedPosts: removePost(prev.suggestedPosts, post._id),
       }));
     } catch (error) {
       showToast("Error", error.message, "error");
@@ -374,6 +396,8 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
 
   const renderPost = (currentPost, postUser) => {
     if (!postUser) return null;
+    // Replies open from their comment, so only top-level comments are listed here.
+    const topLevelComments = getTopLevelComments(currentPost.comments);
 
     return (
       <Box
@@ -451,15 +475,33 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
                 sx={{ fontSize: { xs: "0.7rem", sm: "0.875rem" }, ml: 1 }}
               >
                 {formatDistanceToNow(new Date(currentPost.createdAt))} ago
-                {currentPost.isEdited && " (Edited)"}
+                {currentPost.isEdited && (
+                  <>
+                    {" "}
+                    <Box
+                      component="span"
+                      role="button"
+                      tabIndex={0}
+                      title="View edit history"
+                      onClick={() => setHistoryPostId(currentPost._id)}
+                      onKeyDown={(e) => e.key === "Enter" && setHistoryPostId(currentPost._id)}
+                      sx={{ cursor: "pointer", textDecoration: "underline dotted" }}
+                    >
+                      (Edited)
+                    </Box>
+                  </>
+                )}
               </Typography>
+              {currentPost.audience === "closeFriends" && (
+                <Chip label="Close friends" size="small" color="success" sx={{ ml: 1, height: 20, fontSize: "0.7rem" }} />
+              )}
             </Box>
           </Box>
           <IconButton onClick={handleMoreClick} size="small">
             <MoreVert sx={{ color: "text.primary", fontSize: { xs: 20, sm: 24 } }} />
           </IconButton>
           <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={handleMoreClose}>
-            {(currentUser?._id === postUser._id || currentUser?.isAdmin) && [
+            {(currentUser?._id === postUser._id || hasPermission(currentUser, "posts:moderate")) && [
               <MenuItem key="edit" onClick={handleEditPost}>
                 <Edit sx={{ mr: 1 }} /> Edit
               </MenuItem>,
@@ -470,7 +512,7 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
             <MenuItem onClick={handleDownloadPost}>
               <Download sx={{ mr: 1 }} /> Download
             </MenuItem>
-            {currentUser?.isAdmin && (
+            {hasPermission(currentUser, "posts:moderate") && (
               <MenuItem
                 key="ban-unban"
                 onClick={() => {
@@ -501,6 +543,10 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
             {currentPost.text}
           </Typography>
 
+          {(currentPost.repostOf || currentPost.repostUnavailable) && (
+            <QuotedPost post={currentPost.repostOf} />
+          )}
+
           {currentPost.media && (
             <Box
               sx={{
@@ -518,13 +564,9 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
                 overflow: "hidden",
               }}
             >
-              {currentPost.mediaType === "image" && (
+              {(currentPost.mediaType === "image" || currentPost.mediaType === "video") && (
                 <>
-                  <img
-                    src={currentPost.media}
-                    alt="Post"
-                    style={{ width: "100%", height: "100%", objectFit: "cover" }}
-                  />
+                  <MediaCarousel items={getMediaItems(currentPost)} />
                   {currentPost.isEdited && (
                     <Typography
                       sx={{
@@ -543,13 +585,6 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
                   )}
                 </>
               )}
-              {currentPost.mediaType === "video" && (
-                <video
-                  src={currentPost.media}
-                  controls
-                  style={{ width: "100%", height: "100%", objectFit: "cover" }}
-                />
-              )}
               {currentPost.mediaType === "audio" && (
                 <Box sx={{ width: "100%", px: { xs: 1, sm: 2 }, py: 1, display: "flex", justifyContent: "center" }}>
                   <audio
@@ -663,9 +698,9 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
                   </Box>
                 )}
 
-                {(currentPost.comments || []).length > 0 ? (
+                {topLevelComments.length > 0 ? (
                   <>
-                    {currentPost.comments.map((comment) => (
+                    {topLevelComments.map((comment) => (
                       <CommentItem
                         key={comment._id}
                         comment={comment}
@@ -678,12 +713,12 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
                         onLike={handleLikeComment}
                       />
                     ))}
-                    {totalComments > currentPost.comments.length && (
+                    {totalComments > topLevelComments.length && (
                       <Button
                         onClick={handleLoadMoreComments}
                         sx={{ mt: 1, color: "secondary.main", textTransform: "none" }}
                       >
-                        Load more comments ({totalComments - currentPost.comments.length} remaining)
+                        Load more comments ({totalComments - topLevelComments.length} remaining)
                       </Button>
                     )}
                   </>
@@ -716,7 +751,7 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
             <Skeleton variant="text" width="50%" />
           </Box>
         </Box>
-      ) : isAdminView && currentUser?.isAdmin ? (
+      ) : isAdminView && hasPermission(currentUser, "admin:access") ? (
         <Box sx={{ display: "flex", flexDirection: "column", alignItems: "center", px: { xs: 1, sm: 2 }, py: 2 }}>
           {posts.posts.length > 0 ? (
             posts.posts.map((adminPost) => {
@@ -735,8 +770,50 @@ const Post = ({ post, postedBy, isAdminView = false, onBanUnbanPost }) => {
       ) : user ? (
         renderPost(post, user)
       ) : null}
+      <EditHistoryDialog
+        open={Boolean(historyPostId)}
+        onClose={() => setHistoryPostId(null)}
+        url={`/api/posts/${historyPostId}/revisions`}
+      />
     </motion.div>
   );
 };
 
+// A plain repost has nothing of its own to show, so the original is rendered under a line naming who reposted it.
+const Post = ({ post, ...props }) => {
+  const navigate = useNavigate();
+  const currentUser = useRecoilValue(userAtom);
+
+  if (!isPlainRepost(post)) return <PostCard post={post} {...props} />;
+
+  const reposter = post.postedBy || {};
+  return (
+    <Box>
+      <Box
+        display="flex"
+        alignItems="center"
+        gap={0.5}
+        sx={{
+          width: { xs: "100%", sm: "90%", md: "600px" },
+          maxWidth: "600px",
+          mx: { xs: 0, sm: "auto" },
+          px: { xs: 1, sm: 2, md: 2.5 },
+          color: "text.secondary",
+        }}
+      >
+        <RepeatIcon sx={{ fontSize: 16 }} />
+        <Typography
+          variant="caption"
+          fontWeight="bold"
+          sx={{ cursor: reposter.username ? "pointer" : "default" }}
+          onClick={() => reposter.username && navigate(`/${reposter.username}`)}
+        >
+          {reposter._id === currentUser?._id ? "You reposted" : `${reposter.username || "Someone"} reposted`}
+        </Typography>
+      </Box>
+      <PostCard post={post.repostOf} postedBy={post.repostOf.postedBy} {...props} />
+    </Box>
+  );
+};
+
 export default Post;
\ No newline at end of file
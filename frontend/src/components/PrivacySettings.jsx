@@ -0,0 +1,61 @@
+import { useState } from "react";
+import { useRecoilState } from "recoil";
+import { Card, CardContent, FormControlLabel, Switch, Typography } from "@mui/material";
+import { message } from "antd";
+import userAtom from "../atoms/userAtom";
+
+const PrivacySettings = () => {
+  const [user, setUser] = useRecoilState(userAtom);
+  const [saving, setSaving] = useState(false);
+
+  const togglePrivate = async (e) => {
+    const isPrivate = e.target.checked;
+    setSaving(true);
+    try {
+      const res = await fetch("/api/users/privacy", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ isPrivate }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+
+      const updatedUser = { ...user, isPrivate: data.isPrivate };
+      setUser(updatedUser);
+      localStorage.setItem("user-NRBLOG", JSON.stringify(updatedUser));
+      message.success(
+        data.isPrivate
+          ? "Your account is now private"
+          : `Your account is now public${data.accepted ? ` and ${data.accepted} pending request(s) were accepted` : ""}`
+      );
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Account Privacy
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          When your account is private, people have to send a follow request and only followers you approve can see
+          your posts, stories and bookmarks. Your profile stays visible.
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={Boolean(user?.isPrivate)} onChange={togglePrivate} disabled={saving} />}
+          label="Private account"
+        />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PrivacySettings;
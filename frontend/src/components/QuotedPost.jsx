@@ -0,0 +1,92 @@
+import { Avatar, Box, Typography } from "@mui/material";
+import { useNavigate } from "react-router-dom";
+import { formatDistanceToNow } from "date-fns";
+
+const frameSx = {
+  width: "100%",
+  mt: 2,
+  p: { xs: 1, sm: 1.5 },
+  border: "1px solid rgba(255, 255, 255, 0.2)",
+  borderRadius: "8px",
+};
+
+// Compact card for the post a quote post is quoting. `post` is null once the original was deleted or banned,
+// when its author is hidden from the viewer, or when the viewer muted it.
+const QuotedPost = ({ post }) => {
+  const navigate = useNavigate();
+
+  if (!post) {
+    return (
+      <Box sx={frameSx}>
+        <Typography variant="body2" color="text.secondary" fontStyle="italic">
+          This post is unavailable.
+        </Typography>
+      </Box>
+    );
+  }
+
+  const author = post.postedBy || {};
+  const cover = post.mediaItems?.[0] || (post.media ? { url: post.media, type: post.mediaType } : null);
+
+  return (
+    <Box
+      role="link"
+      tabIndex={0}
+      onClick={() => author.username && navigate(`/${author.username}/post/${post._id}`)}
+      onKeyDown={(e) => e.key === "Enter" && author.username && navigate(`/${author.username}/post/${post._id}`)}
+      sx={{ ...frameSx, cursor: "pointer", "&:hover": { bgcolor: "rgba(255, 255, 255, 0.05)" } }}
+    >
+      <Box display="flex" alignItems="center" gap={1}>
+        <Avatar src={author.profilePic || "/default-avatar.png"} alt={author.username} sx={{ width: 24, height: 24 }} />
+        <Typography variant="body2" fontWeight="bold" color="text.primary">
+          {author.username || "Unknown User"}
+        </Typography>
+        {post.createdAt && (
+          <Typography variant="caption" color="text.secondary">
+            {formatDistanceToNow(new Date(post.createdAt))} ago
+          </Typography>
+        )}
+      </Box>
+      {post.text && (
+        <Typography
+          variant="body2"
+          color="text.primary"
+          sx={{
+            mt: 1,
+            wordBreak: "break-word",
+            display: "-webkit-box",
+            WebkitLineClamp: 4,
+            WebkitBoxOrient: "vertical",
+            overflow: "hidden",
+          }}
+        >
+          {post.text}
+        </Typography>
+      )}
+      {cover?.type === "image" && (
+        <Box
+          component="img"
+          src={cover.url}
+          alt={cover.altText || "Post"}
+          sx={{ mt: 1, width: "100%", maxHeight: 200, objectFit: "cover", borderRadius: "8px" }}
+        />
+      )}
+      {cover?.type === "video" && (
+        <Box
+          component="video"
+          src={cover.url}
+          poster={cover.previewUrl || undefined}
+          muted
+          sx={{ mt: 1, width: "100%", maxHeight: 200, objectFit: "cover", borderRadius: "8px" }}
+        />
+      )}
+      {cover && (cover.type === "audio" || cover.type === "document") && (
+        <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+          {cover.type === "audio" ? "Audio attachment" : post.originalFilename || "Document"}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default QuotedPost;
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import {
+  Button,
+  FormControl,
+  IconButton,
+  InputAdornment,
+  Stack,
+  TextField,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import { Visibility, VisibilityOff } from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import useShowToast from '../hooks/useShowToast';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    borderRadius: 12,
+    background: 'rgba(255, 255, 255, 0.05)',
+    '& fieldset': { borderColor: 'rgba(255, 255, 255, 0.2)' },
+    '&:hover fieldset': { borderColor: '#a78bfa' },
+    '&.Mui-focused fieldset': { borderColor: '#a78bfa' },
+  },
+  '& .MuiInputLabel-root': { color: 'rgba(255, 255, 255, 0.7)' },
+  '& .MuiInputLabel-root.Mui-focused': { color: '#a78bfa' },
+  '& .MuiInputBase-input': { color: '#fff' },
+};
+
+export default function ResetPasswordCard({ token, onDone }) {
+  const [showPassword, setShowPassword] = useState(false);
+  const [inputs, setInputs] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const showToast = useShowToast();
+
+  const handleReset = async () => {
+    if (inputs.password.length < 6) {
+      showToast('Error', 'Password must be at least 6 characters', 'error');
+      return;
+    }
+    if (inputs.password !== inputs.confirmPassword) {
+      showToast('Error', 'Passwords do not match', 'error');
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await fetch('/api/users/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password: inputs.password }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        showToast('Error', data.error, 'error');
+        return;
+      }
+      showToast('Success', data.message, 'success');
+      onDone();
+    } catch (error) {
+      showToast('Error', error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const passwordAdornment = {
+    endAdornment: (
+      <InputAdornment position="end">
+        <IconButton
+          onClick={() => setShowPassword((prev) => !prev)}
+          edge="end"
+          sx={{ color: 'rgba(255, 255, 255, 0.7)' }}
+        >
+          {showPassword ? <VisibilityOff /> : <Visibility />}
+        </IconButton>
+      </InputAdornment>
+    ),
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Stack spacing={3}>
+        <Typography variant="body2" color="rgba(255, 255, 255, 0.7)">
+          Choose a new password. You will be signed out on every device.
+        </Typography>
+        <FormControl fullWidth required>
+          <TextField
+            label="New Password"
+            type={showPassword ? 'text' : 'password'}
+            value={inputs.password}
+            onChange={(e) => setInputs((prev) => ({ ...prev, password: e.target.value }))}
+            variant="outlined"
+            sx={fieldSx}
+            InputProps={passwordAdornment}
+          />
+        </FormControl>
+        <FormControl fullWidth required>
+          <TextField
+            label="Confirm New Password"
+            type={showPassword ? 'text' : 'password'}
+            value={inputs.confirmPassword}
+            onChange={(e) => setInputs((prev) => ({ ...prev, confirmPassword: e.target.value }))}
+            variant="outlined"
+            sx={fieldSx}
+          />
+        </FormControl>
+        <Button
+          variant="contained"
+          size="large"
+          onClick={handleReset}
+          disabled={loading}
+          fullWidth
+          sx={{
+            py: 1.5,
+            borderRadius: 12,
+            textTransform: 'none',
+            fontWeight: 'bold',
+            fontSize: '1rem',
+            bgcolor: '#a78bfa',
+            '&:hover': { bgcolor: '#8b5cf6' },
+          }}
+        >
+          {loading ? <CircularProgress size={24} sx={{ color: '#fff' }} /> : 'Reset Password'}
+        </Button>
+      </Stack>
+    </motion.div>
+  );
+}
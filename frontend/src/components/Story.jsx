@@ -213,6 +213,13 @@ const Story = ({ story, style = 'whatsapp' }) => {
                   <Typography sx={{ color: '#fff', fontSize: '0.9rem', fontWeight: 500 }}>
                     {userProfile.username}
                   </Typography>
+                  {story.audience === 'closeFriends' && (
+                    <Typography
+                      sx={{ ml: 1, px: 1, borderRadius: 1, bgcolor: '#2e7d32', color: '#fff', fontSize: '0.7rem' }}
+                    >
+                      Close friends
+                    </Typography>
+                  )}
                 </Box>
                 <Typography sx={{ color: '#fff', fontSize: '0.7rem' }}>
                   {formatDistanceToNow(new Date(story.createdAt))} ago
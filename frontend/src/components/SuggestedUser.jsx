@@ -1,16 +1,17 @@
 import React from 'react';
-import { Avatar, Box, Button, Typography } from '@mui/material';
+import { Avatar, Box, Button, IconButton, Tooltip, Typography } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
 import { Link } from 'react-router-dom';
 import useFollowUnfollow from '../hooks/useFollowUnfollow';
 import { motion } from 'framer-motion';
 
-const SuggestedUser = ({ user }) => {
+const SuggestedUser = ({ user, onDismiss }) => {
   // Safeguard: Don’t render if user is missing critical data
   if (!user || !user._id) {
     return null; // Skip rendering if user is invalid
   }
 
-  const { handleFollowUnfollow, following, updating } = useFollowUnfollow(user);
+  const { handleFollowUnfollow, following, updating, requested } = useFollowUnfollow(user);
 
   return (
     <motion.div
@@ -33,8 +34,20 @@ const SuggestedUser = ({ user }) => {
           width: { xs: '140px', sm: '160px' },
           maxWidth: '100%',
           mx: 'auto',
+          position: 'relative',
         }}
       >
+        {onDismiss && (
+          <Tooltip title="Don't suggest this account">
+            <IconButton
+              size="small"
+              onClick={() => onDismiss(user)}
+              sx={{ position: 'absolute', top: 4, right: 4, color: 'text.secondary' }}
+            >
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
         {/* Profile Image */}
         <Box
           component={Link}
@@ -92,6 +105,24 @@ const SuggestedUser = ({ user }) => {
           </Typography>
         </Box>
 
+        {/* Why this account is suggested */}
+        {user.reason && (
+          <Typography
+            variant="caption"
+            color="text.secondary"
+            title={user.reason}
+            sx={{
+              fontSize: '0.7rem',
+              maxWidth: '100%',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap',
+            }}
+          >
+            {user.reason}
+          </Typography>
+        )}
+
         {/* Follow/Unfollow Button */}
         <Button
           variant="contained"
@@ -113,7 +144,7 @@ const SuggestedUser = ({ user }) => {
             boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
           }}
         >
-          {following ? 'Unfollow' : 'Follow'}
+          {following ? 'Unfollow' : requested ? 'Requested' : 'Follow'}
         </Button>
       </Box>
     </motion.div>
@@ -34,6 +34,22 @@ const SuggestedUsers = () => {
     getSuggestedUsers();
   }, [showToast]);
 
+  const handleDismiss = async (user) => {
+    // Removed right away; put back if the server refuses
+    setSuggestedUsers((prev) => prev.filter((u) => u._id !== user._id));
+    try {
+      const res = await fetch(`/api/users/suggested/${user._id}/dismiss`, { method: 'POST' });
+      const data = await res.json();
+      if (data.error) {
+        showToast('Error', data.error, 'error');
+        setSuggestedUsers((prev) => [...prev, user]);
+      }
+    } catch (error) {
+      showToast('Error', error.message, 'error');
+      setSuggestedUsers((prev) => [...prev, user]);
+    }
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0 }}
@@ -80,7 +96,7 @@ const SuggestedUsers = () => {
                 width: { xs: '140px', sm: '160px' },
               }}
             >
-              <SuggestedUser user={user} />
+              <SuggestedUser user={user} onDismiss={handleDismiss} />
             </Box>
           ))
         ) : !loading && suggestedUsers.length === 0 ? (
@@ -0,0 +1,230 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { message } from "antd";
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [mode, setMode] = useState(null); // "disable" | "regenerate"
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/2fa", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setStatus(data);
+    } catch (error) {
+      message.error(error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const request = async (url, body) => {
+    setLoading(true);
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body || {}),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      message.error(error.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setMode(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const startSetup = async () => {
+    setBackupCodes(null);
+    const data = await request("/api/users/2fa/setup");
+    if (data) setSetup(data);
+  };
+
+  const confirmSetup = async () => {
+    const data = await request("/api/users/2fa/enable", { code });
+    if (!data) return;
+    message.success(data.message);
+    setSetup(null);
+    setBackupCodes(data.backupCodes);
+    resetForm();
+    fetchStatus();
+  };
+
+  const disable = async () => {
+    const data = await request("/api/users/2fa/disable", { password, code });
+    if (!data) return;
+    message.success(data.message);
+    setBackupCodes(null);
+    resetForm();
+    fetchStatus();
+  };
+
+  const regenerate = async () => {
+    const data = await request("/api/users/2fa/backup-codes", { code });
+    if (!data) return;
+    message.success(data.message);
+    setBackupCodes(data.backupCodes);
+    resetForm();
+    fetchStatus();
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" alignItems="center" gap={1} mb={1}>
+          <Typography variant="h6">Two-Factor Authentication</Typography>
+          {status && (
+            <Chip
+              size="small"
+              label={status.enabled ? "On" : "Off"}
+              color={status.enabled ? "success" : "default"}
+            />
+          )}
+        </Box>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Require a code from an authenticator app in addition to your password when you log in.
+        </Typography>
+
+        {!status && (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {backupCodes && (
+          <Box mt={2} p={2} sx={{ border: "1px dashed rgba(255, 255, 255, 0.3)", borderRadius: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Save these backup codes somewhere safe. Each one works once, and they won&apos;t be shown again.
+            </Typography>
+            <Box display="grid" gridTemplateColumns="repeat(2, 1fr)" gap={1} sx={{ fontFamily: "monospace" }}>
+              {backupCodes.map((backupCode) => (
+                <span key={backupCode}>{backupCode}</span>
+              ))}
+            </Box>
+          </Box>
+        )}
+
+        {status && !status.enabled && !setup && (
+          <Box mt={2}>
+            <Button variant="contained" onClick={startSetup} disabled={loading}>
+              Set up two-factor authentication
+            </Button>
+          </Box>
+        )}
+
+        {setup && (
+          <Stack spacing={2} mt={2} alignItems="flex-start">
+            <Typography variant="body2">
+              Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+            </Typography>
+            <img src={setup.qrCode} alt="Two-factor QR code" width={180} height={180} />
+            <Typography variant="caption" color="text.secondary">
+              Can&apos;t scan? Enter this key manually: <code>{setup.secret}</code>
+            </Typography>
+            <TextField
+              label="Verification code"
+              size="small"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+            />
+            <Box display="flex" gap={1}>
+              <Button variant="contained" onClick={confirmSetup} disabled={loading || !code.trim()}>
+                Turn on
+              </Button>
+              <Button onClick={() => setSetup(null)} disabled={loading}>
+                Cancel
+              </Button>
+            </Box>
+          </Stack>
+        )}
+
+        {status?.enabled && !mode && (
+          <Box mt={2} display="flex" flexDirection="column" gap={1} alignItems="flex-start">
+            <Typography variant="body2" color="text.secondary">
+              {status.backupCodesRemaining} backup codes remaining
+            </Typography>
+            <Box display="flex" gap={1}>
+              <Button variant="outlined" onClick={() => setMode("regenerate")}>
+                Regenerate backup codes
+              </Button>
+              <Button variant="outlined" color="error" onClick={() => setMode("disable")}>
+                Turn off
+              </Button>
+            </Box>
+          </Box>
+        )}
+
+        {status?.enabled && mode && (
+          <Stack spacing={2} mt={2} alignItems="flex-start">
+            {mode === "disable" && (
+              <TextField
+                label="Current password"
+                type="password"
+                size="small"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            )}
+            <TextField
+              label={mode === "disable" ? "Authenticator or backup code" : "Authenticator code"}
+              size="small"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+            />
+            <Box display="flex" gap={1}>
+              <Button
+                variant="contained"
+                color={mode === "disable" ? "error" : "primary"}
+                onClick={mode === "disable" ? disable : regenerate}
+                disabled={loading || !code.trim()}
+              >
+                {mode === "disable" ? "Turn off two-factor" : "Generate new codes"}
+              </Button>
+              <Button onClick={resetForm} disabled={loading}>
+                Cancel
+              </Button>
+            </Box>
+          </Stack>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
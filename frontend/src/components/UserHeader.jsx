@@ -7,11 +7,12 @@ import userAtom from '../atoms/userAtom';
 import { Link as RouterLink } from 'react-router-dom';
 import useFollowUnfollow from '../hooks/useFollowUnfollow';
 import useShowToast from '../hooks/useShowToast';
+import { hasPermission } from '../utils/permissions';
 import { motion } from 'framer-motion';
 
 const UserHeader = ({ user }) => {
   const currentUser = useRecoilValue(userAtom);
-  const { handleFollowUnfollow, following, updating } = useFollowUnfollow(user);
+  const { handleFollowUnfollow, following, updating, requested } = useFollowUnfollow(user);
   const showToast = useShowToast();
 
   const copyURL = () => {
@@ -94,14 +95,14 @@ const UserHeader = ({ user }) => {
       {currentUser?._id !== user._id && (
         <Stack direction="row" gap={2}>
           <Button variant="contained" size="small" onClick={handleFollowUnfollow} disabled={updating}>
-            {following ? 'Unfollow' : 'Follow'}
+            {following ? 'Unfollow' : requested ? 'Requested' : 'Follow'}
           </Button>
-          {currentUser?.isAdmin && (
+          {hasPermission(currentUser, 'users:ban') && (
             <Button variant="contained" size="small" onClick={() => handleBanUnban(user.isBanned ? 'unban' : 'ban')}>
               {user.isBanned ? 'Unban' : 'Ban'}
             </Button>
           )}
-          {currentUser?.username === 'adminblog' && !user.isAdmin && (
+          {hasPermission(currentUser, 'users:manage-roles') && !user.isAdmin && (
             <Button variant="contained" size="small" onClick={handlePromoteToAdmin}>
               Promote to Admin
             </Button>
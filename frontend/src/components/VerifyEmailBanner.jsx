@@ -0,0 +1,43 @@
+import { useState } from "react";
+import { Alert, Button, CircularProgress } from "@mui/material";
+import { message } from "antd";
+
+const VerifyEmailBanner = ({ email }) => {
+  const [sending, setSending] = useState(false);
+
+  const resendVerification = async () => {
+    setSending(true);
+    try {
+      const res = await fetch("/api/users/resend-verification", {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      sx={{ mb: 2 }}
+      action={
+        <Button color="inherit" size="small" onClick={resendVerification} disabled={sending}>
+          {sending ? <CircularProgress size={16} color="inherit" /> : "Resend link"}
+        </Button>
+      }
+    >
+      Verify {email || "your email"} to start posting, commenting and messaging.
+    </Alert>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useEffect, useState } from "react";
-import { useRecoilValue } from "recoil";
+import { useRecoilState } from "recoil";
 import io from "socket.io-client";
 import userAtom from "../atoms/userAtom";
 import { motion } from "framer-motion";
@@ -16,7 +16,7 @@ export const SocketContextProvider = ({ children }) => {
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [connectionStatus, setConnectionStatus] = useState("disconnected");
   const [reconnectAttempts, setReconnectAttempts] = useState(0);
-  const user = useRecoilValue(userAtom);
+  const [user, setUser] = useRecoilState(userAtom);
   const showToast = useShowToast();
   const serverUrl = import.meta.env.VITE_SERVER_URL || "http://localhost:5000";
 
@@ -33,15 +33,12 @@ export const SocketContextProvider = ({ children }) => {
       return;
     }
 
-    const token = localStorage.getItem("token");
-    if (!token) {
-      showToast("Warning", "No auth token, real-time updates disabled", "warning");
-      setConnectionStatus("disconnected");
-      return;
-    }
+    // Without a stored token the server falls back to the httpOnly session cookie.
+    const token = localStorage.getItem("token") || "";
 
     const socketInstance = io(serverUrl, {
       query: { userId: user._id, token },
+      withCredentials: true,
       transports: ["websocket"],
       reconnection: true,
       reconnectionAttempts: 5,
@@ -94,6 +91,16 @@ export const SocketContextProvider = ({ children }) => {
       setConnectionStatus("error");
     });
 
+    socketInstance.on("sessionRevoked", () => {
+      showToast("Warning", "This session was signed out from another device", "warning");
+      localStorage.removeItem("user-NRBLOG");
+      setUser(null);
+    });
+
+    socketInstance.on("newDeviceLogin", ({ device, ip }) => {
+      showToast("Warning", `New sign-in to your account from ${device}${ip ? ` (${ip})` : ""}`, "warning");
+    });
+
     return () => {
       socketInstance.off("connect");
       socketInstance.off("getOnlineUsers");
@@ -103,9 +110,11 @@ export const SocketContextProvider = ({ children }) => {
       socketInstance.off("reconnect_failed");
       socketInstance.off("disconnect");
       socketInstance.off("error");
+      socketInstance.off("sessionRevoked");
+      socketInstance.off("newDeviceLogin");
       socketInstance.disconnect();
     };
-  }, [user?._id, serverUrl, showToast]);
+  }, [user?._id, serverUrl, showToast, setUser]);
 
   return (
     <SocketContext.Provider value={{ socket, onlineUsers, connectionStatus, reconnectAttempts }}>
@@ -137,7 +146,7 @@ export default SocketContextProvider;
 // export const SocketContextProvider = ({ children }) => {
 //   const [socket, setSocket] = useState(null);
 //   const [onlineUsers, setOnlineUsers] = useState([]);
-//   const user = useRecoilValue(userAtom);
+//   const [user, setUser] = useRecoilState(userAtom);
 
 //   useEffect(() => {
 //     const socketInstance = io('/', {
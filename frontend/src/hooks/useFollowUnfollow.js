@@ -2,12 +2,16 @@ import { useState, useCallback, useEffect } from "react";
 import { useRecoilState } from "recoil";
 import userAtom from "../atoms/userAtom";
 import useShowToast from "./useShowToast";
+import { useSocket } from "../context/SocketContext";
 
 const useFollowUnfollow = (user) => {
   const [currentUser, setCurrentUser] = useRecoilState(userAtom);
   const [following, setFollowing] = useState(false);
   const [updating, setUpdating] = useState(false);
+  // A follow request to a private account that the owner has not answered yet.
+  const [requested, setRequested] = useState(false);
   const showToast = useShowToast();
+  const socket = useSocket()?.socket;
 
   // Initialize following state
   const checkFollowing = useCallback(() => {
@@ -27,6 +31,49 @@ const useFollowUnfollow = (user) => {
     }
   }, [checkFollowing, user?._id, currentUser]);
 
+  useEffect(() => {
+    if (!user?.isPrivate || following || !currentUser?._id) return;
+
+    let cancelled = false;
+    fetch("/api/users/follow-requests/sent", { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) => {
+        if (!cancelled && Array.isArray(data)) setRequested(data.includes(user._id));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [user?._id, user?.isPrivate, following, currentUser?._id]);
+
+  // The owner accepting a request arrives as the usual userFollowed event.
+  useEffect(() => {
+    if (!socket || !user?._id || !currentUser?._id) return;
+
+    const handleUserFollowed = ({ followedId, follower }) => {
+      if (followedId !== user._id || follower._id !== currentUser._id) return;
+      setRequested(false);
+      setFollowing(true);
+      setCurrentUser((prev) =>
+        prev.following?.includes(user._id) ? prev : { ...prev, following: [...(prev.following || []), user._id] }
+      );
+    };
+
+    // The owner removing the current user from their followers arrives as userUnfollowed.
+    const handleUserUnfollowed = ({ unfollowedId, follower }) => {
+      if (unfollowedId !== user._id || follower._id !== currentUser._id) return;
+      setFollowing(false);
+      setCurrentUser((prev) => ({ ...prev, following: prev.following?.filter((id) => id !== user._id) || [] }));
+    };
+
+    socket.on("userFollowed", handleUserFollowed);
+    socket.on("userUnfollowed", handleUserUnfollowed);
+    return () => {
+      socket.off("userFollowed", handleUserFollowed);
+      socket.off("userUnfollowed", handleUserUnfollowed);
+    };
+  }, [socket, user?._id, currentUser?._id, setCurrentUser]);
+
   const handleFollowUnfollow = async () => {
     if (!currentUser?._id) {
       showToast("Error", "Please login to follow", "error");
@@ -67,7 +114,14 @@ const useFollowUnfollow = (user) => {
         return;
       }
 
-      if (data.message === "Followed successfully") {
+      if (data.requested !== undefined) {
+        setRequested(data.requested);
+        showToast(
+          "Success",
+          data.requested ? `Follow request sent to ${user.name || user.username}` : "Follow request cancelled",
+          "success"
+        );
+      } else if (data.message === "Followed successfully") {
         showToast("Success", `You are now following ${user.name || user.username}`, "success");
         setFollowing(true);
         setCurrentUser((prev) => ({
@@ -89,7 +143,7 @@ const useFollowUnfollow = (user) => {
     }
   };
 
-  return { handleFollowUnfollow, updating, following };
+  return { handleFollowUnfollow, updating, following, requested };
 };
 
 export default useFollowUnfollow;
\ No newline at end of file
@@ -0,0 +1,40 @@
+import { useCallback, useEffect } from "react";
+import { useRecoilState } from "recoil";
+import userAtom from "../atoms/userAtom";
+
+// Access tokens live 15 minutes, so rotate the refresh token well before that.
+const REFRESH_INTERVAL = 10 * 60 * 1000;
+
+const useSessionRefresh = () => {
+  const [user, setUser] = useRecoilState(userAtom);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users/refresh", { method: "POST", credentials: "include" });
+      if (res.status === 401) {
+        localStorage.removeItem("user-NRBLOG");
+        setUser(null);
+      }
+    } catch (error) {
+      console.error("Session refresh failed:", error.message);
+    }
+  }, [setUser]);
+
+  useEffect(() => {
+    if (!user?._id) return;
+
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    const handleVisibility = () => {
+      if (document.visibilityState === "visible") refresh();
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", handleVisibility);
+    };
+  }, [user?._id, refresh]);
+};
+
+export default useSessionRefresh;
@@ -11,6 +11,8 @@ import {
 } from "@mui/material";
 import { motion } from "framer-motion";
 import useShowToast from "../hooks/useShowToast";
+import DeletionReports from "../components/DeletionReports";
+import { hasPermission } from "../utils/permissions";
 import {
   PieChart,
   Pie,
@@ -84,7 +86,7 @@ const AdminDashboard = () => {
   };
 
   useEffect(() => {
-    if (!currentUser?.isAdmin) return;
+    if (!hasPermission(currentUser, "admin:access")) return;
 
     const fetchAnalytics = async () => {
       setLoadingAnalytics(true);
@@ -98,7 +100,7 @@ const AdminDashboard = () => {
     return () => clearInterval(interval);
   }, [currentUser, showToast]);
 
-  if (!currentUser?.isAdmin) {
+  if (!hasPermission(currentUser, "admin:access")) {
     return (
       <Box sx={{ p: 3, textAlign: "center", bgcolor: "background.paper", borderRadius: 2 }}>
         <Typography variant="h6" color="text.primary">
@@ -353,6 +355,9 @@ const AdminDashboard = () => {
               </Grid>
             </Grid>
           )}
+          <Box mt={3}>
+            <DeletionReports />
+          </Box>
         </Box>
       </Box>
     </motion.div>
@@ -31,7 +31,14 @@ import postsAtom from "../atoms/postsAtom";
 import { useSocket } from "../context/SocketContext";
 import useShowToast from "../hooks/useShowToast";
 import Post from "../components/Post";
+import FollowList from "../components/FollowList";
 import AdminDashboard from "./AdminDashboard";
+import { hasPermission } from "../utils/permissions";
+
+const ADMIN_CARD_SX = {
+  background: "linear-gradient(135deg, rgba(255, 255, 255, 0.05), rgba(133, 21, 254, 0.1))",
+  border: "2px solid rgba(255, 255, 255, 0.3)",
+};
 
 const AdminProfilePage = () => {
   const { username } = useParams();
@@ -141,7 +148,7 @@ const AdminProfilePage = () => {
       }
     };
 
-    if (currentUser?.isAdmin) {
+    if (hasPermission(currentUser, "admin:access")) {
       getUser();
       getAllPosts();
       getAllUsers();
@@ -201,7 +208,7 @@ const AdminProfilePage = () => {
     }
   };
 
-  if (!currentUser?.isAdmin) {
+  if (!hasPermission(currentUser, "admin:access")) {
     return (
       <Box sx={{ p: 3, textAlign: "center" }}>
         <Typography variant="h6" color="text.primary">
@@ -454,7 +461,7 @@ const AdminProfilePage = () => {
                                   variant="contained"
                                   color={user.isBanned ? "success" : "error"}
                                   onClick={() => handleBanUnbanUser(user._id, user.isBanned)}
-                                  disabled={user.isAdmin}
+                                  disabled={user.isAdmin || !hasPermission(currentUser, "users:ban")}
                                   size="small"
                                   startIcon={<Block />}
                                   sx={{
@@ -569,7 +576,7 @@ const AdminProfilePage = () => {
                                     variant="contained"
                                     color="success"
                                     onClick={() => handleBanUnbanUser(user._id, true)}
-                                    disabled={user.isAdmin}
+                                    disabled={user.isAdmin || !hasPermission(currentUser, "users:ban")}
                                     size="small"
                                     startIcon={<Block />}
                                     sx={{
@@ -593,37 +600,13 @@ const AdminProfilePage = () => {
 
               {tabValue === 4 && (
                 <Box sx={{ py: 2 }}>
-                  {user.followers?.length === 0 ? (
-                    <Card sx={{ p: 3, textAlign: "center", background: "linear-gradient(135deg, rgba(255, 255, 255, 0.05), rgba(133, 21, 254, 0.1))", border: "2px solid rgba(255, 255, 255, 0.3)" }}>
-                      <Typography variant="body1" color="text.primary">No followers yet</Typography>
-                    </Card>
-                  ) : (
-                    <Grid container spacing={2}>
-                      {user.followers.map((followerId) => (
-                        <Grid item xs={12} sm={6} md={4} key={followerId}>
-                          <FollowerCard followerId={followerId} currentUser={currentUser} navigate={navigate} />
-                        </Grid>
-                      ))}
-                    </Grid>
-                  )}
+                  <FollowList username={user.username} type="followers" cardSx={ADMIN_CARD_SX} />
                 </Box>
               )}
 
               {tabValue === 5 && (
                 <Box sx={{ py: 2 }}>
-                  {user.following?.length === 0 ? (
-                    <Card sx={{ p: 3, textAlign: "center", background: "linear-gradient(135deg, rgba(255, 255, 255, 0.05), rgba(133, 21, 254, 0.1))", border: "2px solid rgba(255, 255, 255, 0.3)" }}>
-                      <Typography variant="body1" color="text.primary">Not following anyone yet</Typography>
-                    </Card>
-                  ) : (
-                    <Grid container spacing={2}>
-                      {user.following.map((followingId) => (
-                        <Grid item xs={12} sm={6} md={4} key={followingId}>
-                          <FollowingCard followingId={followingId} currentUser={currentUser} navigate={navigate} />
-                        </Grid>
-                      ))}
-                    </Grid>
-                  )}
+                  <FollowList username={user.username} type="following" cardSx={ADMIN_CARD_SX} />
                 </Box>
               )}
             </Box>
@@ -634,140 +617,4 @@ const AdminProfilePage = () => {
   );
 };
 
-const FollowerCard = ({ followerId, currentUser, navigate }) => {
-  const [follower, setFollower] = useState(null);
-
-  useEffect(() => {
-    const fetchFollower = async () => {
-      try {
-        const res = await fetch(`/api/users/profile/${followerId}`, {
-          credentials: "include",
-          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
-        });
-        const data = await res.json();
-        if (res.ok) setFollower(data);
-      } catch (error) {
-        console.error("Error fetching follower:", error);
-      }
-    };
-    fetchFollower();
-  }, [followerId]);
-
-  if (!follower) return null;
-
-  return (
-    <Card
-      sx={{
-        transition: "transform 0.3s",
-        "&:hover": { transform: "scale(1.02)" },
-        background: "linear-gradient(135deg, rgba(255, 255, 255, 0.05), rgba(133, 21, 254, 0.1))",
-        border: "2px solid rgba(255, 255, 255, 0.3)",
-        boxShadow: "0 12px 40px rgba(0, 0, 0, 0.3)",
-      }}
-    >
-      {follower.isBanned && (
-        <Typography
-          sx={{
-            position: "absolute",
-            top: 8,
-            left: 8,
-            color: "#f44336",
-            fontWeight: 600,
-            bgcolor: "rgba(255,255,255,0.1)",
-            px: 1,
-            py: 0.5,
-            borderRadius: 2,
-            fontSize: "0.75rem",
-          }}
-        >
-          Banned
-        </Typography>
-      )}
-      <CardContent sx={{ display: "flex", alignItems: "center", p: { xs: 1.5, sm: 2 } }}>
-        <Avatar src={follower.profilePic} sx={{ width: 40, height: 40, mr: 2 }} />
-        <Box sx={{ display: "flex", alignItems: "center", flex: 1 }}>
-          <Typography
-            variant="body2"
-            sx={{ fontWeight: 500, color: "text.primary", cursor: "pointer", mr: 1 }}
-            onClick={() => navigate(`/${follower.username}`)}
-          >
-            {follower.username}
-          </Typography>
-          {follower.isVerified && (
-            <VerifiedIcon color="primary" fontSize="small" />
-          )}
-        </Box>
-      </CardContent>
-    </Card>
-  );
-};
-
-const FollowingCard = ({ followingId, currentUser, navigate }) => {
-  const [followingUser, setFollowingUser] = useState(null);
-
-  useEffect(() => {
-    const fetchFollowing = async () => {
-      try {
-        const res = await fetch(`/api/users/profile/${followingId}`, {
-          credentials: "include",
-          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
-        });
-        const data = await res.json();
-        if (res.ok) setFollowingUser(data);
-      } catch (error) {
-        console.error("Error fetching following user:", error);
-      }
-    };
-    fetchFollowing();
-  }, [followingId]);
-
-  if (!followingUser) return null;
-
-  return (
-    <Card
-      sx={{
-        transition: "transform 0.3s",
-        "&:hover": { transform: "scale(1.02)" },
-        background: "linear-gradient(135deg, rgba(255, 255, 255, 0.05), rgba(133, 21, 254, 0.1))",
-        border: "2px solid rgba(255, 255, 255, 0.3)",
-        boxShadow: "0 12px 40px rgba(0, 0, 0, 0.3)",
-      }}
-    >
-      {followingUser.isBanned && (
-        <Typography
-          sx={{
-            position: "absolute",
-            top: 8,
-            left: 8,
-            color: "#f44336",
-            fontWeight: 600,
-            bgcolor: "rgba(255,255,255,0.1)",
-            px: 1,
-            py: 0.5,
-            borderRadius: 2,
-            fontSize: "0.75rem",
-          }}
-        >
-          Banned
-        </Typography>
-      )}
-      <CardContent sx={{ display: "flex", alignItems: "center", p: { xs: 1.5, sm: 2 } }}>
-        <Avatar src={followingUser.profilePic} sx={{ width: 40, height: 40, mr: 2 }} />
-        <Box sx={{ display: "flex", alignItems: "center", flex: 1 }}>
-          <Typography
-            variant="body2"
-            sx={{ fontWeight: 500, color: "text.primary", cursor: "pointer", mr: 1 }}
-            onClick={() => navigate(`/${followingUser.username}`)}
-          >
-            {followingUser.username}
-          </Typography>
-          {followingUser.isVerified && (
-            <VerifiedIcon color="primary" fontSize="small" />
-          )}
-        </Box>
-      </CardContent>
-    </Card>
-  );
-};
-
 export default AdminProfilePage;
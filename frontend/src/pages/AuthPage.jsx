@@ -2,8 +2,11 @@ import React from 'react';
 import { useRecoilValue, useSetRecoilState } from 'recoil';
 import { motion } from 'framer-motion';
 import { Box, Button, Typography, useMediaQuery, useTheme } from '@mui/material';
+import { useSearchParams } from 'react-router-dom';
 import LoginCard from '../components/LoginCard';
 import SignupCard from '../components/SignupCard';
+import ForgotPasswordCard from '../components/ForgotPasswordCard';
+import ResetPasswordCard from '../components/ResetPasswordCard';
 import authScreenAtom from '../atoms/authAtom';
 
 const AuthPage = () => {
@@ -11,6 +14,19 @@ const AuthPage = () => {
   const setAuthScreen = useSetRecoilState(authScreenAtom);
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resetToken = searchParams.get('resetToken');
+
+  const titles = {
+    login: 'Welcome Back',
+    signup: 'Join NR Blog',
+    forgot: 'Forgot Password',
+  };
+
+  const handleResetDone = () => {
+    setSearchParams({});
+    setAuthScreen('login');
+  };
 
   const AuthLinks = () => (
     <Box display="flex" justifyContent="center" gap={2} mb={4}>
@@ -161,11 +177,18 @@ const AuthPage = () => {
                 textAlign="center"
                 mb={3}
               >
-                {authScreenState === 'login' ? 'Welcome Back' : 'Join NR Blog'}
+                {resetToken ? 'Reset Password' : titles[authScreenState]}
               </Typography>
-              <AuthLinks />
-              {authScreenState === 'login' && <LoginCard />}
-              {authScreenState === 'signup' && <SignupCard />}
+              {resetToken ? (
+                <ResetPasswordCard token={resetToken} onDone={handleResetDone} />
+              ) : (
+                <>
+                  <AuthLinks />
+                  {authScreenState === 'login' && <LoginCard />}
+                  {authScreenState === 'signup' && <SignupCard />}
+                  {authScreenState === 'forgot' && <ForgotPasswordCard />}
+                </>
+              )}
             </Box>
           </motion.div>
         </Box>
@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { useRecoilState } from "recoil";
+import { motion } from "framer-motion";
+import { Box, Button, Card, CardContent, CircularProgress, Typography } from "@mui/material";
+import userAtom from "../atoms/userAtom";
+
+export default function ConfirmEmailChangePage() {
+  const [searchParams] = useSearchParams();
+  const [user, setUser] = useRecoilState(userAtom);
+  const [status, setStatus] = useState("confirming");
+  const [error, setError] = useState("");
+  const navigate = useNavigate();
+  const requested = useRef(false);
+  const token = searchParams.get("token");
+
+  useEffect(() => {
+    // The token is single-use, so StrictMode's double effect must not send it twice.
+    if (requested.current) return;
+    requested.current = true;
+
+    const confirm = async () => {
+      try {
+        const res = await fetch("/api/users/email/confirm", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token }),
+        });
+        const data = await res.json();
+        if (data.error) {
+          setError(data.error);
+          setStatus("failed");
+          return;
+        }
+        setStatus("confirmed");
+        setUser((prev) => {
+          if (!prev || prev._id !== data.userId) return prev;
+          const updatedUser = { ...prev, email: data.email, emailVerified: true };
+          localStorage.setItem("user-NRBLOG", JSON.stringify(updatedUser));
+          return updatedUser;
+        });
+      } catch (err) {
+        setError(err.message);
+        setStatus("failed");
+      }
+    };
+    confirm();
+  }, [token, setUser]);
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
+      <Card sx={{ mt: 4 }}>
+        <CardContent>
+          <Box display="flex" flexDirection="column" alignItems="center" gap={2} py={2}>
+            {status === "confirming" && (
+              <>
+                <CircularProgress />
+                <Typography>Confirming your new email...</Typography>
+              </>
+            )}
+            {status === "confirmed" && <Typography variant="h6">Your email address has been updated.</Typography>}
+            {status === "failed" && (
+              <>
+                <Typography variant="h6" color="error">
+                  {error}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Request a new link from the Update Profile page.
+                </Typography>
+              </>
+            )}
+            {status !== "confirming" && (
+              <Button variant="contained" onClick={() => navigate(user ? "/" : "/auth")}>
+                {user ? "Go to home" : "Go to log in"}
+              </Button>
+            )}
+          </Box>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+}
@@ -18,6 +18,7 @@ import { message } from "antd";
 import userAtom from "../atoms/userAtom";
 import AnalyticsChart from "../components/AnalyticsChart";
 import useShowToast from "../hooks/useShowToast";
+import { hasPermission } from "../utils/permissions";
 
 const DashboardPage = () => {
   const user = useRecoilValue(userAtom);
@@ -28,7 +29,7 @@ const DashboardPage = () => {
   useEffect(() => {
     const fetchStats = async () => {
       try {
-        const endpoint = user.isAdmin ? "/api/users/admin/realtime-dashboard" : "/api/users/dashboard";
+        const endpoint = hasPermission(user, "dashboard:view") ? "/api/users/admin/realtime-dashboard" : "/api/users/dashboard";
         const res = await fetch(endpoint, {
           headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
         });
@@ -45,7 +46,7 @@ const DashboardPage = () => {
       }
     };
     fetchStats();
-    if (user.isAdmin) {
+    if (hasPermission(user, "dashboard:view")) {
       const interval = setInterval(fetchStats, 5000);
       return () => clearInterval(interval);
     }
@@ -110,16 +111,16 @@ const DashboardPage = () => {
     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
       <Box sx={{ p: 3, maxWidth: "1200px", mx: "auto" }}>
         <Typography variant="h4" gutterBottom color="#e0e0e0">
-          {user.isAdmin ? "Admin Real-Time Dashboard" : "Your Dashboard"}
+          {hasPermission(user, "dashboard:view") ? "Admin Real-Time Dashboard" : "Your Dashboard"}
         </Typography>
-        {user.isAdmin && (
+        {hasPermission(user, "dashboard:view") && (
           <Typography variant="caption" color="gray" mb={2}>
             Last Updated: {stats.timestamp}
           </Typography>
         )}
 
         <Grid container spacing={2}>
-          {user.isAdmin ? (
+          {hasPermission(user, "dashboard:view") ? (
             <>
               <Grid item xs={12} md={4}>
                 <Card sx={{ bgcolor: "#3d3d3d", color: "#e0e0e0" }}>
@@ -0,0 +1,409 @@
+import { useCallback, useEffect, useState } from "react";
+import { useSetRecoilState } from "recoil";
+import { motion } from "framer-motion";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { ArrowUpward, ArrowDownward, Close as CloseIcon } from "@mui/icons-material";
+import { message } from "antd";
+import { format, formatDistanceToNow } from "date-fns";
+import postsAtom from "../atoms/postsAtom";
+import { useSocket } from "../context/SocketContext";
+
+const MAX_CHAR = 500;
+const MAX_ALT_TEXT = 500;
+
+// datetime-local inputs work in the browser's time zone without seconds.
+const toInputValue = (date) => (date ? format(new Date(date), "yyyy-MM-dd'T'HH:mm") : "");
+
+const describeDraft = (draft) => {
+  const parts = [];
+  if (draft.status === "scheduled") parts.push(`Publishes ${format(new Date(draft.publishAt), "PPp")}`);
+  else if (draft.status === "publishing") parts.push("Publishing now…");
+  else parts.push(`Edited ${formatDistanceToNow(new Date(draft.updatedAt), { addSuffix: true })}`);
+  if (draft.mediaItems.length) parts.push(`${draft.mediaItems.length} media`);
+  if (draft.audience === "closeFriends") parts.push("Close friends");
+  return parts.join(" · ");
+};
+
+const DraftsPage = () => {
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const setPosts = useSetRecoilState(postsAtom);
+  const socket = useSocket()?.socket;
+
+  const fetchDrafts = useCallback(async () => {
+    try {
+      const res = await fetch("/api/posts/drafts", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setDrafts(Array.isArray(data) ? data : []);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDrafts();
+  }, [fetchDrafts]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handlePublished = ({ draftId }) => {
+      setDrafts((prev) => prev.filter((d) => d._id !== draftId));
+    };
+    const handleFailed = ({ draftId, error }) => {
+      setDrafts((prev) => prev.map((d) => (d._id === draftId ? { ...d, status: "failed", error } : d)));
+    };
+
+    socket.on("draftPublished", handlePublished);
+    socket.on("draftFailed", handleFailed);
+    return () => {
+      socket.off("draftPublished", handlePublished);
+      socket.off("draftFailed", handleFailed);
+    };
+  }, [socket]);
+
+  const scheduled = drafts
+    .filter((d) => d.status === "scheduled" || d.status === "publishing")
+    .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+  const unscheduled = drafts.filter((d) => d.status === "draft" || d.status === "failed");
+
+  const openEditor = (draft) => {
+    setEditing({
+      _id: draft._id,
+      text: draft.text,
+      audience: draft.audience,
+      publishAt: draft.status === "scheduled" ? toInputValue(draft.publishAt) : "",
+      mediaItems: draft.mediaItems.map((item) => ({ ...item })),
+    });
+  };
+
+  const updateEditing = (changes) => setEditing((prev) => ({ ...prev, ...changes }));
+
+  const moveItem = (index, offset) => {
+    const items = [...editing.mediaItems];
+    [items[index], items[index + offset]] = [items[index + offset], items[index]];
+    updateEditing({ mediaItems: items });
+  };
+
+  const saveDraft = async () => {
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/posts/drafts/${editing._id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          text: editing.text,
+          audience: editing.audience,
+          publishAt: editing.publishAt ? new Date(editing.publishAt).toISOString() : null,
+          mediaItems: editing.mediaItems.map(({ url, altText }) => ({ url, altText: altText.trim() })),
+        }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setDrafts((prev) => prev.map((d) => (d._id === data._id ? data : d)));
+      setEditing(null);
+      message.success(data.status === "scheduled" ? "Post rescheduled" : "Draft saved");
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const publishNow = async (draft) => {
+    setBusy(draft._id);
+    try {
+      const res = await fetch(`/api/posts/drafts/${draft._id}/publish`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        fetchDrafts();
+        return;
+      }
+      setDrafts((prev) => prev.filter((d) => d._id !== draft._id));
+      setPosts((prev) => ({
+        ...prev,
+        posts: [data, ...prev.posts.filter((post) => post._id !== data._id)],
+      }));
+      message.success("Post published");
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const removeDraft = async (draft) => {
+    const prompt = draft.status === "scheduled" ? "Cancel this scheduled post?" : "Delete this draft?";
+    if (!window.confirm(`${prompt} Its media will be deleted too.`)) return;
+
+    setBusy(draft._id);
+    try {
+      const res = await fetch(`/api/posts/drafts/${draft._id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setDrafts((prev) => prev.filter((d) => d._id !== draft._id));
+      message.success(data.message);
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const renderDraft = (draft) => (
+    <ListItem
+      key={draft._id}
+      disableGutters
+      alignItems="flex-start"
+      secondaryAction={
+        <Box display="flex" gap={1}>
+          <Button size="small" onClick={() => openEditor(draft)} disabled={busy !== null || draft.status === "publishing"}>
+            Edit
+          </Button>
+          <Button
+            size="small"
+            variant="contained"
+            onClick={() => publishNow(draft)}
+            disabled={busy !== null || draft.status === "publishing" || !draft.text}
+          >
+            {busy === draft._id ? <CircularProgress size={16} /> : "Publish now"}
+          </Button>
+          <Button
+            size="small"
+            color="error"
+            onClick={() => removeDraft(draft)}
+            disabled={busy !== null || draft.status === "publishing"}
+          >
+            {draft.status === "scheduled" ? "Cancel" : "Delete"}
+          </Button>
+        </Box>
+      }
+      sx={{ pr: { xs: 0, sm: 34 }, flexDirection: { xs: "column", sm: "row" } }}
+    >
+      <ListItemText
+        primary={
+          <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+            <Typography
+              component="span"
+              sx={{ overflow: "hidden", textOverflow: "ellipsis", display: "-webkit-box", WebkitLineClamp: 2, WebkitBoxOrient: "vertical" }}
+            >
+              {draft.text || <em>No text yet</em>}
+            </Typography>
+            {draft.status === "failed" && <Chip label="Failed" size="small" color="error" variant="outlined" />}
+          </Box>
+        }
+        secondary={
+          <>
+            {describeDraft(draft)}
+            {draft.status === "failed" && draft.error && (
+              <Typography component="span" variant="caption" color="error" display="block">
+                {draft.error}. Edit it to reschedule, or publish it now.
+              </Typography>
+            )}
+          </>
+        }
+      />
+    </ListItem>
+  );
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" py={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
+      <Stack spacing={3}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Scheduled
+            </Typography>
+            {scheduled.length ? (
+              <List dense>{scheduled.map(renderDraft)}</List>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                Nothing scheduled. Pick a publish time when creating a post to schedule it.
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Drafts
+            </Typography>
+            {unscheduled.length ? (
+              <List dense>{unscheduled.map(renderDraft)}</List>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                No drafts. Use &quot;Save Draft&quot; when creating a post to finish it later.
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      </Stack>
+
+      <Dialog open={Boolean(editing)} onClose={() => !saving && setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit post</DialogTitle>
+        {editing && (
+          <DialogContent>
+            <Stack spacing={2} mt={1}>
+              <TextField
+                multiline
+                minRows={3}
+                label="Text"
+                value={editing.text}
+                onChange={(e) => updateEditing({ text: e.target.value })}
+                inputProps={{ maxLength: MAX_CHAR }}
+                helperText={`${MAX_CHAR - editing.text.length} characters remaining`}
+              />
+              <TextField
+                select
+                size="small"
+                label="Audience"
+                value={editing.audience}
+                onChange={(e) => updateEditing({ audience: e.target.value })}
+              >
+                <MenuItem value="followers">Followers</MenuItem>
+                <MenuItem value="closeFriends">Close friends</MenuItem>
+              </TextField>
+              <TextField
+                type="datetime-local"
+                size="small"
+                label="Publish at"
+                value={editing.publishAt}
+                onChange={(e) => updateEditing({ publishAt: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ min: toInputValue(new Date()) }}
+                helperText="Leave empty to keep it as a draft"
+              />
+              {editing.publishAt && (
+                <Box>
+                  <Button size="small" onClick={() => updateEditing({ publishAt: "" })}>
+                    Unschedule
+                  </Button>
+                </Box>
+              )}
+
+              {editing.mediaItems.map((item, index) => (
+                <Box key={item.url} display="flex" gap={2} alignItems="center">
+                  {item.type === "video" ? (
+                    <video src={item.url} muted style={{ width: 80, height: 80, objectFit: "cover", borderRadius: 8 }} />
+                  ) : item.type === "image" ? (
+                    <img
+                      src={item.url}
+                      alt={item.altText || "Draft media"}
+                      style={{ width: 80, height: 80, objectFit: "cover", borderRadius: 8 }}
+                    />
+                  ) : (
+                    <Chip label={item.originalFilename || item.type} size="small" />
+                  )}
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Alt text"
+                    value={item.altText || ""}
+                    onChange={(e) =>
+                      updateEditing({
+                        mediaItems: editing.mediaItems.map((m, i) => (i === index ? { ...m, altText: e.target.value } : m)),
+                      })
+                    }
+                    inputProps={{ maxLength: MAX_ALT_TEXT }}
+                    disabled={item.type !== "image" && item.type !== "video"}
+                  />
+                  <Box display="flex">
+                    <IconButton size="small" aria-label="Move earlier" disabled={index === 0} onClick={() => moveItem(index, -1)}>
+                      <ArrowUpward fontSize="small" />
+                    </IconButton>
+                    <IconButton
+                      size="small"
+                      aria-label="Move later"
+                      disabled={index === editing.mediaItems.length - 1}
+                      onClick={() => moveItem(index, 1)}
+                    >
+                      <ArrowDownward fontSize="small" />
+                    </IconButton>
+                    <IconButton
+                      size="small"
+                      aria-label="Remove"
+                      onClick={() => updateEditing({ mediaItems: editing.mediaItems.filter((_, i) => i !== index) })}
+                    >
+                      <CloseIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                </Box>
+              ))}
+
+              {editing.publishAt && !editing.text.trim() && (
+                <Alert severity="warning">Add some text before scheduling a post.</Alert>
+              )}
+            </Stack>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)} disabled={saving}>
+            Close
+          </Button>
+          <Button
+            variant="contained"
+            onClick={saveDraft}
+            disabled={saving || (editing?.publishAt && !editing.text.trim())}
+            startIcon={saving ? <CircularProgress size={20} /> : null}
+          >
+            {editing?.publishAt ? "Save & schedule" : "Save draft"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </motion.div>
+  );
+};
+
+export default DraftsPage;
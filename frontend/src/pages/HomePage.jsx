@@ -45,6 +45,7 @@ import BottomNav from "../components/BottomNav";
 import MessageContainer from "../components/MessageContainer";
 import useShowToast from "../hooks/useShowToast";
 import { useSocket } from "../context/SocketContext";
+import { hasPermission } from "../utils/permissions";
 
 const { Dragger } = Upload;
 
@@ -77,7 +78,7 @@ const HomePage = () => {
     try {
       setLoading(true);
       setFetchError(null);
-      const endpoint = user?.isAdmin ? "/api/admin/posts" : "/api/posts/feed";
+      const endpoint = hasPermission(user, "posts:view-all") ? "/api/admin/posts" : "/api/posts/feed";
 
       const token = localStorage.getItem("token");
       const res = await fetch(endpoint, {
@@ -109,7 +110,7 @@ const HomePage = () => {
   }, [fetchPosts]);
 
   const handleBanUnbanPost = async (postId, isBanned) => {
-    if (!user?.isAdmin) {
+    if (!hasPermission(user, "posts:moderate")) {
       showToast("Error", "Admin access required", "error");
       return;
     }
@@ -142,7 +143,7 @@ const HomePage = () => {
     }
 
     socket.on("newPost", (post) => {
-      if (user?.isAdmin || user?.following?.includes(post.postedBy._id)) {
+      if (hasPermission(user, "posts:view-all") || user?.following?.includes(post.postedBy._id)) {
         setPostsState((prev) => ({
           ...prev,
           posts: [post, ...(prev.posts || [])],
@@ -544,7 +545,7 @@ const HomePage = () => {
           animate={{ y: 0, opacity: 1 }}
           transition={{ duration: 0.3 }}
         >
-          {user?.isAdmin ? (
+          {hasPermission(user, "admin:access") ? (
             <AdminPostCards
               post={post}
               postedBy={post.postedBy}
@@ -553,14 +554,14 @@ const HomePage = () => {
             <Post
               post={post}
               postedBy={post.postedBy}
-              isAdminView={user?.isAdmin}
+              isAdminView={hasPermission(user, "admin:access")}
               onBookmark={() => {}}
             />
           )}
         </motion.div>
       );
 
-      if (index === 1 && !user?.isAdmin) {
+      if (index === 1 && !hasPermission(user, "admin:access")) {
         content.push(
           <motion.div
             key="suggested-users"
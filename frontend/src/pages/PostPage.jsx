@@ -29,6 +29,7 @@ import postsAtom from "../atoms/postsAtom";
 import { SocketContext } from "../context/SocketContext.jsx";
 import CommentItem from "./CommentItem";
 import useShowToast from "../hooks/useShowToast";
+import EditHistoryDialog from "../components/EditHistoryDialog";
 import {
   BsFileEarmarkTextFill,
   BsFileZipFill,
@@ -38,13 +39,16 @@ import {
   BsFileTextFill,
 } from "react-icons/bs";
 import { formatDistanceToNow } from "date-fns";
+import { getTopLevelComments } from "../utils/posts";
+import { hasPermission } from "../utils/permissions";
 
 const PostPage = () => {
-  const { pid } = useParams();
+  const { username, pid } = useParams();
   const currentUser = useRecoilValue(userAtom);
   const [posts, setPosts] = useRecoilState(postsAtom);
   const navigate = useNavigate();
   const [anchorEl, setAnchorEl] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
   const [newComment, setNewComment] = useState("");
   const [showComments, setShowComments ] = useState(true);
   const showToast = useShowToast();
@@ -136,7 +140,7 @@ const PostPage = () => {
   }, [pid, setPosts]);
 
   useEffect(() => {
-    if (currentUser?.isAdmin && currentPost) {
+    if (hasPermission(currentUser, "admin:access") && currentPost) {
       fetchPostUser();
     }
     if (!currentPost) {
@@ -144,6 +148,14 @@ const PostPage = () => {
     }
   }, [currentPost, currentUser, fetchPostUser]);
 
+  // Links shared before the author renamed themselves still work; show the current handle in the address bar.
+  const authorUsername = currentPost?.postedBy?.username;
+  useEffect(() => {
+    if (authorUsername && username && authorUsername !== username) {
+      navigate(`/${authorUsername}/post/${pid}`, { replace: true });
+    }
+  }, [authorUsername, username, pid, navigate]);
+
   useEffect(() => {
     if (!socket || !pid) return;
 
@@ -176,6 +188,7 @@ const PostPage = () => {
       likeUnlikeComment: ({ postId, commentId, userId, likes, post }) => updatePostState(postId, post),
       editComment: ({ postId, commentId, text, post }) => updatePostState(postId, post),
       deleteComment: ({ postId, commentId, post }) => updatePostState(postId, post),
+      newReply: ({ postId, post }) => updatePostState(postId, post),
       postDeleted: ({ postId }) => {
         if (postId === pid) {
           message.info("This post has been deleted");
@@ -352,6 +365,8 @@ const PostPage = () => {
         </Box>
       );
     }
+    // Replies open from their comment, so only top-level comments are listed here.
+    const topLevelComments = getTopLevelComments(currentPost.comments);
 
     return (
       <Box
@@ -383,11 +398,26 @@ const PostPage = () => {
               {postUser.isVerified && <VerifiedIcon color="primary" fontSize="small" />}
               <Typography variant="caption" color="text.secondary">
                 {formatDistanceToNow(new Date(currentPost.createdAt))} ago
-                {currentPost.isEdited && " • Edited"}
+                {currentPost.isEdited && (
+                  <>
+                    {" "}
+                    <Box
+                      component="span"
+                      role="button"
+                      tabIndex={0}
+                      title="View edit history"
+                      onClick={() => setShowHistory(true)}
+                      onKeyDown={(e) => e.key === "Enter" && setShowHistory(true)}
+                      sx={{ cursor: "pointer", textDecoration: "underline dotted" }}
+                    >
+                      • Edited
+                    </Box>
+                  </>
+                )}
               </Typography>
             </Box>
           </Box>
-          {(currentUser?._id === postUser._id || currentUser?.isAdmin) && (
+          {(currentUser?._id === postUser._id || hasPermission(currentUser, "posts:moderate")) && (
             <>
               <IconButton onClick={(e) => setAnchorEl(e.currentTarget)} size="small">
                 <MoreVert sx={{ color: "text.primary" }} />
@@ -534,8 +564,8 @@ const PostPage = () => {
                     </Button>
                   </Box>
                 )}
-                {(currentPost.comments || []).length > 0 ? (
-                  currentPost.comments.map((comment) => (
+                {topLevelComments.length > 0 ? (
+                  topLevelComments.map((comment) => (
                     <CommentItem
                       key={comment._id}
                       comment={comment}
@@ -564,6 +594,13 @@ const PostPage = () => {
   return (
     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
       {currentPost ? renderPost() : <Typography color="text.primary">Post not found</Typography>}
+      {currentPost && (
+        <EditHistoryDialog
+          open={showHistory}
+          onClose={() => setShowHistory(false)}
+          url={`/api/posts/${currentPost._id}/revisions`}
+        />
+      )}
     </motion.div>
   );
 };
@@ -3,6 +3,7 @@ import { motion } from "framer-motion";
 import {
   Box,
   Button,
+  Stack,
   Card,
   CardContent,
   CircularProgress,
@@ -10,6 +11,17 @@ import {
 } from "@mui/material";
 import { message } from "antd";
 import useLogout from "../hooks/useLogout";
+import ActiveSessions from "../components/ActiveSessions";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import DataExport from "../components/DataExport";
+import LoginHistory from "../components/LoginHistory";
+import AccessTokens from "../components/AccessTokens";
+import PrivacySettings from "../components/PrivacySettings";
+import FollowRequests from "../components/FollowRequests";
+import BlockedUsers from "../components/BlockedUsers";
+import MutedContent from "../components/MutedContent";
+import CloseFriends from "../components/CloseFriends";
+import DeleteAccount from "../components/DeleteAccount";
 
 export const SettingsPage = () => {
   const [loading, setLoading] = useState(false);
@@ -47,31 +59,46 @@ export const SettingsPage = () => {
       animate={{ opacity: 1 }}
       transition={{ duration: 0.5 }}
     >
-      <Card>
-        <CardContent>
-          <Typography variant="h6" gutterBottom>
-            Freeze Your Account
-          </Typography>
-          <Typography variant="body1" gutterBottom>
-            You can unfreeze your account anytime by logging in.
-          </Typography>
-          <Typography variant="body2" color="text.secondary" gutterBottom>
-            Freezing your account will make your profile and posts temporarily
-            inaccessible to others.
-          </Typography>
-          <Box mt={2}>
-            <Button
-              variant="contained"
-              color="error"
-              onClick={freezeAccount}
-              disabled={loading}
-              startIcon={loading ? <CircularProgress size={20} /> : null}
-            >
-              Freeze Account
-            </Button>
-          </Box>
-        </CardContent>
-      </Card>
+      <Stack spacing={3}>
+        <PrivacySettings />
+        <FollowRequests />
+        <CloseFriends />
+        <BlockedUsers />
+        <MutedContent />
+        <TwoFactorSettings />
+        <ActiveSessions />
+        <LoginHistory />
+        <AccessTokens />
+        <DataExport />
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Freeze Your Account
+            </Typography>
+            <Typography variant="body1" gutterBottom>
+              You can unfreeze your account anytime by logging in.
+            </Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Freezing your account will make your profile and posts temporarily
+              inaccessible to others.
+            </Typography>
+            <Box mt={2}>
+              <Button
+                variant="contained"
+                color="error"
+                onClick={freezeAccount}
+                disabled={loading}
+                startIcon={loading ? <CircularProgress size={20} /> : null}
+              >
+                Freeze Account
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+        <DeleteAccount />
+      </Stack>
     </motion.div>
   );
-};
\ No newline at end of file
+};
+
+export default SettingsPage;
\ No newline at end of file
@@ -8,6 +8,7 @@ import {
   CircularProgress,
   Container,
   FormControl,
+  FormHelperText,
   FormLabel,
   Input,
   Stack,
@@ -22,10 +23,12 @@ export default function UpdateProfilePage() {
   const [inputs, setInputs] = useState({
     name: user.name || "",
     username: user.username || "",
-    email: user.email || "",
     bio: user.bio || "",
-    password: "",
   });
+  const [passwordInputs, setPasswordInputs] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [emailInputs, setEmailInputs] = useState({ newEmail: "", currentPassword: "" });
+  const [changingEmail, setChangingEmail] = useState(false);
   const fileRef = useRef(null);
   const [updating, setUpdating] = useState(false);
   const [previewUrl, setPreviewUrl] = useState(null);
@@ -48,10 +51,8 @@ export default function UpdateProfilePage() {
 
     const data = new FormData();
     data.append("name", inputs.name);
-    data.append("email", inputs.email);
     data.append("username", inputs.username);
     data.append("bio", inputs.bio);
-    if (inputs.password) data.append("password", inputs.password);
     if (fileRef.current?.files[0]) data.append("profilePic", fileRef.current.files[0]);
 
     try {
@@ -73,6 +74,69 @@ export default function UpdateProfilePage() {
     }
   };
 
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (changingPassword) return;
+    if (passwordInputs.newPassword !== passwordInputs.confirmPassword) {
+      message.error("New passwords do not match");
+      return;
+    }
+    setChangingPassword(true);
+
+    try {
+      const res = await fetch("/api/users/password", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          currentPassword: passwordInputs.currentPassword,
+          newPassword: passwordInputs.newPassword,
+        }),
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+
+      message.success(data.message);
+      setPasswordInputs({ currentPassword: "", newPassword: "", confirmPassword: "" });
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    if (changingEmail) return;
+    setChangingEmail(true);
+
+    try {
+      const res = await fetch("/api/users/email", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(emailInputs),
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+
+      message.success(data.message);
+      setEmailInputs({ newEmail: "", currentPassword: "" });
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setChangingEmail(false);
+    }
+  };
+
+  const sectionSx = {
+    p: 4,
+    mt: 4,
+    borderRadius: 2,
+    boxShadow: 3,
+    bgcolor: "background.paper",
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0 }}
@@ -133,16 +197,10 @@ export default function UpdateProfilePage() {
               value={inputs.username}
               onChange={(e) => setInputs({ ...inputs, username: e.target.value })}
             />
-          </FormControl>
-
-          <FormControl fullWidth sx={{ mb: 3 }}>
-            <FormLabel>Email address</FormLabel>
-            <Input
-              placeholder="your-email@example.com"
-              value={inputs.email}
-              onChange={(e) => setInputs({ ...inputs, email: e.target.value })}
-              type="email"
-            />
+            <FormHelperText>
+              You can change your username once every 30 days. Links to your old username keep working, and
+              nobody else can take it for 90 days.
+            </FormHelperText>
           </FormControl>
 
           <FormControl fullWidth sx={{ mb: 3 }}>
@@ -156,16 +214,6 @@ export default function UpdateProfilePage() {
             />
           </FormControl>
 
-          <FormControl fullWidth sx={{ mb: 3 }}>
-            <FormLabel>Password</FormLabel>
-            <Input
-              placeholder="password"
-              value={inputs.password}
-              onChange={(e) => setInputs({ ...inputs, password: e.target.value })}
-              type="password"
-            />
-          </FormControl>
-
           <Stack direction="row" spacing={2} sx={{ mt: 4 }}>
             <Button
               variant="outlined"
@@ -186,6 +234,93 @@ export default function UpdateProfilePage() {
             </Button>
           </Stack>
         </Box>
+
+        <Box component="form" onSubmit={handleChangePassword} sx={sectionSx}>
+          <Typography variant="h5" gutterBottom>
+            Change Password
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+            Every other device signed in to your account will be signed out.
+          </Typography>
+
+          <FormControl fullWidth sx={{ mb: 3 }}>
+            <FormLabel>Current password</FormLabel>
+            <Input
+              type="password"
+              autoComplete="current-password"
+              value={passwordInputs.currentPassword}
+              onChange={(e) => setPasswordInputs({ ...passwordInputs, currentPassword: e.target.value })}
+            />
+          </FormControl>
+
+          <FormControl fullWidth sx={{ mb: 3 }}>
+            <FormLabel>New password</FormLabel>
+            <Input
+              type="password"
+              autoComplete="new-password"
+              value={passwordInputs.newPassword}
+              onChange={(e) => setPasswordInputs({ ...passwordInputs, newPassword: e.target.value })}
+            />
+          </FormControl>
+
+          <FormControl fullWidth sx={{ mb: 3 }}>
+            <FormLabel>Confirm new password</FormLabel>
+            <Input
+              type="password"
+              autoComplete="new-password"
+              value={passwordInputs.confirmPassword}
+              onChange={(e) => setPasswordInputs({ ...passwordInputs, confirmPassword: e.target.value })}
+            />
+          </FormControl>
+
+          <Button
+            variant="contained"
+            fullWidth
+            type="submit"
+            disabled={changingPassword || !passwordInputs.currentPassword || !passwordInputs.newPassword}
+          >
+            {changingPassword ? <CircularProgress size={24} /> : "Change Password"}
+          </Button>
+        </Box>
+
+        <Box component="form" onSubmit={handleChangeEmail} sx={sectionSx}>
+          <Typography variant="h5" gutterBottom>
+            Change Email
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+            Your email is currently {user.email}. We&apos;ll send a confirmation link to the new address, and it
+            only changes once you open it.
+          </Typography>
+
+          <FormControl fullWidth sx={{ mb: 3 }}>
+            <FormLabel>New email address</FormLabel>
+            <Input
+              type="email"
+              placeholder="your-email@example.com"
+              value={emailInputs.newEmail}
+              onChange={(e) => setEmailInputs({ ...emailInputs, newEmail: e.target.value })}
+            />
+          </FormControl>
+
+          <FormControl fullWidth sx={{ mb: 3 }}>
+            <FormLabel>Current password</FormLabel>
+            <Input
+              type="password"
+              autoComplete="current-password"
+              value={emailInputs.currentPassword}
+              onChange={(e) => setEmailInputs({ ...emailInputs, currentPassword: e.target.value })}
+            />
+          </FormControl>
+
+          <Button
+            variant="contained"
+            fullWidth
+            type="submit"
+            disabled={changingEmail || !emailInputs.newEmail || !emailInputs.currentPassword}
+          >
+            {changingEmail ? <CircularProgress size={24} /> : "Send Confirmation Link"}
+          </Button>
+        </Box>
       </Container>
     </motion.div>
   );
@@ -9,6 +9,8 @@ import {
   Card,
   CardContent,
   CircularProgress,
+  Menu,
+  MenuItem,
   Typography,
   Tabs,
   Tab,
@@ -39,10 +41,19 @@ import {
 } from "recharts";
 import { Verified as VerifiedIcon } from "@mui/icons-material";
 import Post from "../components/Post";
+import FollowList from "../components/FollowList";
 import AdminProfilePage from "./AdminProfilePage";
+import { hasPermission } from "../utils/permissions";
 
 const COLORS = ["#8515fe", "#8b5cf6", "#f44336"];
 
+const MUTE_OPTIONS = [
+  { value: 1, label: "For 24 hours" },
+  { value: 7, label: "For 7 days" },
+  { value: 30, label: "For 30 days" },
+  { value: null, label: "Until I unmute" },
+];
+
 const UserPage = () => {
   const { username } = useParams();
   const [user, setUser] = useState(null);
@@ -55,13 +66,18 @@ const UserPage = () => {
   const navigate = useNavigate();
   const isSmallScreen = useMediaQuery("(max-width: 600px)");
   const [tabValue, setTabValue] = useState(0);
+  const [muteMenuAnchor, setMuteMenuAnchor] = useState(null);
   const { handleBookmark } = useBookmark();
-  const { handleFollowUnfollow, updating, following } = useFollowUnfollow(user);
+  const { handleFollowUnfollow, updating, following, requested } = useFollowUnfollow(user);
   const socketContext = useSocket();
   const socket = socketContext?.socket;
+  // The server returns no posts for a private account the viewer has not been approved to follow.
+  const isLockedProfile = Boolean(
+    user?.isPrivate && !following && currentUser?._id !== user?._id && !hasPermission(currentUser, "posts:view-all")
+  );
 
   // Redirect admin to AdminProfilePage if viewing their own profile
-  if (currentUser?.isAdmin && currentUser?.username === username) {
+  if (hasPermission(currentUser, "admin:access") && currentUser?.username === username) {
     return <AdminProfilePage />;
   }
 
@@ -95,6 +111,10 @@ const UserPage = () => {
         }
 
         setUser({ ...userData, stats: statsData });
+        // The profile was found under an old handle
+        if (userData.username && userData.username !== username) {
+          navigate(`/${userData.username}`, { replace: true });
+        }
       } catch (error) {
         console.error("Error fetching user and stats:", error.stack);
         message.error(error.message || "Failed to load user profile");
@@ -105,7 +125,7 @@ const UserPage = () => {
 
     const getPosts = async () => {
       try {
-        const endpoint = currentUser?.isAdmin ? "/api/posts/all" : `/api/posts/user/${username}`;
+        const endpoint = hasPermission(currentUser, "posts:view-all") ? "/api/posts/all" : `/api/posts/user/${username}`;
         const res = await fetch(endpoint, {
           credentials: "include",
           headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
@@ -156,7 +176,7 @@ const UserPage = () => {
     getUserAndStats();
     getPosts();
     getBookmarks();
-  }, [username, currentUser, setPostsState, user?.username, user?.profilePic]);
+  }, [username, currentUser, setPostsState, navigate, user?.username, user?.profilePic]);
 
   useEffect(() => {
     if (!socket) {
@@ -237,8 +257,57 @@ const UserPage = () => {
     navigate("/edit-profile");
   };
 
+  const handleBlockUser = async () => {
+    if (!window.confirm(`Block ${user.username}? You will stop following each other.`)) return;
+
+    try {
+      const res = await fetch(`/api/users/block/${user._id}`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      setCurrentUser((prev) => {
+        const updatedUser = {
+          ...prev,
+          following: (prev.following || []).filter((id) => id !== user._id),
+          followers: (prev.followers || []).filter((id) => id !== user._id),
+        };
+        localStorage.setItem("user-NRBLOG", JSON.stringify(updatedUser));
+        return updatedUser;
+      });
+      message.success(data.message);
+      navigate("/");
+    } catch (error) {
+      message.error(error.message);
+    }
+  };
+
+  const handleMuteUser = async (expiresInDays) => {
+    setMuteMenuAnchor(null);
+    try {
+      const res = await fetch(`/api/users/mutes/users/${user._id}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ expiresInDays }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        message.error(data.error);
+        return;
+      }
+      message.success(`Muted ${user.username}. You can unmute them in Settings.`);
+    } catch (error) {
+      message.error(error.message);
+    }
+  };
+
   const handleBanUnbanUser = async () => {
-    if (!currentUser?.isAdmin) {
+    if (!hasPermission(currentUser, "users:ban")) {
       message.error("Unauthorized action");
       return;
     }
@@ -399,9 +468,44 @@ const UserPage = () => {
                             "&:hover": { bgcolor: following ? "rgba(255, 255, 255, 0.1)" : "#6b12cb" },
                           }}
                         >
-                          {following ? "Unfollow" : "Follow"}
+                          {following ? "Unfollow" : requested ? "Requested" : "Follow"}
                         </Button>
-                        {currentUser?.isAdmin && (
+                        <Button
+                          variant="outlined"
+                          size="small"
+                          onClick={handleBlockUser}
+                          sx={{
+                            mr: 1,
+                            borderRadius: 20,
+                            textTransform: "none",
+                            borderColor: "text.secondary",
+                            color: "text.secondary",
+                          }}
+                        >
+                          Block
+                        </Button>
+                        <Button
+                          variant="outlined"
+                          size="small"
+                          onClick={(e) => setMuteMenuAnchor(e.currentTarget)}
+                          sx={{
+                            mr: 1,
+                            borderRadius: 20,
+                            textTransform: "none",
+                            borderColor: "text.secondary",
+                            color: "text.secondary",
+                          }}
+                        >
+                          Mute
+                        </Button>
+                        <Menu anchorEl={muteMenuAnchor} open={Boolean(muteMenuAnchor)} onClose={() => setMuteMenuAnchor(null)}>
+                          {MUTE_OPTIONS.map((option) => (
+                            <MenuItem key={option.label} onClick={() => handleMuteUser(option.value)}>
+                              {option.label}
+                            </MenuItem>
+                          ))}
+                        </Menu>
+                        {hasPermission(currentUser, "users:ban") && (
                           <Button
                             variant="outlined"
                             size="small"
@@ -542,7 +646,7 @@ const UserPage = () => {
                         sx={{ textAlign: "center", display: "flex", alignItems: "center", justifyContent: "center", height: "auto" }}
                       >
                         <Typography variant="body1" color="text.primary">
-                          No posts yet
+                          {isLockedProfile ? "This account is private. Follow it to see its posts." : "No posts yet"}
                         </Typography>
                       </CardContent>
                     </Card>
@@ -552,7 +656,7 @@ const UserPage = () => {
                         <Post
                           post={post}
                           postedBy={post.postedBy}
-                          isAdminView={currentUser?.isAdmin}
+                          isAdminView={hasPermission(currentUser, "admin:access")}
                           onBookmark={handleBookmark}
                         />
                       </Box>
@@ -603,7 +707,7 @@ const UserPage = () => {
                         <Post
                           post={post}
                           postedBy={post.postedBy}
-                          isAdminView={currentUser?.isAdmin}
+                          isAdminView={hasPermission(currentUser, "admin:access")}
                           onBookmark={handleBookmark}
                         />
                       </Box>
@@ -613,64 +717,14 @@ const UserPage = () => {
               )}
 
               {tabValue === 2 && (
-                <Box sx={{ display: "flex", flexDirection: "column", alignItems: "center", pt: 2 }}>
-                  {user.followers?.length === 0 ? (
-                    <Card
-                      sx={{
-                        bgcolor: "background.paper",
-                        borderRadius: "12px",
-                        border: "1px solid rgba(255, 255, 255, 0.2)",
-                        width: "100%",
-                        maxWidth: 500,
-                        mx: "auto",
-                      }}
-                    >
-                      <CardContent
-                        sx={{ textAlign: "center", display: "flex", alignItems: "center", justifyContent: "center", height: "100%" }}
-                      >
-                        <Typography variant="body1" color="text.primary">
-                          No followers yet
-                        </Typography>
-                      </CardContent>
-                    </Card>
-                  ) : (
-                    user.followers.map((followerId) => (
-                      <Box key={followerId} sx={{ width: "100%", maxWidth: 500, mb: 1 }}>
-                        <FollowerCard followerId={followerId} navigate={navigate} />
-                      </Box>
-                    ))
-                  )}
+                <Box sx={{ pt: 2 }}>
+                  <FollowList username={user.username} type="followers" canRemove={currentUser?._id === user._id} />
                 </Box>
               )}
 
               {tabValue === 3 && (
-                <Box sx={{ display: "flex", flexDirection: "column", alignItems: "center", pt: 2 }}>
-                  {user.following?.length === 0 ? (
-                    <Card
-                      sx={{
-                        bgcolor: "background.paper",
-                        borderRadius: "12px",
-                        border: "1px solid rgba(255, 255, 255, 0.2)",
-                        width: "100%",
-                        maxWidth: 500,
-                        mx: "auto",
-                      }}
-                    >
-                      <CardContent
-                        sx={{ textAlign: "center", display: "flex", alignItems: "center", justifyContent: "center", height: "100%" }}
-                      >
-                        <Typography variant="body1" color="text.primary">
-                          Not following anyone yet
-                        </Typography>
-                      </CardContent>
-                    </Card>
-                  ) : (
-                    user.following.map((followingId) => (
-                      <Box key={followingId} sx={{ width: "100%", maxWidth: 500, mb: 1 }}>
-                        <FollowingCard followingId={followingId} navigate={navigate} />
-                      </Box>
-                    ))
-                  )}
+                <Box sx={{ pt: 2 }}>
+                  <FollowList username={user.username} type="following" />
                 </Box>
               )}
 
@@ -826,190 +880,4 @@ const UserPage = () => {
   );
 };
 
-const FollowerCard = ({ followerId, navigate }) => {
-  const [follower, setFollower] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    const fetchFollower = async () => {
-      try {
-        const res = await fetch(`/api/users/profile/${followerId}`, {
-          credentials: "include",
-          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
-        });
-        const data = await res.json();
-        if (res.ok) {
-          setFollower(data);
-        } else {
-          throw new Error(data.error || "Failed to fetch follower");
-        }
-      } catch (error) {
-        console.error("Error fetching follower:", error.stack);
-        message.error(error.message || "Failed to load follower");
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchFollower();
-  }, [followerId]);
-
-  if (loading) {
-    return (
-      <Card
-        sx={{
-          bgcolor: "background.paper",
-          borderRadius: "12px",
-          border: "1px solid rgba(255, 255, 255, 0.2)",
-          width: "100%",
-          maxWidth: 500,
-          mx: "auto",
-        }}
-      >
-        <CardContent sx={{ display: "flex", justifyContent: "center", alignItems: "center", height: "100%" }}>
-          <CircularProgress size={24} sx={{ color: "primary.main" }} />
-        </CardContent>
-      </Card>
-    );
-  }
-
-  if (!follower) return null;
-
-  return (
-    <Card
-      sx={{
-        bgcolor: "background.paper",
-        borderRadius: "12px",
-        border: "1px solid rgba(255, 255, 255, 0.2)",
-      }}
-    >
-      {follower.isBanned && (
-        <Typography
-          sx={{
-            position: "absolute",
-            top: 8,
-            left: 8,
-            color: "#f44336",
-            fontWeight: 600,
-            bgcolor: "rgba(255,255,255,0.1)",
-            px: 1,
-            py: 0.5,
-            borderRadius: 2,
-            fontSize: "0.75rem",
-          }}
-        >
-          Banned
-        </Typography>
-      )}
-      <CardContent sx={{ display: "flex", alignItems: "center", p: { xs: 1.5, sm: 2 } }}>
-        <Avatar src={follower.profilePic} sx={{ width: 40, height: 40, mr: 2 }} />
-        <Box sx={{ display: "flex", alignItems: "center", flex: 1 }}>
-          <Typography
-            variant="body2"
-            sx={{ fontWeight: 500, color: "text.primary", cursor: "pointer", mr: 1 }}
-            onClick={() => navigate(`/${follower.username}`)}
-          >
-            {follower.username}
-          </Typography>
-          {follower.isVerified && (
-            <VerifiedIcon color="primary" fontSize="small" />
-          )}
-        </Box>
-      </CardContent>
-    </Card>
-  );
-};
-
-const FollowingCard = ({ followingId, navigate }) => {
-  const [followingUser, setFollowingUser] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    const fetchFollowing = async () => {
-      try {
-        const res = await fetch(`/api/users/profile/${followingId}`, {
-          credentials: "include",
-          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
-        });
-        const data = await res.json();
-        if (res.ok) {
-          setFollowingUser(data);
-        } else {
-          throw new Error(data.error || "Failed to fetch following user");
-        }
-      } catch (error) {
-        console.error("Error fetching following user:", error.stack);
-        message.error(error.message || "Failed to load following user");
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchFollowing();
-  }, [followingId]);
-
-  if (loading) {
-    return (
-      <Card
-        sx={{
-          bgcolor: "background.paper",
-          borderRadius: "12px",
-          border: "1px solid rgba(255, 255, 255, 0.2)",
-          width: "100%",
-          maxWidth: 500,
-          mx: "auto",
-        }}
-      >
-        <CardContent sx={{ display: "flex", justifyContent: "center", alignItems: "center", height: "100%" }}>
-          <CircularProgress size={24} sx={{ color: "primary.main" }} />
-        </CardContent>
-      </Card>
-    );
-  }
-
-  if (!followingUser) return null;
-
-  return (
-    <Card
-      sx={{
-        bgcolor: "background.paper",
-        borderRadius: "12px",
-        border: "1px solid rgba(255, 255, 255, 0.2)",
-      }}
-    >
-      {followingUser.isBanned && (
-        <Typography
-          sx={{
-            position: "absolute",
-            top: 8,
-            left: 8,
-            color: "#f44336",
-            fontWeight: 600,
-            bgcolor: "rgba(255,255,255,0.1)",
-            px: 1,
-            py: 0.5,
-            borderRadius: 2,
-            fontSize: "0.75rem",
-          }}
-        >
-          Banned
-        </Typography>
-      )}
-      <CardContent sx={{ display: "flex", alignItems: "center", p: { xs: 1.5, sm: 2 } }}>
-        <Avatar src={followingUser.profilePic} sx={{ width: 40, height: 40, mr: 2 }} />
-        <Box sx={{ display: "flex", alignItems: "center", flex: 1 }}>
-          <Typography
-            variant="body2"
-            sx={{ fontWeight: 500, color: "text.primary", cursor: "pointer", mr: 1 }}
-            onClick={() => navigate(`/${followingUser.username}`)}
-          >
-            {followingUser.username}
-          </Typography>
-          {followingUser.isVerified && (
-            <VerifiedIcon color="primary" fontSize="small" />
-          )}
-        </Box>
-      </CardContent>
-    </Card>
-  );
-};
-
 export default UserPage;
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Mirrors backend/utils/helpers/permissions.js so the UI only offers what the API will allow. The API still decides.
+const PERMISSIONS = {
+  "admin:access": ["moderator", "admin", "owner"],
+  "posts:view-all": ["moderator", "admin", "owner"],
+  "posts:moderate": ["moderator", "admin", "owner"],
+  "comments:moderate": ["moderator", "admin", "owner"],
+  "users:view-all": ["moderator", "admin", "owner"],
+  "users:ban": ["admin", "owner"],
+  "users:manage-roles": ["admin", "owner"],
+  "dashboard:view": ["admin", "owner"],
+  "audit:view": ["admin", "owner"],
+};
+
+// Accounts created before roles existed only carry the isAdmin flag.
+export const getRole = (user) => {
+  if (!user) return null;
+  if (user.role && user.role !== "user") return user.role;
+  return user.isAdmin ? "admin" : "user";
+};
+
+export const hasPermission = (user, permission) => (PERMISSIONS[permission] || []).includes(getRole(user));
@@ -0,0 +1,28 @@
+// A plain repost has no text of its own and shows the post it shares in its place.
+export const isPlainRepost = (post) => Boolean(post?.repostOf) && !post.text;
+
+// Applies an update to a post in a list, including where a repost or quote embeds it.
+export const mapPost = (posts, postId, update) =>
+  (posts || []).map((p) => {
+    if (p._id === postId) return update(p);
+    if (p.repostOf?._id === postId) return { ...p, repostOf: update(p.repostOf) };
+    return p;
+  });
+
+// Drops a deleted post and the plain reposts of it. Quote posts stay, with the quoted post marked unavailable.
+export const removePost = (posts, postId) =>
+  (posts || [])
+    .filter((p) => p._id !== postId && !(isPlainRepost(p) && p.repostOf._id === postId))
+    .map((p) => (p.repostOf?._id === postId ? { ...p, repostOf: null, repostUnavailable: true } : p));
+
+// Top-level comments, each with its number of direct replies. Comments from the paginated endpoint carry
+// replyCount already; full comment arrays (feeds, socket payloads) include the replies to count instead.
+export const getTopLevelComments = (comments) => {
+  const counts = {};
+  (comments || []).forEach((comment) => {
+    if (comment.parentId) counts[comment.parentId] = (counts[comment.parentId] || 0) + 1;
+  });
+  return (comments || [])
+    .filter((comment) => !comment.parentId)
+    .map((comment) => ({ ...comment, replyCount: comment.replyCount ?? counts[comment._id] ?? 0 }));
+};